@@ -0,0 +1,280 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const Utils = require('./utils')
+const StreamId = require('./streamid')
+const { Entry } = require('./models')
+const { _escape } = require('./opml')
+
+const VERSION = 1
+const MANIFEST = '.feedly-archive.json'
+const EXTENSIONS = {
+  markdown: '.md',
+  html: '.html'
+}
+
+/// @nodoc
+function _hash (s) {
+  return crypto.createHash('sha1').update(s).digest('hex')
+}
+
+/// @nodoc
+function _iso (ms) {
+  return (ms == null) ? null : new Date(ms).toISOString()
+}
+
+/// @nodoc
+function _fileName (e, ext) {
+  // Readable, but unique and stable even if the title changes later
+  const date = _iso(e.published || e.crawled || 0).slice(0, 10)
+  const slug = (e.title || 'untitled')
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '') || 'untitled'
+  return `${date}-${slug}-${_hash(e.id).slice(0, 8)}${ext}`
+}
+
+/// @nodoc
+function _meta (e) {
+  // The front matter for an entry
+  const entry = new Entry(null, e)
+  const origin = e.origin || {}
+  const tags = entry.tagLabels.filter((label, i) => {
+    const parsed = StreamId.parse(e.tags[i].id)
+    return (parsed == null) || !parsed.global
+  })
+  return {
+    id: e.id,
+    title: e.title || '',
+    feed: origin.title || null,
+    feedId: entry.feedId,
+    author: e.author || null,
+    published: _iso(e.published),
+    crawled: _iso(e.crawled),
+    updated: _iso(e.updated),
+    tags,
+    url: entry.url
+  }
+}
+
+/// @nodoc
+function _body (e) {
+  return (e.content && e.content.content) ||
+    (e.summary && e.summary.content) ||
+    ''
+}
+
+/// @nodoc
+function _markdown (meta, body) {
+  // JSON strings are valid YAML, so the front matter needs no other quoting
+  let md = '---\n'
+  for (const [k, v] of Object.entries(meta)) {
+    if (v != null) {
+      md += `${k}: ${JSON.stringify(v)}\n`
+    }
+  }
+  md += `---\n\n# ${meta.title.replace(/\s+/g, ' ')}\n\n`
+  if (meta.url) {
+    md += `<${meta.url}>\n\n`
+  }
+  // Markdown allows HTML, so the content is kept as it is
+  return md + (body ? `${body}\n` : '')
+}
+
+/// @nodoc
+function _html (meta, body) {
+  let head = ''
+  for (const [k, v] of Object.entries(meta)) {
+    if ((v != null) && (k !== 'title') && (k !== 'url')) {
+      const content = Array.isArray(v) ? v.join(', ') : v
+      head += `  <meta name="feedly:${k}" content="${_escape(content)}">\n`
+    }
+  }
+  if (meta.url) {
+    head += `  <link rel="canonical" href="${_escape(meta.url)}">\n`
+  }
+  const title = _escape(meta.title)
+  const byline = [meta.feed, meta.author, meta.published]
+    .filter(x => x != null)
+    .map(_escape)
+    .join(' &middot; ')
+  const heading = meta.url
+    ? `<a href="${_escape(meta.url)}">${title}</a>`
+    : title
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+${head}</head>
+<body>
+  <h1>${heading}</h1>
+  <p>${byline}</p>
+  <article>
+${body}
+  </article>
+</body>
+</html>
+`
+}
+
+/// @nodoc
+function _index (format, streamId, items) {
+  if (format === 'markdown') {
+    let md = `# ${streamId}\n\n`
+    for (const i of items) {
+      const date = (i.published || '').slice(0, 10)
+      const title = i.title.replace(/\s+/g, ' ').replace(/[[\]]/g, '\\$&')
+      md += `- ${date} [${title}](${encodeURI(i.file)})`
+      md += i.feed ? ` (${i.feed})\n` : '\n'
+    }
+    return md
+  }
+  let html = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${_escape(streamId)}</title>
+</head>
+<body>
+  <h1>${_escape(streamId)}</h1>
+  <ul>
+`
+  for (const i of items) {
+    const date = (i.published || '').slice(0, 10)
+    html += `    <li>${date} <a href="${_escape(encodeURI(i.file))}">${_escape(i.title)}</a>`
+    html += i.feed ? ` (${_escape(i.feed)})</li>\n` : '</li>\n'
+  }
+  return html + '  </ul>\n</body>\n</html>\n'
+}
+
+/// @nodoc
+async function _read (file) {
+  try {
+    return await fs.promises.readFile(file, 'utf8')
+  } catch (er) {
+    if (er.code === 'ENOENT') {
+      return null
+    }
+    throw er
+  }
+}
+
+/// @nodoc
+async function _unlink (file) {
+  try {
+    await fs.promises.unlink(file)
+  } catch (er) {
+    if (er.code !== 'ENOENT') {
+      throw er
+    }
+  }
+}
+
+/**
+ * Save the entries of a stream to a directory, one file per entry, with
+ * the entry's feed, author, dates, tags and URL as front matter, plus an
+ * index page.  A manifest in the directory records what has been written,
+ * so that later runs only write entries that are new or have changed.
+ * Called by {@link Feedly#archiveStream}.
+ *
+ * @param {Feedly} feedly - the client
+ * @param {String} streamId - the stream to archive
+ * @param {String} dir - the directory to write to.  Created if needed.
+ * @param {Object} [options] - Options for the archive
+ * @param {String} [options.format='markdown'] - 'markdown' or 'html'
+ * @param {int} [options.limit=Infinity] - the most entries to fetch
+ * @param {Boolean} [options.prune=false] - delete the files of entries that
+ *   are no longer in the stream, such as ones that were untagged.  Skipped
+ *   if limit stops the run before the end of the stream.
+ * @returns {Promise(Object)} `{ written, unchanged, removed, index }`, where
+ *   written and removed are lists of file names, unchanged is a count, and
+ *   index is the path of the index page
+ */
+async function archiveStream (feedly, streamId, dir, options) {
+  streamId = StreamId.stream(streamId)
+  const opts = Object.assign({}, {
+    format: 'markdown',
+    limit: Infinity,
+    prune: false
+  }, options)
+  if (!Object.prototype.hasOwnProperty.call(EXTENSIONS, opts.format)) {
+    throw new TypeError(`Unknown archive format: "${opts.format}"`)
+  }
+  const ext = EXTENSIONS[opts.format]
+  dir = Utils.untildify(dir)
+  await fs.promises.mkdir(dir, { recursive: true })
+
+  const manifestFile = path.join(dir, MANIFEST)
+  let manifest = null
+  const text = await _read(manifestFile)
+  if (text != null) {
+    manifest = JSON.parse(text)
+  }
+  if ((manifest == null) ||
+      (manifest.version !== VERSION) ||
+      (manifest.streamId !== streamId) ||
+      (manifest.format !== opts.format)) {
+    // Start over, but leave any files that are there alone
+    manifest = { version: VERSION, streamId, format: opts.format, entries: {} }
+  }
+
+  const ret = { written: [], unchanged: 0, removed: [], index: null }
+  const seen = new Set()
+  let count = 0
+  for await (const e of feedly.iterateContents(streamId, { max: opts.limit })) {
+    count++
+    seen.add(e.id)
+    const meta = _meta(e)
+    const doc = (opts.format === 'markdown')
+      ? _markdown(meta, _body(e))
+      : _html(meta, _body(e))
+    const hash = _hash(doc)
+    const old = manifest.entries[e.id]
+    const file = old ? old.file : _fileName(e, ext)
+    const full = path.join(dir, file)
+    if (old && (old.hash === hash) && fs.existsSync(full)) {
+      ret.unchanged++
+    } else {
+      await fs.promises.writeFile(full, doc, 'utf8')
+      ret.written.push(file)
+    }
+    manifest.entries[e.id] = {
+      file,
+      hash,
+      title: meta.title,
+      feed: meta.feed,
+      published: meta.published || meta.crawled
+    }
+  }
+
+  if (opts.prune && (count < opts.limit)) {
+    for (const [id, info] of Object.entries(manifest.entries)) {
+      if (!seen.has(id)) {
+        await _unlink(path.join(dir, info.file))
+        delete manifest.entries[id]
+        ret.removed.push(info.file)
+      }
+    }
+  }
+
+  const items = Object.values(manifest.entries)
+    .sort((a, b) => (b.published || '').localeCompare(a.published || ''))
+  const index = _index(opts.format, streamId, items)
+  ret.index = path.join(dir, `index${ext}`)
+  if ((await _read(ret.index)) !== index) {
+    await fs.promises.writeFile(ret.index, index, 'utf8')
+  }
+  await fs.promises.writeFile(
+    manifestFile, JSON.stringify(manifest, null, 2), 'utf8')
+  return ret
+}
+
+module.exports = {
+  archiveStream
+}
@@ -0,0 +1,164 @@
+'use strict'
+
+/**
+ * Authenticate with the browser-based OAuth flow, using the client_id and
+ * client_secret options.  This is the default strategy.  Tokens are kept
+ * in the token store, and refreshed as needed.
+ */
+class OAuthStrategy {
+  /// @nodoc
+  attach (feedly) {
+    const { client_id: id, client_secret: secret } = feedly.options
+    if ((id == null) || (secret == null)) {
+      throw new Error('client_id and client_secret required')
+    }
+  }
+
+  /**
+   * Get a valid access token, authenticating or refreshing as needed.
+   *
+   * @param {Feedly} feedly - the instance that needs the token
+   * @returns {Promise(String)} the access token
+   */
+  async getToken (feedly) {
+    if (!feedly._validToken()) {
+      // do full auth
+      return feedly._auth()
+    } else if ((feedly.state.expires - new Date()) < feedly.options.slop) {
+      return feedly._refresh()
+    }
+    return feedly.state.access_token
+  }
+
+  /**
+   * Get a new access token.  If the current refresh token is not valid,
+   * authenticate again.
+   *
+   * @param {Feedly} feedly - the instance that needs the token
+   * @returns {Promise(String)} the new access token
+   */
+  async refresh (feedly) {
+    return feedly._validToken() ? feedly._refresh() : feedly._auth()
+  }
+
+  /**
+   * Revoke the refresh token, if there is one.
+   *
+   * @param {Feedly} feedly - the instance logging out
+   * @returns {Promise} Done
+   */
+  async logout (feedly) {
+    if (feedly.state.refresh_token != null) {
+      await feedly._revoke()
+    }
+  }
+}
+
+/**
+ * Use a Feedly developer access token, or any other long-lived token.
+ * Developer tokens can not be refreshed; generate a new one when it
+ * expires.
+ *
+ * @see https://developer.feedly.com/v3/developer/
+ */
+class DeveloperTokenStrategy {
+  /**
+   * Creates an instance of DeveloperTokenStrategy.
+   *
+   * @param {Object|String} [options] - Options, or the token
+   * @param {String} [options.token] - The access token.
+   *   (default: the FEEDLY_ACCESS_TOKEN environment variable)
+   * @param {String} [options.userId] - The user ID that the token is for,
+   *   used to build tag and category IDs.
+   *   (default: the FEEDLY_USER_ID environment variable)
+   */
+  constructor (options) {
+    if (typeof options === 'string') {
+      options = { token: options }
+    }
+    this.options = Object.assign({}, {
+      token: process.env.FEEDLY_ACCESS_TOKEN,
+      userId: process.env.FEEDLY_USER_ID
+    }, options)
+  }
+
+  /**
+   * Get the access token.
+   *
+   * @param {Feedly} feedly - the instance that needs the token
+   * @returns {Promise(String)} the access token
+   */
+  async getToken (feedly) {
+    const { token, userId } = this.options
+    if (token == null) {
+      throw new Error('No developer access token; set FEEDLY_ACCESS_TOKEN')
+    }
+    if ((userId != null) && (feedly.state.id == null)) {
+      feedly.state.id = userId
+    }
+    return token
+  }
+}
+
+/**
+ * Get tokens from a function supplied by the caller, for tokens that are
+ * issued and managed outside of this library.  The provider is called
+ * every time a token is needed, so it should cache tokens itself.
+ */
+class TokenProviderStrategy {
+  /**
+   * Creates an instance of TokenProviderStrategy.
+   *
+   * @param {Function} provider - async Function(Object) that returns
+   *   either the access token as a string, or an object with at least an
+   *   `access_token` property, which will be merged into the Feedly state
+   *   (for example, to supply the user's `id`).  The argument is
+   *   `{ feedly, refresh }`, where `refresh` is true if the previous token
+   *   was rejected or a new token was explicitly requested.
+   */
+  constructor (provider) {
+    if (typeof provider !== 'function') {
+      throw new TypeError('provider must be a function')
+    }
+    this.provider = provider
+  }
+
+  /// @nodoc
+  async _call (feedly, refresh) {
+    const res = await this.provider({ feedly, refresh })
+    if (typeof res === 'string') {
+      return res
+    }
+    if ((res == null) || (typeof res.access_token !== 'string')) {
+      throw new Error('Token provider did not return an access token')
+    }
+    feedly.state = Object.assign({}, feedly.state, res)
+    return res.access_token
+  }
+
+  /**
+   * Get an access token from the provider.
+   *
+   * @param {Feedly} feedly - the instance that needs the token
+   * @returns {Promise(String)} the access token
+   */
+  getToken (feedly) {
+    return this._call(feedly, false)
+  }
+
+  /**
+   * Ask the provider for a new access token.
+   *
+   * @param {Feedly} feedly - the instance that needs the token
+   * @returns {Promise(String)} the new access token
+   */
+  refresh (feedly) {
+    return this._call(feedly, true)
+  }
+}
+
+module.exports = {
+  OAuthStrategy,
+  DeveloperTokenStrategy,
+  TokenProviderStrategy
+}
@@ -0,0 +1,415 @@
+'use strict'
+
+const fs = require('fs')
+const { parseArgs } = require('util')
+
+const Feedly = require('./feedly')
+const utils = require('./utils')
+const { DeveloperTokenStrategy } = require('./auth')
+const StreamId = require('./streamid')
+
+const USAGE = `\
+Usage: feedly [options] <command> [args]
+
+Commands:
+  login                         Log in, opening a browser if needed
+  logout                        Revoke tokens and forget them
+  profile                       Show your profile
+  subs                          List subscriptions
+  subscribe <url>               Subscribe to a feed (--category, --title)
+  unsubscribe <feed>            Unsubscribe from a feed
+  unread                        Unread counts (--category)
+  read <stream>                 List entries (--unread, --limit)
+  mark-read <id...>             Mark entries, feeds, categories or tags read
+  tag <entry> <tag...>          Tag an entry
+  untag <entry> <tag...>        Remove tags from an entry
+  search <query>                Search for feeds (--limit)
+
+A <stream> is a feed URL, a feed/ or user/ stream ID, "all", "saved", or a
+category label.
+
+Options:
+  -j, --json                    Print JSON instead of a table
+  -c, --category <label>        Category for subscribe or unread; repeatable
+  -t, --title <title>           Title for subscribe
+  -u, --unread                  Only unread entries, for read
+  -n, --limit <n>               Maximum number of results
+      --client-id <id>          API client ID        (FEEDLY_CLIENT_ID)
+      --client-secret <secret>  API client secret    (FEEDLY_CLIENT_SECRET)
+      --token <token>           Developer token      (FEEDLY_ACCESS_TOKEN)
+      --base <url>              API base URL         (FEEDLY_BASE)
+      --config-file <file>      Token storage, "" for none
+                                                     (FEEDLY_CONFIG_FILE)
+      --headless                Paste the redirect URL instead of listening
+      --rc <file>               Config file          (FEEDLY_RC, ~/.feedlyrc)
+  -h, --help                    Show this help
+`
+
+const OPTIONS = {
+  json: { type: 'boolean', short: 'j' },
+  category: { type: 'string', short: 'c', multiple: true },
+  title: { type: 'string', short: 't' },
+  unread: { type: 'boolean', short: 'u' },
+  limit: { type: 'string', short: 'n' },
+  'client-id': { type: 'string' },
+  'client-secret': { type: 'string' },
+  token: { type: 'string' },
+  base: { type: 'string' },
+  'config-file': { type: 'string' },
+  headless: { type: 'boolean' },
+  rc: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+}
+
+// rc file and environment variable names for each config setting
+const SETTINGS = {
+  client_id: 'FEEDLY_CLIENT_ID',
+  client_secret: 'FEEDLY_CLIENT_SECRET',
+  token: 'FEEDLY_ACCESS_TOKEN',
+  user_id: 'FEEDLY_USER_ID',
+  base: 'FEEDLY_BASE',
+  config_file: 'FEEDLY_CONFIG_FILE',
+  headless: 'FEEDLY_HEADLESS'
+}
+
+/// @nodoc
+class UsageError extends Error {
+}
+
+/// @nodoc
+function _date (ms) {
+  return (ms == null) ? '' : new Date(ms).toISOString().slice(0, 16).replace('T', ' ')
+}
+
+/**
+ * The `feedly` command-line tool.  Settings come from command-line flags,
+ * then environment variables, then a JSON rc file (`~/.feedlyrc` by
+ * default) with client_id, client_secret, token, user_id, base,
+ * config_file and headless properties, plus any other {@link Feedly}
+ * options.
+ */
+class CLI {
+  /**
+   * Creates an instance of CLI.
+   *
+   * @param {Object} [options] - Options for the tool
+   * @param {stream.Writable} [options.stdout] - Where to write results.
+   *   (default: process.stdout)
+   * @param {stream.Writable} [options.stderr] - Where to write errors.
+   *   (default: process.stderr)
+   * @param {Object} [options.env] - Environment variables.
+   *   (default: process.env)
+   * @param {Object} [options.feedly] - Extra options for the Feedly
+   *   instance, overriding all other settings
+   */
+  constructor (options) {
+    this.options = Object.assign({}, {
+      stdout: process.stdout,
+      stderr: process.stderr,
+      env: process.env,
+      feedly: {}
+    }, options)
+    this.feedly = null
+    this.json = false
+  }
+
+  /**
+   * Run a command.
+   *
+   * @param {Array(String)} argv - the arguments, without the node binary
+   *   and script name
+   * @returns {Promise(int)} the exit code: 0 on success, 1 on error, 2 on
+   *   a usage error
+   */
+  async run (argv) {
+    let values = null
+    let positionals = null
+    try {
+      ({ values, positionals } = parseArgs({
+        args: argv,
+        options: OPTIONS,
+        allowPositionals: true
+      }))
+    } catch (er) {
+      this._error(er.message)
+      this.options.stderr.write(USAGE)
+      return 2
+    }
+    const [cmd, ...args] = positionals
+    if (values.help || (cmd == null)) {
+      this.options.stdout.write(USAGE)
+      return values.help ? 0 : 2
+    }
+    const method = `_cmd_${cmd.replace(/-/g, '_')}`
+    if (typeof this[method] !== 'function') {
+      this._error(`Unknown command: ${cmd}`)
+      this.options.stderr.write(USAGE)
+      return 2
+    }
+    this.json = Boolean(values.json)
+    try {
+      this.feedly = await this._createFeedly(values)
+      await this[method](args, values)
+      return 0
+    } catch (er) {
+      this._error(er.message)
+      if (er instanceof UsageError) {
+        this.options.stderr.write(USAGE)
+        return 2
+      }
+      return 1
+    }
+  }
+
+  /// @nodoc
+  async _readRC (file) {
+    const explicit = (file != null)
+    file = utils.untildify(file || '~/.feedlyrc')
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'))
+    } catch (er) {
+      if ((er.code === 'ENOENT') && !explicit) {
+        return {}
+      }
+      throw new Error(`Invalid rc file "${file}": ${er.message}`)
+    }
+  }
+
+  /// @nodoc
+  async _config (values) {
+    const { env } = this.options
+    const config = await this._readRC(values.rc || env.FEEDLY_RC)
+    for (const [k, v] of Object.entries(SETTINGS)) {
+      if (env[v] != null) {
+        config[k] = (k === 'headless') ? (env[v] === 'true') : env[v]
+      }
+    }
+    for (const k of Object.keys(SETTINGS)) {
+      const flag = values[k.replace(/_/g, '-')]
+      if (flag != null) {
+        config[k] = flag
+      }
+    }
+    return config
+  }
+
+  /// @nodoc
+  async _createFeedly (values) {
+    const { token, user_id: userId, ...options } = await this._config(values)
+    if (options.config_file === '') {
+      options.config_file = null
+    }
+    if (token != null) {
+      options.auth = new DeveloperTokenStrategy({ token, userId })
+    } else if ((options.client_id == null) || (options.client_secret == null)) {
+      throw new Error(
+        'Specify a developer token, or a client ID and secret; see --help')
+    }
+    const f = new Feedly(Object.assign(options, this.options.feedly))
+    await f.ready
+    return f
+  }
+
+  /// @nodoc
+  _error (msg) {
+    this.options.stderr.write(`feedly: ${msg}\n`)
+  }
+
+  /// @nodoc
+  _print (obj, columns, rows) {
+    const out = this.options.stdout
+    if (this.json) {
+      out.write(JSON.stringify(obj, null, 2) + '\n')
+      return
+    }
+    if (columns == null) {
+      if (obj != null) {
+        out.write(`${obj}\n`)
+      }
+      return
+    }
+    const table = [columns.map(c => c.toUpperCase())]
+      .concat(rows.map(r => r.map(c => (c == null) ? '' : String(c))))
+    const widths = columns.map((c, i) =>
+      Math.max(...table.map(r => r[i].length)))
+    for (const r of table) {
+      out.write(r.map((c, i) => (i === r.length - 1) ? c : c.padEnd(widths[i]))
+        .join('  ')
+        .trimEnd() + '\n')
+    }
+  }
+
+  /// @nodoc
+  _args (args, min, name) {
+    if (args.length < min) {
+      throw new UsageError(`Missing ${name}`)
+    }
+    return args
+  }
+
+  /// @nodoc
+  _limit (values) {
+    if (values.limit == null) {
+      return Infinity
+    }
+    const n = parseInt(values.limit, 10)
+    if (!(n > 0)) {
+      throw new UsageError(`Invalid limit: "${values.limit}"`)
+    }
+    return n
+  }
+
+  /**
+   * Turn a stream name from the command line into a stream ID.
+   *
+   * @param {String} name - a stream ID, feed URL, "all", "saved", or a
+   *   category label
+   * @returns {String} the stream ID
+   */
+  static streamId (name) {
+    if (name.startsWith('feed/') || StreamId.isUserOrEnterprise(name)) {
+      return name
+    }
+    if (name.match(/^https?:\/\//)) {
+      return StreamId.feed(name)
+    }
+    const streams = StreamId.forUser()
+    switch (name) {
+      case 'all':
+        return streams.all()
+      case 'saved':
+        return streams.saved()
+    }
+    return streams.category(name)
+  }
+
+  /// @nodoc
+  async _cmd_login () {
+    const p = await this.feedly.profile()
+    this._print(this.json ? p : `Logged in as ${p.fullName || p.email || p.id}`)
+  }
+
+  /// @nodoc
+  async _cmd_logout () {
+    await this.feedly.logout()
+    this._print(this.json ? {} : 'Logged out')
+  }
+
+  /// @nodoc
+  async _cmd_profile () {
+    const p = await this.feedly.profile()
+    this._print(p, ['field', 'value'], Object.entries(p)
+      .filter(([k, v]) => (v == null) || (typeof v !== 'object')))
+  }
+
+  /// @nodoc
+  async _cmd_subs () {
+    const subs = await this.feedly.subscriptions()
+    this._print(subs, ['id', 'title', 'categories'], subs.map(s => [
+      s.id,
+      s.title,
+      (s.categories || []).map(c => c.label).join(', ')
+    ]))
+  }
+
+  /// @nodoc
+  async _cmd_subscribe (args, values) {
+    const [url] = this._args(args, 1, 'feed URL')
+    const subs = await this.feedly.subscribe(url, values.category, values.title)
+    this._print(subs, ['id', 'title'], subs.map(s => [s.id, s.title]))
+  }
+
+  /// @nodoc
+  async _cmd_unsubscribe (args) {
+    const [feed] = this._args(args, 1, 'feed')
+    const id = CLI.streamId(feed)
+    await this.feedly.unsubscribe(id)
+    this._print(this.json ? { id } : `Unsubscribed from ${id}`)
+  }
+
+  /// @nodoc
+  async _cmd_unread (args, values) {
+    const cats = values.category || []
+    const streamId = (cats.length > 0) ? CLI.streamId(cats[0]) : null
+    const { unreadcounts } = await this.feedly.counts(null, null, streamId)
+    const counts = unreadcounts
+      .filter(c => c.count > 0)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, this._limit(values))
+    this._print(counts, ['count', 'id'], counts.map(c => [c.count, c.id]))
+  }
+
+  /// @nodoc
+  async _cmd_read (args, values) {
+    const [stream] = this._args(args, 1, 'stream')
+    const entries = []
+    for await (const e of this.feedly.iterateContents(CLI.streamId(stream), {
+      unreadOnly: Boolean(values.unread),
+      max: this._limit(values)
+    })) {
+      entries.push(e)
+    }
+    this._print(entries, ['published', 'title', 'url', 'id'], entries.map(e => [
+      _date(e.published || e.crawled),
+      e.title,
+      e.canonicalUrl || ((e.alternate && e.alternate[0]) || {}).href,
+      e.id
+    ]))
+  }
+
+  /// @nodoc
+  async _cmd_mark_read (args) {
+    this._args(args, 1, 'entry or stream ID')
+    const groups = { feeds: [], categories: [], tags: [], entries: [] }
+    const types = { feed: 'feeds', category: 'categories', tag: 'tags' }
+    for (const a of args) {
+      const parsed = StreamId.parse(a)
+      groups[(parsed == null) ? 'entries' : types[parsed.type]].push(a)
+    }
+    const f = this.feedly
+    if (groups.feeds.length > 0) {
+      await f.markFeedRead(groups.feeds)
+    }
+    if (groups.categories.length > 0) {
+      await f.markCategoryRead(groups.categories)
+    }
+    if (groups.tags.length > 0) {
+      await f.markTagRead(groups.tags)
+    }
+    if (groups.entries.length > 0) {
+      await f.markEntryRead(groups.entries)
+    }
+    this._print(this.json ? groups : `Marked ${args.length} read`)
+  }
+
+  /// @nodoc
+  async _cmd_tag (args) {
+    const [entry, ...tags] = this._args(args, 2, 'entry or tag')
+    await this.feedly.tagEntry(entry, tags)
+    this._print(this.json ? { entry, tags } : `Tagged ${entry}`)
+  }
+
+  /// @nodoc
+  async _cmd_untag (args) {
+    const [entry, ...tags] = this._args(args, 2, 'entry or tag')
+    await this.feedly.untagEntries(entry, tags)
+    this._print(this.json ? { entry, tags } : `Untagged ${entry}`)
+  }
+
+  /// @nodoc
+  async _cmd_search (args, values) {
+    this._args(args, 1, 'query')
+    const limit = this._limit(values)
+    const { results } = await this.feedly.searchFeeds(
+      args.join(' '),
+      (limit === Infinity) ? undefined : limit)
+    this._print(results, ['title', 'id', 'subscribers'], results.map(r => [
+      r.title,
+      r.feedId || r.id,
+      r.subscribers
+    ]))
+  }
+}
+
+CLI.USAGE = USAGE
+module.exports = CLI
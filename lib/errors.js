@@ -0,0 +1,178 @@
+'use strict'
+
+const SECRET_PARAMS = [
+  'access_token',
+  'client_secret',
+  'code',
+  'code_verifier',
+  'refresh_token'
+]
+
+/// @nodoc
+function _redact (uri) {
+  if (uri == null) {
+    return uri
+  }
+  let u = null
+  try {
+    u = new URL(uri)
+  } catch (ignored) {
+    return uri
+  }
+  for (const p of SECRET_PARAMS) {
+    if (u.searchParams.has(p)) {
+      u.searchParams.set(p, 'REDACTED')
+    }
+  }
+  return u.toString()
+}
+
+/// @nodoc
+function _retryAfter (value) {
+  if ((value == null) || (value === '')) {
+    return null
+  }
+  const secs = Number(value)
+  if (!Number.isNaN(secs)) {
+    return secs
+  }
+  const date = Date.parse(value)
+  if (Number.isNaN(date)) {
+    return null
+  }
+  return Math.max(0, Math.ceil((date - Date.now()) / 1000))
+}
+
+/**
+ * The Feedly API returned an HTTP error.
+ *
+ * @property {int} statusCode - the HTTP status code
+ * @property {int} [errorCode] - the `errorCode` from the Feedly error body
+ * @property {String} [errorMessage] - the `errorMessage` from the Feedly
+ *   error body
+ * @property {String} [errorId] - the `errorId` from the Feedly error body,
+ *   useful when reporting problems to Feedly
+ * @property {String} method - the HTTP method of the request
+ * @property {String} url - the URL of the request, with any tokens or
+ *   secrets redacted
+ * @property {Object} headers - the response headers
+ * @property {any} body - the response body
+ */
+class FeedlyHTTPError extends Error {
+  /**
+   * Creates an instance of FeedlyHTTPError.
+   *
+   * @param {Object} res - Information about the response
+   * @param {String} res.method - the HTTP method of the request
+   * @param {String} res.url - the URL of the request
+   * @param {int} res.statusCode - the HTTP status code
+   * @param {Object} [res.headers] - the response headers
+   * @param {any} [res.body] - the response body
+   */
+  constructor (res) {
+    let { body } = res
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body)
+      } catch (ignored) {
+      }
+    }
+    const feedly = ((body != null) && (typeof body === 'object')) ? body : {}
+    const url = _redact(res.url)
+    let msg = `HTTP error: ${res.statusCode} (${res.method} ${url})`
+    if (feedly.errorMessage != null) {
+      msg += `: ${feedly.errorMessage}`
+    }
+    super(msg)
+    this.name = this.constructor.name
+    this.statusCode = res.statusCode
+    this.errorCode = feedly.errorCode
+    this.errorMessage = feedly.errorMessage
+    this.errorId = feedly.errorId
+    this.method = res.method
+    this.url = url
+    this.headers = res.headers || {}
+    this.body = body
+  }
+
+  /**
+   * Create an error of the most specific type for the status code.
+   *
+   * @param {Object} res - Information about the response, as for the
+   *   constructor
+   * @returns {FeedlyHTTPError} the error
+   */
+  static fromResponse (res) {
+    switch (res.statusCode) {
+      case 401:
+      case 403:
+        return new FeedlyAuthError(res)
+      case 429:
+        return new FeedlyRateLimitError(res)
+      default:
+        return new FeedlyHTTPError(res)
+    }
+  }
+}
+
+/**
+ * The access token was missing, invalid or expired (HTTP 401), or does not
+ * allow the request (HTTP 403).
+ */
+class FeedlyAuthError extends FeedlyHTTPError {
+}
+
+/**
+ * Too many requests (HTTP 429).
+ *
+ * @property {int} [retryAfter] - the number of seconds to wait before
+ *   trying again, from the Retry-After header, if it was sent
+ */
+class FeedlyRateLimitError extends FeedlyHTTPError {
+  constructor (res) {
+    super(res)
+    const ra = _retryAfter(this.headers['retry-after'])
+    if (ra != null) {
+      this.retryAfter = ra
+    }
+  }
+}
+
+/**
+ * The request could not be completed, because of a network problem such
+ * as a DNS failure, refused connection or timeout.  The original error is
+ * in `cause`.
+ *
+ * @property {String} method - the HTTP method of the request
+ * @property {String} url - the URL of the request, with any tokens or
+ *   secrets redacted
+ * @property {String} [code] - the system error code, such as 'ECONNREFUSED'
+ */
+class FeedlyNetworkError extends Error {
+  /**
+   * Creates an instance of FeedlyNetworkError.
+   *
+   * @param {Error} cause - the underlying error
+   * @param {Object} req - Information about the request
+   * @param {String} req.method - the HTTP method of the request
+   * @param {String} req.url - the URL of the request
+   */
+  constructor (cause, req) {
+    const url = _redact(req.url)
+    super(`Network error: ${cause.message} (${req.method} ${url})`, { cause })
+    this.name = this.constructor.name
+    this.method = req.method
+    this.url = url
+    this.code = cause.code
+  }
+}
+
+module.exports = {
+  FeedlyHTTPError,
+  FeedlyAuthError,
+  FeedlyRateLimitError,
+  FeedlyNetworkError,
+  SECRET_PARAMS,
+  _redact,
+  _retryAfter
+}
@@ -1,23 +1,54 @@
 'use strict'
 
+const { EventEmitter } = require('events')
 const fs = require('fs')
 const path = require('path')
 const url = require('url')
 const util = require('util')
 const readFile = util.promisify(fs.readFile)
-const writeFile = util.promisify(fs.writeFile)
 
 const open = require('opn')
-const untildify = require('untildify')
 
 const utils = require('./utils')
+const { FileTokenStore, MemoryTokenStore, EnvTokenStore } = require('./stores')
+const {
+  FeedlyHTTPError,
+  FeedlyAuthError,
+  FeedlyRateLimitError,
+  FeedlyNetworkError
+} = require('./errors')
+const { parseRateLimit, RetryPolicy } = require('./ratelimit')
+const RequestScheduler = require('./scheduler')
+const { createFetchTransport } = require('./transport')
+const { parseOPML, opmlFeeds, buildOPML } = require('./opml')
+const FeedlyWatcher = require('./watch')
+const StreamId = require('./streamid')
+const { archiveStream } = require('./archive')
+const { createFeedHandler, _exportFeed } = require('./syndication')
+const {
+  Entry,
+  Feed,
+  Subscription,
+  Category,
+  Tag
+} = require('./models')
+const {
+  createDebugLogger,
+  createTimingCollector
+} = require('./middleware')
+const {
+  createRecordingTransport,
+  createReplayTransport
+} = require('./fixtures')
+const {
+  OAuthStrategy,
+  DeveloperTokenStrategy,
+  TokenProviderStrategy
+} = require('./auth')
 
 /// @nodoc
-function _normalizeTag (str, userid) {
-  if (!str.match(/^user\//)) {
-    str = `user/${userid}/tag/${str}`
-  }
-  return encodeURIComponent(str)
+function _pathIds (ids) {
+  return ids.map(id => encodeURIComponent(id)).join(',')
 }
 
 /// @nodoc
@@ -36,6 +67,16 @@ function _pickCB (...args) {
   return [null, ...args]
 }
 
+/// @nodoc
+function _isResponse (res) {
+  // So that hooks like `req => (req.headers.x = 'y')` don't return 'y' as
+  // the response by accident
+  return (res != null) &&
+    (typeof res === 'object') &&
+    ((typeof res.statusCode === 'number') ||
+     Object.prototype.hasOwnProperty.call(res, 'body'))
+}
+
 function _streamOptions (opts, cb) {
   switch (typeof opts) {
     case 'function':
@@ -67,10 +108,23 @@ function _streamOptions (opts, cb) {
  * All of the methods that take a callback also return
  * a promise - the callback is therefore optional.
  *
+ * Errors from the API are {@link FeedlyHTTPError}s (or the more specific
+ * {@link FeedlyAuthError} and {@link FeedlyRateLimitError}); errors
+ * reaching the API are {@link FeedlyNetworkError}s.
+ *
+ * Events:
+ *
+ * - `rateLimit` (Object): the number of requests made in the current
+ *   period has gone over `rate_limit_warning` of the limit.  The argument
+ *   is the same as {@link Feedly#rateLimit}.
+ * - `retry` (Object): a request failed, and will be retried.  The
+ *   argument is `{ attempt, delay, error }`.
+ *
  * WARNING: by default, this class stores state information such
- * as your access token in ~/.feedly by default.
+ * as your access token in ~/.feedly by default.  Pass a different
+ * `tokenStore` to keep it somewhere else.
  */
-class Feedly {
+class Feedly extends EventEmitter {
   /**
    * Creates an instance of Feedly.
    *
@@ -81,51 +135,186 @@ class Feedly {
    *   (default: 'http://cloud.feedly.com')
    * @param {String} [options.config_file] - File in which state information such
    *   as the access token and refresh tokens are stored.  Tildes are expanded
-   *   as needed.  (default: '~/.feedly')
+   *   as needed.  Ignored if tokenStore is specified.  If null, and there is
+   *   no tokenStore, the state is only kept in memory.  (default: '~/.feedly')
+   * @param {String} [options.config_passphrase] - If specified, encrypt
+   *   config_file with a key derived from this passphrase.  An existing
+   *   plaintext file will be encrypted the first time it is read.
+   * @param {Buffer|String} [options.config_key] - If specified, encrypt
+   *   config_file with this 32-byte key (hex or base64 if a string).
+   * @param {Object} [options.tokenStore] - Where to keep state information.
+   *   An object with async `get()`, `set(state)` and `delete()` methods,
+   *   such as a {@link FileTokenStore}, {@link MemoryTokenStore} or
+   *   {@link EnvTokenStore}.  (default: a FileTokenStore for config_file)
    * @param {String} [options.html_file] - File that contains the HTML to give to
    *   the web browser after it is redirected to the one-shot web server that
-   *   we'll be running.  (default: '../html/index.html')
+   *   we'll be running.  `{{status}}` ("succeeded" or "failed") and
+   *   `{{message}}` in the HTML are replaced with the result of the
+   *   authentication.  (default: '../html/index.html')
    * @param {String} [options.html_text] - If html_file is null or the file can't
    *   be read, use this text instead.  (default: 'No HTML found')
+   * @param {Boolean} [options.headless] - If true, don't open a browser or
+   *   listen for the callback.  Instead, print the authorization URL (or pass
+   *   it to opener), then wait for the URL that the browser was redirected to
+   *   (or just the code from it) to be pasted on stdin (or returned from
+   *   prompt).  Useful over SSH or on CI machines.  (default: false)
+   * @param {Function} [options.opener] - Function(String) called with the
+   *   authorization URL, instead of opening it in the default browser (or
+   *   printing it, in headless mode).  May return a promise.
+   * @param {Function} [options.prompt] - In headless mode, async
+   *   Function(String, AbortSignal) called with the authorization URL,
+   *   which returns the redirect URL or code, instead of reading it from
+   *   stdin.  The signal fires if auth_timeout passes.
+   * @param {String} [options.redirect_uri] - In headless mode, the redirect
+   *   URI registered for the client.  (default: 'http://localhost')
+   * @param {Boolean} [options.pkce] - Use a PKCE code challenge when
+   *   authenticating.  (default: false)
+   * @param {int} [options.auth_timeout] - Give up on authentication after
+   *   this many milliseconds.  Set to 0 to wait forever.  (default: 300000)
    * @param {int} [options.slop] - If there is less than this amount of time (in
    *   milliseconds) between now and the expiration of the access token, refresh
    *   the token.  (default: 3600000)
-   * @param {String} options.client_id - The API client ID.  (REQUIRED)
-   * @param {String} options.client_secret - The API client Secret.  (REQUIRED)
+   * @param {Boolean} [options.auto_refresh] - If true, refresh the access
+   *   token in the background when it gets within slop of expiring, rather
+   *   than waiting for the next request.  This only uses the refresh token;
+   *   it never starts a new login.  The timer does not keep the process
+   *   alive.  (default: false)
+   * @param {Object} [options.auth] - How to get access tokens.  An object
+   *   with an async `getToken(feedly)` method, and optional async
+   *   `refresh(feedly)` and `logout(feedly)` methods, such as an
+   *   {@link OAuthStrategy}, {@link DeveloperTokenStrategy} or
+   *   {@link TokenProviderStrategy}.  (default: an OAuthStrategy)
+   * @param {Object|Boolean} [options.retry] - How to retry requests that
+   *   fail with 429 or 5xx errors.  Either false to never retry, a
+   *   {@link RetryPolicy}, or options for a RetryPolicy.  Only idempotent
+   *   methods are retried by default.  (default: new RetryPolicy())
+   * @param {Boolean} [options.models] - If true, return {@link Entry},
+   *   {@link Feed}, {@link Subscription}, {@link Category} and {@link Tag}
+   *   objects, with helper methods, instead of plain objects.
+   *   (default: false)
+   * @param {Object|Boolean} [options.scheduler] - How many requests to have
+   *   in flight at once, and how fast to start them.  Either false for no
+   *   limits, a {@link RequestScheduler}, or options for a
+   *   RequestScheduler.  See {@link Feedly#background}.
+   *   (default: new RequestScheduler())
+   * @param {Number} [options.rate_limit_warning] - Emit a `rateLimit` event
+   *   when this fraction of the rate limit has been used.  (default: 0.9)
+   * @param {Function} [options.transport] - async Function(Object) that
+   *   performs each HTTP request; see {@link Transport}.  Use this to route
+   *   requests through your own HTTP stack, or to test without a network.
+   *   (default: a transport using Node's fetch)
+   * @param {Object} [options.dispatcher] - An undici Dispatcher for the
+   *   default transport, such as an `Agent` to tune keep-alive or a
+   *   `ProxyAgent` to use a proxy.  Ignored if transport is specified.
+   * @param {int} [options.timeout] - Milliseconds to wait for each HTTP
+   *   response, or 0 to wait forever.  (default: 30000)
+   * @param {int} [options.chunk_size] - The most IDs to send in one
+   *   request.  Longer lists passed to {@link Feedly#entry},
+   *   {@link Feedly#feed}, {@link Feedly#markEntryRead},
+   *   {@link Feedly#markEntryUnread} and {@link Feedly#tagEntry} are split
+   *   into several requests.  (default: 1000)
+   * @param {int} [options.concurrency] - The most of those requests to
+   *   have in flight at once.  (default: 4)
+   * @param {String} [options.client_id] - The API client ID.  (REQUIRED for
+   *   OAuthStrategy)
+   * @param {String} [options.client_secret] - The API client Secret.
+   *   (REQUIRED for OAuthStrategy)
    */
   constructor (options) {
+    super()
     this.options = Object.assign({}, {
       port: 0,
       base: 'http://cloud.feedly.com',
       config_file: '~/.feedly',
+      config_passphrase: null,
+      config_key: null,
+      tokenStore: null,
       html_file: path.join(__dirname, '../html/index.html'),
       html_text: 'No HTML found',
+      headless: false,
+      opener: null,
+      prompt: null,
+      redirect_uri: 'http://localhost',
+      pkce: false,
+      auth_timeout: 300000,
       slop: 3600000,
+      auto_refresh: false,
+      auth: null,
+      retry: null,
+      scheduler: null,
+      models: false,
+      rate_limit_warning: 0.9,
+      transport: null,
+      dispatcher: null,
+      timeout: 30000,
+      chunk_size: 1000,
+      concurrency: 4,
       client_id: null,
       client_secret: null
     }, options)
-    this.options.config_file = untildify(this.options.config_file)
-    this.options.html_file = untildify(this.options.html_file)
-    if ((this.options.client_id == null) || (this.options.client_secret == null)) {
-      throw new Error('client_id and client_secret required')
+    this.options.config_file = utils.untildify(this.options.config_file)
+    this.options.html_file = utils.untildify(this.options.html_file)
+    this.auth = this.options.auth || new OAuthStrategy()
+    if (typeof this.auth.attach === 'function') {
+      this.auth.attach(this)
     }
     this.state = {}
+    this._middleware = []
+    this.tokenStore = this.options.tokenStore
+    if (this.tokenStore == null) {
+      this.tokenStore = (this.options.config_file == null)
+        ? new MemoryTokenStore()
+        : new FileTokenStore(this.options.config_file, {
+          passphrase: this.options.config_passphrase,
+          key: this.options.config_key
+        })
+    }
+
+    this.transport = this.options.transport
+    if (this.transport == null) {
+      this.transport = (this.options.dispatcher == null)
+        ? utils.defaultTransport()
+        : createFetchTransport({ dispatcher: this.options.dispatcher })
+    }
+
+    const { retry } = this.options
+    if (retry === false) {
+      this.retryPolicy = new RetryPolicy({ retries: 0 })
+    } else if (retry instanceof RetryPolicy) {
+      this.retryPolicy = retry
+    } else {
+      this.retryPolicy = new RetryPolicy(retry)
+    }
+
+    const { scheduler } = this.options
+    if (scheduler === false) {
+      this.scheduler = new RequestScheduler({ maxConcurrent: Infinity })
+    } else if (scheduler instanceof RequestScheduler) {
+      this.scheduler = scheduler
+    } else {
+      this.scheduler = new RequestScheduler(scheduler)
+    }
+    this._rateLimit = null
+    this._authPending = null
+    this._token = null
+    this._refreshTimer = null
 
     // allSettled ignores errors
     this.ready = Promise.all([this._loadConfig(), this._loadHTML()])
+      .then(() => this._scheduleRefresh())
+    // Store errors are reported by each call that waits for ready, so they
+    // aren't unhandled if no call is ever made
+    this.ready.catch(() => {})
   }
 
   /// @nodoc
   async _loadConfig () {
-    if (this.options.config_file == null) { return null }
-    try {
-      const data = await readFile(this.options.config_file)
-      this.state = JSON.parse(data)
-      if (this.state.expires != null) {
-        this.state.expires = new Date(this.state.expires)
-      }
-    } catch (er) {
-      this.state = {}
+    // If the store can't be read, for example because it is encrypted with
+    // a different passphrase, fail rather than starting over, which would
+    // overwrite it
+    this.state = (await this.tokenStore.get()) || {}
+    if (this.state.expires != null) {
+      this.state.expires = new Date(this.state.expires)
     }
   }
 
@@ -143,12 +332,7 @@ class Feedly {
 
   /// @nodoc
   async _save () {
-    if (this.options.config_file != null) {
-      await writeFile(
-        this.options.config_file,
-        JSON.stringify(this.state),
-        { encoding: 'utf8' })
-    }
+    await this.tokenStore.set(this.state)
   }
 
   /// @nodoc
@@ -159,62 +343,213 @@ class Feedly {
            (this.state.expires > new Date())
   }
 
+  /// @nodoc
+  _singleFlight (f) {
+    // Only one authentication, refresh, or token lookup at a time, so that
+    // parallel requests don't each start their own.
+    if (this._authPending == null) {
+      this._authPending = (async () => {
+        try {
+          this._token = await f()
+          return this._token
+        } finally {
+          this._authPending = null
+        }
+      })()
+    }
+    return this._authPending
+  }
+
   /// @nodoc
   async _getAuth () {
     await this.ready
-    if (!this._validToken()) {
-      // do full auth
-      return this._auth()
-    } else if ((this.state.expires - new Date()) > this.options.slop) {
-      return this._refresh()
+    return this._singleFlight(() => this.auth.getToken(this))
+  }
+
+  /// @nodoc
+  async _refreshAuth (stale) {
+    await this.ready
+    if ((this._authPending == null) &&
+        (this._token != null) &&
+        (this._token !== stale)) {
+      // Someone else already got a new token
+      return this._token
     }
-    return this.state.access_token
+    return this._singleFlight(() => this.auth.refresh(this))
   }
 
   /// @nodoc
-  async _auth () {
+  _scheduleRefresh () {
+    clearTimeout(this._refreshTimer)
+    this._refreshTimer = null
+    // Only with a refresh token, since the alternative is to log in again,
+    // which can't happen in the background
+    if (!this.options.auto_refresh ||
+        (typeof this.auth.refresh !== 'function') ||
+        (this.state.refresh_token == null) ||
+        !(this.state.expires instanceof Date)) {
+      return
+    }
+    // Wake up as soon as the token gets within slop of expiring, but not
+    // more often than once a minute if the slop is longer than the lifetime
+    // of the token.  Timers can't be longer than 2^31-1 ms.
+    const delay = Math.min(
+      Math.max(this.state.expires - new Date() - this.options.slop, 60000),
+      0x7fffffff)
+    this._refreshTimer = setTimeout(() => {
+      this._refreshTimer = null
+      if (this.state.refresh_token == null) {
+        return
+      }
+      this._singleFlight(() => this._refresh()).catch(() => {
+        // Ignore errors; the next request will try again
+      })
+    }, delay)
+    this._refreshTimer.unref()
+  }
+
+  /// @nodoc
+  _authURL (redirect, params) {
     const u = new URL(this.options.base)
+    u.pathname = '/v3/auth/auth'
+    u.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.options.client_id,
+      redirect_uri: redirect,
+      scope: 'https://cloud.feedly.com/subscriptions',
+      state: params.state
+    })
+    if (params.verifier != null) {
+      u.searchParams.set('code_challenge', utils.pkceChallenge(params.verifier))
+      u.searchParams.set('code_challenge_method', 'S256')
+    }
+    return url.format(u)
+  }
+
+  /// @nodoc
+  _authParams () {
+    return {
+      state: utils.randomString(16),
+      verifier: this.options.pkce ? utils.randomString(32) : null
+    }
+  }
+
+  /// @nodoc
+  _checkAuthResults (results, params) {
+    if (results.error != null) {
+      return `Authentication failed: ${results.error}`
+    }
+    if (results.state !== params.state) {
+      return 'Authentication failed: invalid state parameter'
+    }
+    if (!results.code) {
+      return 'Authentication failed: no authorization code received'
+    }
+    return null
+  }
+
+  /// @nodoc
+  _renderHTML (error) {
+    const vars = (error == null)
+      ? { status: 'succeeded', message: 'Please close this window.' }
+      : { status: 'failed', message: error }
+    return this.options.html_text.replace(
+      /{{(\w+)}}/g,
+      (m, name) => utils.escapeHTML(vars[name] || ''))
+  }
+
+  /// @nodoc
+  async _auth () {
+    if (this.options.headless) {
+      return this._authHeadless()
+    }
+    const opener = this.options.opener || open
+    const params = this._authParams()
     let cbURL = null
+    let error = null
     const [results] = await utils.qserver(
       this.options.port,
-      this.options.html_text,
+      query => {
+        error = this._checkAuthResults(query, params)
+        return this._renderHTML(error)
+      },
       (cbu) => {
         cbURL = cbu
-        u.pathname = '/v3/auth/auth'
-        u.query = {
-          response_type: 'code',
-          client_id: this.options.client_id,
-          redirect_uri: cbURL,
-          scope: 'https://cloud.feedly.com/subscriptions'
-        }
-        return open(url.format(u))
-      }
+        return opener(this._authURL(cbURL, params))
+      },
+      this.options.auth_timeout
     )
-    if (results.error != null) {
-      throw results.error
+    if (error != null) {
+      throw new Error(error)
     }
-    return this._getToken(results.code, cbURL)
+    return this._getToken(results.code, cbURL, params.verifier)
   }
 
   /// @nodoc
-  async _getToken (code, redirect) {
+  async _authHeadless () {
+    const redirect = this.options.redirect_uri
+    const params = this._authParams()
+    const authURL = this._authURL(redirect, params)
+    if (this.options.opener) {
+      await this.options.opener(authURL)
+    } else {
+      console.error(`Log in to Feedly by opening this URL in a browser:
+
+${authURL}
+`)
+    }
+
+    const ac = new AbortController()
+    const prompt = this.options.prompt || ((u, signal) => utils.qprompt(
+      'Paste the URL you were redirected to (or the code from it): ',
+      signal))
+    const answer = await utils.qtimeout(
+      Promise.resolve(prompt(authURL, ac.signal)),
+      this.options.auth_timeout,
+      'Timed out waiting for authentication',
+      ac)
+
+    let code = (answer == null) ? '' : String(answer).trim()
+    if (code.match(/^[a-z][a-z0-9+.-]*:\/\/|[?&](code|error)=/i)) {
+      // A URL must have come from this login, so its state has to match.
+      // Only a bare code is taken on trust.
+      const results = Object.fromEntries(new URL(code, redirect).searchParams)
+      const error = this._checkAuthResults(results, params)
+      if (error != null) {
+        throw new Error(error)
+      }
+      code = results.code
+    }
+    if (!code) {
+      throw new Error('No authorization code received')
+    }
+    return this._getToken(code, redirect, params.verifier)
+  }
+
+  /// @nodoc
+  async _getToken (code, redirect, verifier) {
     const u = new URL(this.options.base)
     u.pathname = '/v3/auth/token'
 
-    const body = await utils.qrequest({
+    const req = {
+      code,
+      client_id: this.options.client_id,
+      client_secret: this.options.client_secret,
+      grant_type: 'authorization_code',
+      redirect_uri: redirect
+    }
+    if (verifier != null) {
+      req.code_verifier = verifier
+    }
+    const body = await this._qrequest({
       method: 'POST',
       uri: url.format(u),
-      body: {
-        code,
-        client_id: this.options.client_id,
-        client_secret: this.options.client_secret,
-        grant_type: 'authorization_code',
-        redirect_uri: redirect
-      }
+      body: req
     })
     this.state = Object.assign({}, this.state, body)
     this.state.expires = new Date(new Date().getTime() + (body.expires_in * 1000))
     await this._save()
+    this._scheduleRefresh()
     return this.state.access_token
   }
 
@@ -222,79 +557,346 @@ class Feedly {
   async _refresh () {
     const u = new URL(this.options.base)
     u.pathname = '/v3/auth/token'
-    u.query = {
+    u.search = new URLSearchParams({
       refresh_token: this.state.refresh_token,
       client_id: this.options.client_id,
       client_secret: this.options.client_secret,
       grant_type: 'refresh_token'
-    }
+    })
 
-    const body = await utils.qrequest({
+    const body = await this._qrequest({
       method: 'POST',
       uri: url.format(u)
     })
     this.state = Object.assign({}, this.state, body)
     this.state.expires = new Date(new Date().getTime() + (body.expires_in * 1000))
     await this._save()
+    this._scheduleRefresh()
     return this.state.access_token
   }
 
+  /**
+   * Add middleware that can watch or change every HTTP request.  Each
+   * middleware is an object with any of these optional methods, which may
+   * be async:
+   *
+   * - `request(req)`: called before the request is sent, with
+   *   `{ method, url, headers, body }`, which it may change.  Return a
+   *   response, `{ statusCode, headers, body }`, to skip sending the
+   *   request (and the request hooks of later middleware).
+   * - `response(req, res)`: called with each response, including HTTP
+   *   errors, as `{ statusCode, headers, body }`.  Return a response to
+   *   replace it.
+   * - `error(req, er)`: called when the request fails.  Return a response
+   *   to use instead of failing.
+   *
+   * A return value only counts as a response if it is an object with a
+   * numeric `statusCode` or a `body`; anything else, like the result of an
+   * assignment, is ignored.  Hooks are called in the order the middleware
+   * was added.  Retried requests go through the hooks again.
+   *
+   * @example
+   * feedly.use(createDebugLogger())
+   * feedly.use({ request: req => { req.headers['X-Trace'] = traceId() } })
+   *
+   * @param {Object} middleware - the hooks
+   * @returns {Feedly} this, for chaining
+   */
+  use (middleware) {
+    if ((middleware == null) || (typeof middleware !== 'object')) {
+      throw new TypeError('middleware must be an object')
+    }
+    this._middleware.push(middleware)
+    return this
+  }
+
+  /// @nodoc
+  async _hooks (name, ...args) {
+    for (const mw of this._middleware) {
+      if (typeof mw[name] === 'function') {
+        const res = await mw[name](...args)
+        if (_isResponse(res)) {
+          return res
+        }
+      }
+    }
+    return null
+  }
+
   /// @nodoc
-  async _request (callback, path, method, body = null) {
+  async _qrequest (options) {
+    if (this._middleware.length === 0) {
+      return utils.qrequest(Object.assign({
+        transport: this.transport,
+        timeout: this.options.timeout
+      }, options))
+    }
+    const req = {
+      method: options.method || 'GET',
+      url: options.uri,
+      headers: Object.assign({}, options.headers),
+      body: options.body
+    }
+    const fail = async er => {
+      const res = await this._hooks('error', req, er)
+      if (res == null) {
+        throw er
+      }
+      return res.body
+    }
+
+    let res = await this._hooks('request', req)
+    if (res == null) {
+      try {
+        await utils.qrequest(Object.assign({}, options, {
+          transport: this.transport,
+          timeout: this.options.timeout,
+          method: req.method,
+          uri: req.url,
+          headers: req.headers,
+          body: req.body,
+          onResponse: r => {
+            res = r
+            if (typeof options.onResponse === 'function') {
+              options.onResponse(r)
+            }
+          }
+        }))
+      } catch (er) {
+        if (res == null) {
+          return fail(er) // no response at all
+        }
+      }
+    }
+    res = Object.assign({ statusCode: 200, headers: {}, body: null }, res)
+    for (const mw of this._middleware) {
+      if (typeof mw.response === 'function') {
+        const replaced = await mw.response(req, res)
+        if (_isResponse(replaced)) {
+          res = replaced
+        }
+      }
+    }
+    if ((res.statusCode < 200) || (res.statusCode >= 300)) {
+      return fail(FeedlyHTTPError.fromResponse({
+        method: req.method,
+        url: req.url,
+        statusCode: res.statusCode,
+        headers: res.headers,
+        body: res.body
+      }))
+    }
+    return res.body
+  }
+
+  /**
+   * The most recent rate limit information returned by Feedly, or null if
+   * none has been received yet.
+   *
+   * @type {Object}
+   * @property {int} count - requests made in the current period
+   * @property {int} limit - requests allowed in the current period
+   * @property {int} remaining - requests left in the current period
+   * @property {Date} reset - when the current period ends
+   */
+  get rateLimit () {
+    return (this._rateLimit == null) ? null : Object.assign({}, this._rateLimit)
+  }
+
+  /// @nodoc
+  _updateRateLimit (res) {
+    const rl = parseRateLimit(res.headers)
+    if (rl == null) {
+      return
+    }
+    const threshold = rl.limit * this.options.rate_limit_warning
+    const wasOver = (this._rateLimit != null) &&
+      (this._rateLimit.count >= threshold) &&
+      (rl.count >= this._rateLimit.count)
+    this._rateLimit = rl
+    if (!wasOver && (rl.count >= threshold)) {
+      this.emit('rateLimit', this.rateLimit)
+    }
+  }
+
+  /// @nodoc
+  async _send (method, u, body) {
+    const priority = RequestScheduler.priority
+    let auth = await this._getAuth()
+    const send = () => this.retryPolicy.run(
+      method,
+      () => this.scheduler.run(priority, () => this._qrequest({
+        method,
+        uri: url.format(u),
+        headers: {
+          Authorization: `OAuth ${auth}`
+        },
+        body,
+        onResponse: res => this._updateRateLimit(res)
+      })),
+      info => this.emit('retry', info))
+    try {
+      return await send()
+    } catch (er) {
+      if (!(er instanceof FeedlyAuthError) ||
+          (er.statusCode !== 401) ||
+          (typeof this.auth.refresh !== 'function')) {
+        throw er
+      }
+      // The token might have been revoked or expired early.  Try once more.
+      auth = await this._refreshAuth(auth)
+      return send()
+    }
+  }
+
+  /// @nodoc
+  _request (callback, path, method, body = null) {
     if (method == null) { method = 'GET' }
+    if ((method === 'GET') && (body != null)) {
+      // GET requests can't have a body; parameters go in the query string
+      return this._requestURL(callback, path, method, body)
+    }
     const u = new URL(this.options.base)
     u.pathname = path
 
-    const auth = await this._getAuth()
-    return utils.qrequest({
-      method,
-      uri: url.format(u),
-      headers: {
-        Authorization: `OAuth ${auth}`
-      },
-      body,
-      callback
+    return _nodify(callback, () => this._send(method, u, body))
+  }
+
+  /// @nodoc
+  _models (Model, data) {
+    if (!this.options.models || (data == null)) {
+      return data
+    }
+    if (Array.isArray(data)) {
+      // In place, to keep any extra properties of the array
+      for (let i = 0; i < data.length; i++) {
+        data[i] = new Model(this, data[i])
+      }
+      return data
+    }
+    return new Model(this, data)
+  }
+
+  /// @nodoc
+  _chunks (ids, f) {
+    const size = this.options.chunk_size
+    const chunks = []
+    for (let i = 0; i < ids.length; i += size) {
+      chunks.push(ids.slice(i, i + size))
+    }
+    return utils.mapLimit(chunks, this.options.concurrency, f)
+  }
+
+  /// @nodoc
+  async _mget (path, ids) {
+    const unique = [...new Set(ids)]
+    const found = new Map()
+    await this._chunks(unique, async chunk => {
+      for (const item of (await this._request(null, path, 'POST', chunk)) || []) {
+        found.set(item.id, item)
+      }
     })
+    // One result for each ID passed, even if it was passed more than once
+    const ret = ids.filter(id => found.has(id)).map(id => found.get(id))
+    const missing = unique.filter(id => !found.has(id))
+    // Anything the server returned under a different ID
+    const asked = new Set(unique)
+    for (const [id, item] of found) {
+      if (!asked.has(id)) {
+        ret.push(item)
+      }
+    }
+    Object.defineProperty(ret, 'missing', { value: missing })
+    return ret
   }
 
   /// @nodoc
-  async _requestURL (callback, path, method, body = null) {
+  _requestURL (callback, path, method, body = null) {
     if (method == null) { method = 'GET' }
     const u = new URL(this.options.base)
     u.pathname = path
-    u.query = body
+    if (body != null) {
+      for (const [k, v] of Object.entries(body)) {
+        if (v != null) {
+          u.searchParams.set(k, v)
+        }
+      }
+    }
 
-    const auth = await this._getAuth()
-    return utils.qrequest({
-      method,
-      uri: url.format(u),
-      headers: {
-        Authorization: `OAuth ${auth}`
-      },
-      callback
-    })
+    return _nodify(callback, () => this._send(method, u, null))
+  }
+
+  /// @nodoc
+  _userId () {
+    // Before the first request, we might not know who we are yet.  Feedly
+    // treats "-" as the current user.
+    return this.state.id || '-'
+  }
+
+  /**
+   * Shortcuts for building stream IDs for the current user, such as
+   * `feedly.streams.saved()` or `feedly.streams.category('tech')`.  See
+   * {@link StreamId.forUser}.
+   *
+   * @type {Object}
+   */
+  get streams () {
+    return StreamId.forUser(this._userId())
   }
 
   /// @nodoc
   _normalizeTags (ary) {
-    const userid = this.state.id
-    return ary.map(s => _normalizeTag(s, userid))
+    const userid = this._userId()
+    return ary.map(t => StreamId.tag(t, userid))
   }
 
   /// @nodoc
-  _normalizeCategories (ary) {
-    const userid = this.state.id
-    return ary.map(cat => {
-      if (!cat.match(/^user\//)) {
-        cat = `user/${userid}/category/${cat}`
+  _subscriptionCategories (categories) {
+    if (!Array.isArray(categories)) {
+      categories = [categories]
+    }
+    const userid = this._userId()
+    return categories.map(c => {
+      if (typeof c !== 'string') {
+        return c
       }
-      return cat
+      const id = StreamId.category(c, userid)
+      return { id, label: StreamId.parse(id).name }
+    })
+  }
+
+  /// @nodoc
+  _normalizeCategories (ary) {
+    const userid = this._userId()
+    return ary.map(cat => StreamId.category(cat, userid))
+  }
+
+  /// @nodoc
+  _normalizeStream (id) {
+    return StreamId.stream(id, this._userId())
+  }
+
+  /// @nodoc
+  async _revoke () {
+    const u = new URL(this.options.base)
+    u.pathname = '/v3/auth/token'
+    u.search = new URLSearchParams({
+      refresh_token: this.state.refresh_token,
+      client_id: this.options.client_id,
+      client_secret: this.options.client_secret,
+      grant_type: 'revoke_token'
+    })
+
+    await this._qrequest({
+      method: 'POST',
+      uri: url.format(u)
     })
   }
 
   /**
-   * Refresh the auth token manually.  If the current refresh token is not
-   * valid, authenticate again.
+   * Refresh the auth token manually.  With the default OAuth strategy, if
+   * the current refresh token is not valid, authenticate again.  Fails if
+   * the authentication strategy does not support refreshing.
    *
    * @param {Function} [cb] - Optional callback function(Error, String)
    * @returns {Promise(String)} new auth token
@@ -302,41 +904,38 @@ class Feedly {
   refresh (cb) {
     return _nodify(cb, async () => {
       await this.ready
-      return this._validToken() ? this._refresh() : this._auth()
+      if (typeof this.auth.refresh !== 'function') {
+        throw new Error('Authentication strategy does not support refresh')
+      }
+      return this._singleFlight(() => this.auth.refresh(this))
     })
   }
 
   /**
-   * Discard all tokens
+   * Discard all tokens.  This works even if the token store could not be
+   * read, so that it can be used to start over.  If revoking the tokens
+   * with Feedly fails, they are still discarded locally, and then the
+   * error is reported.
    *
    * @param {Function} [cb] - Optional callback function(Error)
    * @returns {Promise} completed
    */
   logout (cb) {
     return _nodify(cb, async () => {
-      await this.ready
+      // Failing to load leaves the state empty, and there is nothing to revoke
+      await this.ready.catch(() => {})
 
-      const u = new URL(this.options.base)
-      u.pathname = '/v3/auth/token'
-      u.query = {
-        refresh_token: this.state.refresh_token,
-        client_id: this.options.client_id,
-        client_secret: this.options.client_secret,
-        grant_type: 'revoke_token'
+      try {
+        if (typeof this.auth.logout === 'function') {
+          await this.auth.logout(this)
+        }
+      } finally {
+        clearTimeout(this._refreshTimer)
+        this._refreshTimer = null
+        this._token = null
+        this.state = {}
+        await this.tokenStore.delete()
       }
-
-      const body = utils.qrequest({
-        method: 'POST',
-        uri: url.format(u)
-      })
-      delete this.state.access_token
-      delete this.state.expires
-      delete this.state.plan
-      delete this.state.provider
-      delete this.state.refresh_token
-      delete this.state.token_type
-      this.state = Object.assign({}, this.state, body)
-      return this._save()
     })
   }
 
@@ -348,7 +947,8 @@ class Feedly {
    * @see {@link https://developer.feedly.com/v3/categories/#get-the-list-of-all-categories}
    */
   categories (cb) {
-    return this._request(cb, '/v3/categories')
+    return _nodify(cb, this._request(null, '/v3/categories')
+      .then(r => this._models(Category, r)))
   }
 
   /**
@@ -361,6 +961,7 @@ class Feedly {
    * @see https://developer.feedly.com/v3/categories/#change-the-label-of-an-existing-category
    */
   setCategoryLabel (id, label, cb) {
+    [id] = this._normalizeCategories([id])
     return this._request(
       cb,
       `/v3/categories/${encodeURIComponent(id)}`,
@@ -377,6 +978,7 @@ class Feedly {
    * @see https://developer.feedly.com/v3/categories/#delete-a-category
    */
   deleteCategory (id, cb) {
+    [id] = this._normalizeCategories([id])
     return this._request(
       cb,
       `/v3/categories/${encodeURIComponent(id)}`,
@@ -388,16 +990,18 @@ class Feedly {
    *
    * @param {String|Array(String)} id - the entry or entries to retrieve
    * @param {Function} [cb] - Optional callback function(Error, Entry|Array(Entry))
-   * @returns {Promise(Entry)|Promise(Array(Entry))} the entry(s)
+   * @returns {Promise(Entry)|Promise(Array(Entry))} the entry(s).  For an
+   *   array, the entries are in the same order as the IDs, with an ID that
+   *   is passed more than once getting its entry at each position.  The
+   *   IDs that were not found are in the `missing` property of the result.
    * @see https://developer.feedly.com/v3/entries/#get-the-content-of-an-entry
    * @see https://developer.feedly.com/v3/entries/#get-the-content-for-a-dynamic-list-of-entries
    */
   entry (id, cb) {
-    if (Array.isArray(id)) {
-      return this._request(cb, '/v3/entries/.mget', 'POST', id)
-    } else {
-      return this._request(cb, `/v3/entries/${encodeURIComponent(id)}`)
-    }
+    const p = Array.isArray(id)
+      ? this._mget('/v3/entries/.mget', id)
+      : this._request(null, `/v3/entries/${encodeURIComponent(id)}`)
+    return _nodify(cb, p.then(r => this._models(Entry, r)))
   }
 
   /**
@@ -419,17 +1023,20 @@ class Feedly {
   /**
    * Get meta-data about a feed or list of feeds
    *
-   * @param {String|Array(String)} id - the ID or list of IDs of the feed(s)
+   * @param {String|Array(String)} id - the ID or list of IDs of the
+   *   feed(s).  URLs are turned into feed IDs.
    * @param {Function} [cb] - Optional callback function(Error, Feed|Array(Feed))
-   * @returns {Promise(Feed)|Promise(Array(Feed))}
+   * @returns {Promise(Feed)|Promise(Array(Feed))} the feed(s).  For an
+   *   array, the feeds are in the same order as the IDs, with an ID that is
+   *   passed more than once getting its feed at each position.  The IDs
+   *   that were not found are in the `missing` property of the result.
    * @see https://developer.feedly.com/v3/feeds/#get-the-metadata-about-a-specific-feed
    */
   feed (id, cb) {
-    if (Array.isArray(id)) {
-      return this._request(cb, '/v3/feeds/.mget', 'POST', id)
-    } else {
-      return this._request(cb, `/v3/feeds/${encodeURIComponent(id)}`)
-    }
+    const p = Array.isArray(id)
+      ? this._mget('/v3/feeds/.mget', id.map(StreamId.feed))
+      : this._request(null, `/v3/feeds/${encodeURIComponent(StreamId.feed(id))}`)
+    return _nodify(cb, p.then(r => this._models(Feed, r)))
   }
 
   /**
@@ -461,11 +1068,15 @@ class Feedly {
       input.newerThan = newerThan.getTime()
     }
     if (streamId != null) {
-      input.streamId = streamId
+      input.streamId = this._normalizeStream(streamId)
     }
     if (Object.keys(input).length === 0) {
       input = null
     }
+    if (autorefresh) {
+      return this.background(() =>
+        this._request(cb, '/v3/markers/counts', 'GET', input))
+    }
     return this._request(cb, '/v3/markers/counts', 'GET', input)
   }
 
@@ -474,18 +1085,20 @@ class Feedly {
    *
    * @param {Array(String)|String} ids - article ID(s) to mark read
    * @param {Function} cb - Optionall callback function(Error)
-   * @returns {Promise} Done
+   * @returns {Promise} Done.  Resolves with null, however many requests
+   *   were needed
    * @see https://developer.feedly.com/v3/markers/#mark-one-or-multiple-articles-as-read
    */
   markEntryRead (ids, cb) {
     if (typeof ids === 'string') {
       ids = [ids]
     }
-    return this._request(cb, '/v3/markers', 'POST', {
-      entryIds: ids,
-      type: 'entries',
-      action: 'markAsRead'
-    })
+    return _nodify(cb, this._chunks(ids, chunk =>
+      this._request(null, '/v3/markers', 'POST', {
+        entryIds: chunk,
+        type: 'entries',
+        action: 'markAsRead'
+      })).then(() => null))
   }
 
   /**
@@ -493,24 +1106,26 @@ class Feedly {
    *
    * @param {Array(String)|String} ids - Article ID(s) to mark unread
    * @param {Function} [cb] - Optional callback function(Error)
-   * @returns {Promise} Done
+   * @returns {Promise} Done.  Resolves with null, however many requests
+   *   were needed
    * @see https://developer.feedly.com/v3/markers/#keep-one-or-multiple-articles-as-unread
    */
   markEntryUnread (ids, cb) {
     if (typeof ids === 'string') {
       ids = [ids]
     }
-    return this._request(cb, '/v3/markers', 'POST', {
-      entryIds: ids,
-      type: 'entries',
-      action: 'keepUnread'
-    })
+    return _nodify(cb, this._chunks(ids, chunk =>
+      this._request(null, '/v3/markers', 'POST', {
+        entryIds: chunk,
+        type: 'entries',
+        action: 'keepUnread'
+      })).then(() => null))
   }
 
   /**
    * Mark feed(s) as read.
    *
-   * @param {Array(String)|String} ids - feed ID(s) to mark read
+   * @param {Array(String)|String} ids - feed ID(s) or URL(s) to mark read
    * @param {String|Date} [since] - last entry ID read or timestamp last read
    * @param {Function} [cb] - Optional callback function(Error)
    * @returns {Promise} Done
@@ -523,7 +1138,7 @@ class Feedly {
     [cb, since] = _pickCB(since, cb)
 
     const body = {
-      feedIds: ids,
+      feedIds: ids.map(StreamId.feed),
       type: 'feeds',
       action: 'markAsRead'
     }
@@ -728,7 +1343,8 @@ class Feedly {
   /**
    * Get a list of entry ids for a specific stream.
    *
-   * @param {String} id - the Stream ID
+   * @param {String} id - the Stream ID, or a feed URL or category label,
+   *   as for {@link StreamId.stream}
    * @param {String|Object} [options] - A continuation ID as a string is
    *   used to page, or an object with stream request parameters
    * @param {("newest"|"oldest")} [options.ranked="newest"] - order
@@ -741,6 +1357,7 @@ class Feedly {
    */
   stream (id, options, cb) {
     [options, cb] = _streamOptions(options, cb)
+    id = this._normalizeStream(id)
     return this._requestURL(
       cb,
       `/v3/streams/${encodeURIComponent(id)}/ids`,
@@ -751,7 +1368,8 @@ class Feedly {
   /**
    * Get the content of a stream
    *
-   * @param {String} id - the Stream ID
+   * @param {String} id - the Stream ID, or a feed URL or category label,
+   *   as for {@link StreamId.stream}
    * @param {String|Object} [options] - A continuation ID as a string is
    *   used to page, or an object with stream request parameters
    * @param {("newest"|"oldest")} [options.ranked="newest"] - order
@@ -764,11 +1382,162 @@ class Feedly {
    */
   contents (id, options, cb) {
     [options, cb] = _streamOptions(options, cb)
-    return this._request(
-      cb,
+    id = this._normalizeStream(id)
+    return _nodify(cb, this._requestURL(
+      null,
       `/v3/streams/${encodeURIComponent(id)}/contents`,
       'GET',
-      options)
+      options).then(page => {
+      if ((page != null) && Array.isArray(page.items)) {
+        this._models(Entry, page.items)
+      }
+      return page
+    }))
+  }
+
+  /// @nodoc
+  async * _iterate (fetchPage, key, id, options) {
+    const { max = Infinity, count, onPage, ...params } = options || {}
+    let { continuation, newerThan } = params
+    if (newerThan instanceof Date) {
+      newerThan = newerThan.getTime()
+    }
+    if (params.ranked === 'oldest') {
+      // Older entries come first, so stopping at one would stop too soon.
+      // Feedly filters on newerThan itself.
+      newerThan = null
+    }
+
+    let seen = 0
+    while (seen < max) {
+      const req = Object.assign({}, params)
+      delete req.continuation
+      if (continuation) {
+        req.continuation = continuation
+      }
+      const size = (count != null) ? count : max
+      if (Number.isFinite(size)) {
+        req.count = Math.min(size, max - seen)
+      }
+
+      const page = await fetchPage.call(this, id, req)
+      if (typeof onPage === 'function') {
+        await onPage(page)
+      }
+      const items = page[key] || []
+      for (const item of items) {
+        if ((newerThan != null) &&
+            (item != null) &&
+            (typeof item.crawled === 'number') &&
+            (item.crawled <= newerThan)) {
+          return
+        }
+        yield item
+        if (++seen >= max) {
+          return
+        }
+      }
+      continuation = page.continuation
+      if (!continuation || (items.length === 0)) {
+        return
+      }
+    }
+  }
+
+  /**
+   * Iterate over the entry IDs of a stream, following continuations
+   * automatically.
+   *
+   * @example
+   * for await (const id of feedly.iterateStream(streamId, { max: 500 })) {
+   *   console.log(id)
+   * }
+   *
+   * @param {String} id - the Stream ID
+   * @param {Object} [options] - Stream request parameters, as for
+   *   {@link Feedly#stream}, plus the following
+   * @param {int} [options.count] - page size to request from the server
+   * @param {int} [options.max] - stop after this many IDs have been returned
+   * @param {String} [options.continuation] - resume from a continuation
+   *   saved from an earlier iteration
+   * @param {Function} [options.onPage] - called with each page as it is
+   *   fetched, before its items are yielded.  Save `page.continuation` from
+   *   here to resume later.
+   * @returns {AsyncGenerator(String)} the entry IDs
+   * @see https://developer.feedly.com/v3/streams/#get-a-list-of-entry-ids-for-a-specific-stream
+   */
+  iterateStream (id, options) {
+    return this._iterate(this.stream, 'ids', id, options)
+  }
+
+  /**
+   * Iterate over the entries of a stream, following continuations
+   * automatically.  If `newerThan` is given, iteration also stops at the
+   * first entry that was not crawled after that time, unless `ranked` is
+   * 'oldest'.
+   *
+   * @example
+   * const opts = { unreadOnly: true, max: 500 }
+   * for await (const entry of feedly.iterateContents(streamId, opts)) {
+   *   console.log(entry.title)
+   * }
+   *
+   * @param {String} id - the Stream ID
+   * @param {Object} [options] - Stream request parameters, as for
+   *   {@link Feedly#contents}, plus the following
+   * @param {int} [options.count] - page size to request from the server
+   * @param {int} [options.max] - stop after this many entries have been
+   *   returned
+   * @param {String} [options.continuation] - resume from a continuation
+   *   saved from an earlier iteration
+   * @param {Function} [options.onPage] - called with each page as it is
+   *   fetched, before its items are yielded.  Save `page.continuation` from
+   *   here to resume later.
+   * @returns {AsyncGenerator(Entry)} the entries
+   * @see https://developer.feedly.com/v3/streams/#get-the-content-of-a-stream
+   */
+  iterateContents (id, options) {
+    return this._iterate(this.contents, 'items', id, options)
+  }
+
+  /**
+   * Call a function, making any requests it makes in the background lane
+   * of the {@link RequestScheduler}, so that they wait for other requests.
+   * Use this for bulk jobs and polling.
+   *
+   * @example
+   * await feedly.background(async () => {
+   *   for await (const e of feedly.iterateContents(streamId)) {
+   *     archive(e)
+   *   }
+   * })
+   *
+   * @param {Function} f - Function() to call
+   * @returns {any} the result of f
+   */
+  background (f) {
+    return RequestScheduler.withPriority('background', f)
+  }
+
+  /**
+   * Watch streams for new entries and changed unread counts, by polling
+   * {@link Feedly#counts}, then fetching the contents of the streams that
+   * changed.  Polling starts at once, and continues until `stop()` is
+   * called on the watcher.
+   *
+   * @example
+   * const w = feedly.watch('user/-/category/global.all', { interval: 300000 })
+   * w.on('entries', entries => entries.forEach(e => console.log(e.title)))
+   * w.on('error', er => console.error(er.message))
+   *
+   * @param {String|Array(String)} streamIds - the streams to watch
+   * @param {Object} [options] - Options for polling, as for
+   *   {@link FeedlyWatcher}
+   * @returns {FeedlyWatcher} an EventEmitter for `entries`, `counts` and
+   *   `error`
+   */
+  watch (streamIds, options) {
+    return new FeedlyWatcher(this, streamIds, options)
   }
 
   /**
@@ -779,7 +1548,152 @@ class Feedly {
    * @see https://developer.feedly.com/v3/subscriptions/#get-the-users-subscriptions
    */
   subscriptions (cb) {
-    return this._request(cb, '/v3/subscriptions', 'GET')
+    return _nodify(cb, this._request(null, '/v3/subscriptions', 'GET')
+      .then(r => this._models(Subscription, r)))
+  }
+
+  /**
+   * Export the user's subscriptions as an OPML 2.0 document, with an
+   * outline for each category.
+   *
+   * @param {Object} [options] - Options for the document
+   * @param {String} [options.title='Feedly subscriptions'] - the title
+   * @param {Function} [cb] - Optional callback function(Error, String)
+   * @returns {Promise(String)} the OPML
+   */
+  exportOPML (options, cb) {
+    [cb, options] = _pickCB(options, cb)
+    return _nodify(cb, async () => buildOPML(await this.subscriptions(), options))
+  }
+
+  /**
+   * Republish a stream, such as a tag or category, as a feed document for
+   * other tools to read.  Entries are fetched with
+   * {@link Feedly#iterateContents}, newest first.  To serve the document
+   * over HTTP, see {@link createFeedHandler}.
+   *
+   * @param {String} streamId - the stream to export
+   * @param {Object} [options] - Options for the document
+   * @param {String} [options.format='atom'] - 'atom', 'rss' (RSS 2.0) or
+   *   'jsonfeed' (JSON Feed 1.1)
+   * @param {int} [options.limit=50] - the most entries to include
+   * @param {Boolean} [options.unreadOnly=false] - only unread entries
+   * @param {String} [options.title] - the feed's title.  (default: the
+   *   stream's title from Feedly, or its ID)
+   * @param {String} [options.description] - a description of the feed
+   * @param {String} [options.link] - the web page the feed is for
+   * @param {String} [options.selfUrl] - the URL the feed will be served from
+   * @param {Function} [cb] - Optional callback function(Error, String)
+   * @returns {Promise(String)} the document
+   */
+  exportFeed (streamId, options, cb) {
+    [cb, options] = _pickCB(options, cb)
+    return _nodify(cb, async () =>
+      (await _exportFeed(this, streamId, options)).document)
+  }
+
+  /**
+   * Save the entries of a stream, such as your saved entries, to a
+   * directory as Markdown or HTML files, one per entry, with an index page.
+   * Each file starts with the entry's feed, author, dates, tags and URL.
+   * Later runs only write the entries that are new or have changed.
+   *
+   * @example
+   * await feedly.archiveStream(feedly.streams.saved(), '~/saved', {
+   *   prune: true
+   * })
+   *
+   * @param {String} streamId - the stream to archive
+   * @param {String} dir - the directory to write to.  Created if needed.
+   * @param {Object} [options] - Options for the archive
+   * @param {String} [options.format='markdown'] - 'markdown' or 'html'
+   * @param {int} [options.limit=Infinity] - the most entries to fetch
+   * @param {Boolean} [options.prune=false] - delete the files of entries
+   *   that are no longer in the stream, such as ones that were untagged
+   * @param {Function} [cb] - Optional callback function(Error, Object)
+   * @returns {Promise(Object)} `{ written, unchanged, removed, index }`:
+   *   the files written, the count that were already up to date, the
+   *   files deleted, and the path of the index page
+   */
+  archiveStream (streamId, dir, options, cb) {
+    [cb, options] = _pickCB(options, cb)
+    return _nodify(cb, archiveStream(this, streamId, dir, options))
+  }
+
+  /**
+   * Subscribe to the feeds in an OPML document.  Each feed is put in the
+   * category of the outline it is nested in, if any.  Feeds that are
+   * already subscribed are skipped, and a failure to subscribe to one feed
+   * does not stop the others.
+   *
+   * @param {String} xml - the OPML document
+   * @param {Object} [options] - Import options
+   * @param {Boolean} [options.dryRun=false] - Report what would be done,
+   *   without subscribing
+   * @param {Object|Function} [options.categoryMapping] - Rename categories,
+   *   either with an object mapping old labels to new ones, or a
+   *   Function(String) that returns the new label.  A null or empty label
+   *   drops the category.
+   * @param {Function} [cb] - Optional callback function(Error, Array(Object))
+   * @returns {Promise(Array(Object))} one result per feed, with `id`,
+   *   `title`, `categories`, and a `status` of "subscribed", "skipped"
+   *   (already subscribed), "failed" (with the Error in `error`) or
+   *   "planned" (in a dry run)
+   */
+  importOPML (xml, options, cb) {
+    [cb, options] = _pickCB(options, cb)
+    const { dryRun = false, categoryMapping = null } = options || {}
+    const mapLabel = (label) => {
+      if (typeof categoryMapping === 'function') {
+        return categoryMapping(label)
+      }
+      if ((categoryMapping != null) &&
+          Object.prototype.hasOwnProperty.call(categoryMapping, label)) {
+        return categoryMapping[label]
+      }
+      return label
+    }
+
+    return _nodify(cb, async () => {
+      const { outlines } = parseOPML(xml)
+      const existing = new Set((await this.subscriptions()).map(s => s.id))
+      const results = []
+      for (const feed of opmlFeeds(outlines)) {
+        const categories = []
+        for (const c of feed.categories) {
+          const label = mapLabel(c)
+          if (label && !categories.includes(label)) {
+            categories.push(label)
+          }
+        }
+        const result = {
+          id: `feed/${feed.url}`,
+          title: feed.title,
+          categories
+        }
+        results.push(result)
+        if (existing.has(result.id)) {
+          result.status = 'skipped'
+          continue
+        }
+        if (dryRun) {
+          result.status = 'planned'
+          continue
+        }
+        try {
+          await this.subscribe(
+            result.id,
+            (categories.length > 0) ? categories : null,
+            feed.title)
+          existing.add(result.id)
+          result.status = 'subscribed'
+        } catch (er) {
+          result.status = 'failed'
+          result.error = er
+        }
+      }
+      return results
+    })
   }
 
   /**
@@ -794,61 +1708,206 @@ class Feedly {
    * @see https://developer.feedly.com/v3/subscriptions/#subscribe-to-a-feed
    */
   subscribe (url, categories, title, cb) {
-    if (!url.match(/^feed\//)) {
-      url = `feed/${url}`
-    }
     [cb, categories, title] = _pickCB(categories, title, cb)
+    url = StreamId.feed(url)
 
     const input = {
       id: url
     }
 
     if (categories != null) {
-      if (!Array.isArray(categories)) {
-        categories = [categories]
-      }
-      const userid = this.state.id
-      categories = categories.map(c => {
-        if (typeof c !== 'string') {
-          return c
-        }
-        let id = null
-        let name = null
-        const m = c.match(/^user\/[^/]+\/(.*)/)
-        if (!m) {
-          id = `user/${userid}/category/${c}`
-          name = c
-        } else {
-          id = c
-          name = m[1]
-        }
-        return {
-          id,
-          name
-        }
-      })
-      input.categories = categories
+      input.categories = this._subscriptionCategories(categories)
     }
     if (title) {
       input.title = title
     }
-    return this._request(cb, '/v3/subscriptions', 'POST', input)
+    return _nodify(cb, this._request(null, '/v3/subscriptions', 'POST', input)
+      .then(r => this._models(Subscription, r)))
   }
 
   /**
-   * Unsubscribe from a feed
+   * Unsubscribe from a feed, or from several feeds at once.
    *
-   * @param {String} id - Feed ID
-   * @param {Function} [cb] - Optional callback function(Error)
-   * @returns {Promise} Done
+   * @param {String|Array(String)} id - Feed ID or URL, or an array of them
+   * @param {Function} [cb] - Optional callback function(Error, Array(Object))
+   * @returns {Promise(Array(Object))} Nothing for a single feed.  For an
+   *   array, one result per feed, with `id` and a `status` of
+   *   "unsubscribed", "skipped" (not subscribed) or "failed" (with the
+   *   Error in `error`).
    * @see https://developer.feedly.com/v3/subscriptions/#unsubscribe-from-a-feed
+   * @see https://developer.feedly.com/v3/subscriptions/#unsubscribe-from-multiple-feeds
    */
   unsubscribe (id, cb) {
-    // TODO: add support for mass unsubscribe
-    return this._request(
-      cb,
-      `/v3/subscriptions/${encodeURIComponent(id)}`,
-      'DELETE')
+    if (!Array.isArray(id)) {
+      return this._request(
+        cb,
+        `/v3/subscriptions/${encodeURIComponent(StreamId.feed(id))}`,
+        'DELETE')
+    }
+    return _nodify(cb, async () => {
+      const current = await this._subscriptionMap()
+      const results = id.map(i => ({ id: StreamId.feed(i) }))
+      const ids = []
+      for (const r of results) {
+        if (current.has(r.id)) {
+          ids.push(r.id)
+        } else {
+          r.status = 'skipped'
+        }
+      }
+      await this._bulk(results, 'unsubscribed', () =>
+        this._request(null, '/v3/subscriptions/.mdelete', 'DELETE', ids))
+      return results
+    })
+  }
+
+  /**
+   * Change the titles and categories of several subscriptions in one
+   * request.  Properties that are not given are left as they were.  Feeds
+   * that are not subscribed to yet are subscribed.
+   *
+   * @param {Array(Object)} updates - the changes, each with a feed `id`,
+   *   and optionally a new `title` and `categories` (labels, IDs or
+   *   category objects, as for {@link Feedly#subscribe})
+   * @param {Function} [cb] - Optional callback function(Error, Array(Object))
+   * @returns {Promise(Array(Object))} one result per feed, with `id` and a
+   *   `status` of "updated", "subscribed" or "failed" (with the Error in
+   *   `error`)
+   * @see https://developer.feedly.com/v3/subscriptions/#update-multiple-subscriptions
+   */
+  updateSubscriptions (updates, cb) {
+    return _nodify(cb, async () => {
+      const current = await this._subscriptionMap()
+      const results = []
+      const subs = updates.map(u => {
+        const id = StreamId.feed(u.id)
+        results.push({ id })
+        return this._mputEntry(id, current.get(id), u.title, u.categories)
+      })
+      await this._bulk(results, r => current.has(r.id) ? 'updated' : 'subscribed', () =>
+        this._request(null, '/v3/subscriptions/.mput', 'POST', subs))
+      return results
+    })
+  }
+
+  /**
+   * Move subscriptions from one category to another, in one request.
+   *
+   * @param {String|Array(String)} feedIds - the feed(s) to move
+   * @param {String} [fromCategory] - label or ID of the category to take
+   *   them out of.  If null, they are only added to toCategory.
+   * @param {String} [toCategory] - label or ID of the category to put them
+   *   in.  If null, they are only taken out of fromCategory.
+   * @param {Function} [cb] - Optional callback function(Error, Array(Object))
+   * @returns {Promise(Array(Object))} one result per feed, with `id` and a
+   *   `status` of "moved", "skipped" (not subscribed, or not in
+   *   fromCategory, with the reason in `reason`) or "failed" (with the
+   *   Error in `error`)
+   * @see https://developer.feedly.com/v3/subscriptions/#update-multiple-subscriptions
+   */
+  moveSubscriptions (feedIds, fromCategory, toCategory, cb) {
+    if (!Array.isArray(feedIds)) {
+      feedIds = [feedIds]
+    }
+    return _nodify(cb, async () => {
+      const current = await this._subscriptionMap()
+      const cats = [...current.values()].flatMap(s => s.categories || [])
+      const find = (c) => {
+        if (c == null) {
+          return null
+        }
+        const [id] = this._normalizeCategories([c])
+        const known = cats.find(k => (k.id === id) || (k.label === c))
+        return known || this._subscriptionCategories(c)[0]
+      }
+      const from = find(fromCategory)
+      const to = find(toCategory)
+
+      const results = []
+      const subs = []
+      for (const f of feedIds) {
+        const id = StreamId.feed(f)
+        const r = { id }
+        results.push(r)
+        const old = current.get(id)
+        if (old == null) {
+          r.status = 'skipped'
+          r.reason = 'not subscribed'
+          continue
+        }
+        let newCats = old.categories || []
+        if (from) {
+          if (!newCats.some(c => c.id === from.id)) {
+            r.status = 'skipped'
+            r.reason = `not in ${from.label || from.id}`
+            continue
+          }
+          newCats = newCats.filter(c => c.id !== from.id)
+        }
+        if (to && !newCats.some(c => c.id === to.id)) {
+          newCats = newCats.concat([to])
+        }
+        subs.push(this._mputEntry(id, old, undefined, newCats))
+      }
+      await this._bulk(results, 'moved', () =>
+        this._request(null, '/v3/subscriptions/.mput', 'POST', subs))
+      return results
+    })
+  }
+
+  /// @nodoc
+  async _subscriptionMap () {
+    return new Map((await this.subscriptions()).map(s => [s.id, s]))
+  }
+
+  /// @nodoc
+  _mputEntry (id, old, title, categories) {
+    const ret = { id }
+    if (title === undefined) {
+      title = old && old.title
+    }
+    if (title != null) {
+      ret.title = title
+    }
+    if (categories === undefined) {
+      categories = (old && old.categories) || []
+    }
+    ret.categories = this._subscriptionCategories(categories || [])
+      .map(c => ({ id: c.id, label: c.label }))
+    return ret
+  }
+
+  /// @nodoc
+  async _bulk (results, status, f) {
+    // Results without a status yet are all in one request, so they succeed
+    // or fail together.
+    const pending = results.filter(r => r.status == null)
+    if (pending.length === 0) {
+      return
+    }
+    try {
+      await f()
+      for (const r of pending) {
+        r.status = (typeof status === 'function') ? status(r) : status
+      }
+    } catch (er) {
+      for (const r of pending) {
+        r.status = 'failed'
+        r.error = er
+      }
+    }
+  }
+
+  /**
+   * Get the list of tags the user has created, plus global.saved
+   *
+   * @param {Function} [cb] - Optional callback function(Error, Array(Tag))
+   * @returns {Promise(Array(Tag))} the tags
+   * @see https://developer.feedly.com/v3/tags/#get-the-list-of-tags-created-by-the-user
+   */
+  userTags (cb) {
+    return _nodify(cb, this._request(null, '/v3/tags')
+      .then(r => this._models(Tag, r)))
   }
 
   /**
@@ -857,7 +1916,8 @@ class Feedly {
    * @param {String|Array(String)} entry - the entry(s) to tag
    * @param {String|Array(String)} tags - the tag(s) to apply to the entry
    * @param {Function} cb - Optional callback function(Error)
-   * @returns {Promise} Done
+   * @returns {Promise} Done.  Resolves with null, however many requests
+   *   were needed
    * @see https://developer.feedly.com/v3/tags/#tag-an-existing-entry
    * @see https://developer.feedly.com/v3/tags/#tag-multiple-entries-alternate
    */
@@ -867,15 +1927,16 @@ class Feedly {
     }
     tags = this._normalizeTags(tags)
     if (Array.isArray(entry)) {
-      return this._request(
-        cb,
-        `/v3/tags/${tags.join(',')}`,
-        'PUT',
-        { entryIds: entry })
+      return _nodify(cb, this._chunks(entry, chunk =>
+        this._request(
+          null,
+          `/v3/tags/${_pathIds(tags)}`,
+          'PUT',
+          { entryIds: chunk })).then(() => null))
     } else {
       return this._request(
         cb,
-        `/v3/tags/${tags.join(',')}`,
+        `/v3/tags/${_pathIds(tags)}`,
         'PUT',
         { entryId: entry })
     }
@@ -891,10 +1952,10 @@ class Feedly {
    * @see https://developer.feedly.com/v3/tags/#change-a-tag-label
    */
   setTagLabel (tag, label, cb) {
-    tag = _normalizeTag(tag, this.state.id)
+    [tag] = this._normalizeTags([tag])
     return this._request(
       cb,
-      `/v3/tags/${tag}`,
+      `/v3/tags/${encodeURIComponent(tag)}`,
       'POST',
       { label })
   }
@@ -912,7 +1973,6 @@ class Feedly {
     if (!Array.isArray(entries)) {
       entries = [entries]
     }
-    entries = entries.map(e => encodeURIComponent(e))
 
     if (!Array.isArray(tags)) {
       tags = [tags]
@@ -921,7 +1981,7 @@ class Feedly {
 
     return this._request(
       cb,
-      `/v3/tags/${tags.join(',')}/${entries.join(',')}`,
+      `/v3/tags/${_pathIds(tags)}/${_pathIds(entries)}`,
       'DELETE')
   }
 
@@ -938,8 +1998,35 @@ class Feedly {
       tags = [tags]
     }
     tags = this._normalizeTags(tags)
-    return this._request(cb, `/v3/tags/${tags.join(',')}`, 'DELETE')
+    return this._request(cb, `/v3/tags/${_pathIds(tags)}`, 'DELETE')
   }
 }
 
 module.exports = Feedly
+module.exports.FileTokenStore = FileTokenStore
+module.exports.MemoryTokenStore = MemoryTokenStore
+module.exports.EnvTokenStore = EnvTokenStore
+module.exports.OAuthStrategy = OAuthStrategy
+module.exports.DeveloperTokenStrategy = DeveloperTokenStrategy
+module.exports.TokenProviderStrategy = TokenProviderStrategy
+module.exports.RetryPolicy = RetryPolicy
+module.exports.RequestScheduler = RequestScheduler
+module.exports.StreamId = StreamId
+module.exports.Entry = Entry
+module.exports.Feed = Feed
+module.exports.Subscription = Subscription
+module.exports.Category = Category
+module.exports.Tag = Tag
+module.exports.createFetchTransport = createFetchTransport
+module.exports.FeedlySync = require('./sync')
+module.exports.FeedlyWatcher = FeedlyWatcher
+module.exports.FeedlyWriteQueue = require('./queue')
+module.exports.createRecordingTransport = createRecordingTransport
+module.exports.createReplayTransport = createReplayTransport
+module.exports.createDebugLogger = createDebugLogger
+module.exports.createFeedHandler = createFeedHandler
+module.exports.createTimingCollector = createTimingCollector
+module.exports.FeedlyHTTPError = FeedlyHTTPError
+module.exports.FeedlyAuthError = FeedlyAuthError
+module.exports.FeedlyRateLimitError = FeedlyRateLimitError
+module.exports.FeedlyNetworkError = FeedlyNetworkError
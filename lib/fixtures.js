@@ -0,0 +1,238 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const util = require('util')
+
+const Utils = require('./utils')
+const { SECRET_PARAMS: SECRETS } = require('./errors')
+
+const REDACTED = 'REDACTED'
+// Headers that change on every response, and would make fixtures noisy
+const UNSTABLE_HEADERS = [
+  'connection',
+  'content-length',
+  'date',
+  'keep-alive',
+  'set-cookie',
+  'transfer-encoding'
+]
+
+/// @nodoc
+function _scrub (o, secrets) {
+  if (Array.isArray(o)) {
+    return o.map(v => _scrub(v, secrets))
+  }
+  if ((o == null) || (typeof o !== 'object')) {
+    return o
+  }
+  const ret = {}
+  for (const [k, v] of Object.entries(o)) {
+    ret[k] = secrets.includes(k) ? REDACTED : _scrub(v, secrets)
+  }
+  return ret
+}
+
+/// @nodoc
+function _parse (body) {
+  if ((body == null) || (body === '')) {
+    return null
+  }
+  if (typeof body !== 'string') {
+    return body
+  }
+  try {
+    return JSON.parse(body)
+  } catch (ignored) {
+    return body
+  }
+}
+
+/// @nodoc
+function _request (req, secrets) {
+  const u = new URL(req.url)
+  const query = {}
+  for (const [k, v] of u.searchParams) {
+    query[k] = secrets.includes(k) ? REDACTED : v
+  }
+  return {
+    method: req.method,
+    path: u.pathname,
+    query,
+    body: _scrub(_parse(req.body), secrets)
+  }
+}
+
+/// @nodoc
+function _describe (req) {
+  const qs = new URLSearchParams(req.query).toString()
+  return `${req.method} ${req.path}${qs ? `?${qs}` : ''}`
+}
+
+/// @nodoc
+function _diff (recorded, actual, prefix, out) {
+  if (util.isDeepStrictEqual(recorded, actual)) {
+    return out
+  }
+  if ((recorded != null) && (actual != null) &&
+      (typeof recorded === 'object') && (typeof actual === 'object') &&
+      (Array.isArray(recorded) === Array.isArray(actual))) {
+    const keys = new Set([...Object.keys(recorded), ...Object.keys(actual)])
+    for (const k of keys) {
+      _diff(recorded[k], actual[k], `${prefix}.${k}`, out)
+    }
+    return out
+  }
+  out.push(`  ${prefix}: recorded ${JSON.stringify(recorded)}, got ${JSON.stringify(actual)}`)
+  return out
+}
+
+/**
+ * Create a transport that passes requests through to another transport,
+ * and records each exchange so that it can be saved as a fixture file for
+ * {@link createReplayTransport}.  Query parameters and JSON properties
+ * that hold tokens or secrets are replaced with "REDACTED", and request
+ * headers (including Authorization) are not recorded.
+ *
+ * @example
+ * const rec = createRecordingTransport('test/fixtures/profile.json')
+ * const f = new Feedly({ ..., transport: rec })
+ * await f.profile()
+ * await rec.save()
+ *
+ * @param {String} file - the fixture file to write
+ * @param {Object} [options] - Options for recording
+ * @param {Transport} [options.transport] - the transport that makes the
+ *   real requests.  (default: a transport using Node's fetch)
+ * @param {Array(String)} [options.scrub] - more query parameter and JSON
+ *   property names to redact
+ * @returns {Transport} the transport, which also has an `exchanges` Array
+ *   and a `save()` method that returns a Promise
+ */
+function createRecordingTransport (file, options) {
+  const opts = Object.assign({}, {
+    transport: null,
+    scrub: []
+  }, options)
+  const secrets = SECRETS.concat(opts.scrub)
+  const transport = opts.transport || Utils.defaultTransport()
+  file = Utils.untildify(file)
+
+  const exchanges = []
+  async function recordingTransport (req) {
+    const request = _request(req, secrets)
+    const res = await transport(req)
+    const headers = {}
+    for (const [k, v] of Object.entries(res.headers || {})) {
+      if (!UNSTABLE_HEADERS.includes(k.toLowerCase())) {
+        headers[k.toLowerCase()] = v
+      }
+    }
+    exchanges.push({
+      request,
+      response: {
+        statusCode: res.statusCode,
+        headers,
+        body: _scrub(_parse(res.body), secrets)
+      }
+    })
+    return res
+  }
+  recordingTransport.exchanges = exchanges
+  recordingTransport.save = async () => {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true })
+    await fs.promises.writeFile(
+      file,
+      JSON.stringify({ version: 1, exchanges }, null, 2) + '\n')
+  }
+  return recordingTransport
+}
+
+/**
+ * Create a transport that answers requests from a fixture file written by
+ * {@link createRecordingTransport}, without using the network.  A request
+ * matches a recorded exchange if the method, path, query and JSON body are
+ * the same, after redaction; the host and headers are ignored.  Each
+ * recorded exchange is used once, in order, so the same request can get
+ * different responses.
+ *
+ * A request that matches nothing fails with a FeedlyNetworkError whose code
+ * is 'ENOFIXTURE', with the differences from the closest recorded requests
+ * in the message.
+ *
+ * Use a {@link DeveloperTokenStrategy} with any token to avoid the OAuth
+ * login when replaying.
+ *
+ * @param {String|Array(Object)} file - the fixture file to read, or the
+ *   exchanges themselves
+ * @param {Object} [options] - Options for replaying
+ * @param {Array(String)} [options.scrub] - more query parameter and JSON
+ *   property names that were redacted when recording
+ * @returns {Transport} the transport, which also has an `unused()` method
+ *   that returns a Promise for the exchanges that have not been replayed
+ */
+function createReplayTransport (file, options) {
+  const opts = Object.assign({}, {
+    scrub: []
+  }, options)
+  const secrets = SECRETS.concat(opts.scrub)
+
+  let loaded = null
+  const load = () => {
+    if (loaded == null) {
+      loaded = Array.isArray(file)
+        ? Promise.resolve(file)
+        : fs.promises.readFile(Utils.untildify(file), 'utf8')
+          .then(text => JSON.parse(text).exchanges)
+      loaded = loaded.then(exchanges => exchanges.map(x =>
+        Object.assign({ used: false }, x)))
+    }
+    return loaded
+  }
+
+  async function replayTransport (req) {
+    const exchanges = await load()
+    const request = _request(req, secrets)
+    const unused = exchanges.filter(x => !x.used)
+    const match = unused.find(x => util.isDeepStrictEqual(x.request, request))
+    if (match == null) {
+      let msg = `No recorded response for ${_describe(request)}`
+      let close = unused.filter(x =>
+        (x.request.method === request.method) &&
+        (x.request.path === request.path))
+      if (close.length === 0) {
+        close = unused.filter(x => x.request.path === request.path)
+      }
+      if (close.length > 0) {
+        for (const x of close.slice(0, 3)) {
+          msg += `\nDifferences from recorded ${_describe(x.request)}:\n`
+          msg += _diff(x.request, request, 'request', []).join('\n')
+        }
+      } else if (unused.length > 0) {
+        msg += '\nUnused recorded requests:\n'
+        msg += unused.slice(0, 10).map(x => `  ${_describe(x.request)}`).join('\n')
+      } else {
+        msg += '\nAll recorded requests have been used'
+      }
+      const er = new Error(msg)
+      er.code = 'ENOFIXTURE'
+      throw er
+    }
+    match.used = true
+    const { statusCode, headers, body } = match.response
+    return {
+      statusCode,
+      headers: Object.assign({}, headers),
+      body: (body == null) ? '' : body
+    }
+  }
+  replayTransport.unused = async () => (await load())
+    .filter(x => !x.used)
+    .map(({ request, response }) => ({ request, response }))
+  return replayTransport
+}
+
+module.exports = {
+  createRecordingTransport,
+  createReplayTransport
+}
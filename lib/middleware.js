@@ -0,0 +1,148 @@
+'use strict'
+
+const { SECRET_PARAMS, _redact } = require('./errors')
+
+/// @nodoc
+function _redactBody (body) {
+  if ((body == null) || (typeof body !== 'object') || Array.isArray(body)) {
+    return body
+  }
+  const ret = Object.assign({}, body)
+  for (const p of SECRET_PARAMS) {
+    if (ret[p] != null) {
+      ret[p] = 'REDACTED'
+    }
+  }
+  return ret
+}
+
+/**
+ * Group requests by endpoint, replacing IDs in the path with `:id`, as in
+ * `GET /v3/streams/:id/contents`.
+ *
+ * @param {Object} req - the request, as passed to middleware
+ * @returns {String} the method and the path pattern
+ */
+function endpoint (req) {
+  const { pathname } = new URL(req.url)
+  const parts = pathname.split('/').map((p, i) =>
+    ((i < 3) || p.match(/^\.?[a-z]+$/)) ? p : ':id')
+  return `${req.method} ${parts.join('/')}`
+}
+
+/**
+ * Create middleware that logs each request and response, for use with
+ * {@link Feedly#use}.  The Authorization header, and tokens and secrets in
+ * URLs and bodies, are redacted.
+ *
+ * @param {Object} [options] - Options for logging
+ * @param {Function} [options.log=console.error] - Function(String) to log
+ *   each line with
+ * @param {Boolean} [options.bodies=false] - also log request and response
+ *   bodies
+ * @returns {Object} the middleware
+ */
+function createDebugLogger (options) {
+  const opts = Object.assign({}, {
+    log: console.error,
+    bodies: false
+  }, options)
+  const started = new WeakMap()
+  const line = req => `${req.method} ${_redact(req.url)}`
+  // No start time if an earlier middleware answered the request itself
+  const ms = req => started.has(req)
+    ? ` ${Date.now() - started.get(req)}ms`
+    : ''
+
+  return {
+    request (req) {
+      started.set(req, Date.now())
+      const headers = Object.assign({}, req.headers)
+      if (headers.Authorization != null) {
+        headers.Authorization = 'REDACTED'
+      }
+      let msg = `feedly > ${line(req)} ${JSON.stringify(headers)}`
+      if (opts.bodies && (req.body != null)) {
+        msg += ` ${JSON.stringify(_redactBody(req.body))}`
+      }
+      opts.log(msg)
+    },
+    response (req, res) {
+      let msg = `feedly < ${res.statusCode} ${line(req)}${ms(req)}`
+      if (opts.bodies && (res.body != null)) {
+        msg += ` ${JSON.stringify(_redactBody(res.body))}`
+      }
+      opts.log(msg)
+    },
+    error (req, er) {
+      opts.log(`feedly ! ${line(req)}${ms(req)}: ${er.message}`)
+    }
+  }
+}
+
+/**
+ * Create middleware that records how long requests take, grouped by
+ * {@link endpoint}, for use with {@link Feedly#use}.
+ *
+ * @example
+ * const timing = createTimingCollector()
+ * feedly.use(timing)
+ * // later
+ * console.table(timing.report())
+ *
+ * @returns {Object} the middleware, with `report()` and `reset()` methods.
+ *   report returns `{ [endpoint]: { count, errors, total, min, max, mean }
+ *   }`, with times in milliseconds.  Errors include HTTP errors.
+ */
+function createTimingCollector () {
+  const started = new WeakMap()
+  let stats = new Map()
+  const record = (req, failed) => {
+    if (!started.has(req)) {
+      return
+    }
+    const ms = Date.now() - started.get(req)
+    started.delete(req)
+    const key = endpoint(req)
+    let s = stats.get(key)
+    if (s == null) {
+      s = { count: 0, errors: 0, total: 0, min: Infinity, max: 0 }
+      stats.set(key, s)
+    }
+    s.count++
+    s.total += ms
+    s.min = Math.min(s.min, ms)
+    s.max = Math.max(s.max, ms)
+    if (failed) {
+      s.errors++
+    }
+  }
+
+  return {
+    request (req) {
+      started.set(req, Date.now())
+    },
+    response (req, res) {
+      record(req, (res.statusCode < 200) || (res.statusCode >= 300))
+    },
+    error (req) {
+      record(req, true)
+    },
+    report () {
+      const ret = {}
+      for (const [key, s] of stats) {
+        ret[key] = Object.assign({}, s, { mean: s.total / s.count })
+      }
+      return ret
+    },
+    reset () {
+      stats = new Map()
+    }
+  }
+}
+
+module.exports = {
+  endpoint,
+  createDebugLogger,
+  createTimingCollector
+}
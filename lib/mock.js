@@ -0,0 +1,1173 @@
+'use strict'
+
+const crypto = require('crypto')
+const http = require('http')
+
+const USER_ID = 'c805fcbf-3acf-4302-a97e-d82f9d7c897f'
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+
+const FEEDS = [
+  {
+    id: 'feed/https://www.tbray.org/ongoing/ongoing.atom',
+    title: 'ongoing by Tim Bray',
+    website: 'https://www.tbray.org/ongoing/',
+    topics: ['tech', 'programming'],
+    count: 30
+  },
+  {
+    id: 'feed/http://feeds.arstechnica.com/arstechnica/index',
+    title: 'Ars Technica',
+    website: 'https://arstechnica.com',
+    topics: ['tech', 'science'],
+    count: 12,
+    categories: ['tech']
+  },
+  {
+    id: 'feed/https://blog.arduino.cc/feed/',
+    title: 'Arduino Blog',
+    website: 'https://blog.arduino.cc',
+    topics: ['arduino', 'diy', 'electronics'],
+    count: 8,
+    categories: ['tech', 'hobbies']
+  }
+]
+
+/// @nodoc
+class MockError extends Error {
+  constructor (statusCode, message) {
+    super(message)
+    this.statusCode = statusCode
+  }
+}
+
+/// @nodoc
+function _fail (statusCode, message) {
+  throw new MockError(statusCode, message)
+}
+
+/// @nodoc
+function _copy (o) {
+  return JSON.parse(JSON.stringify(o))
+}
+
+/// @nodoc
+function _entryId (feedId, n, crawled) {
+  const hash = crypto.createHash('sha256')
+    .update(`${feedId}#${n}`)
+    .digest('base64')
+    .slice(0, 44)
+  return `${hash}_${crawled.toString(16)}`
+}
+
+/// @nodoc
+function _lastSegment (id) {
+  return id.slice(id.lastIndexOf('/') + 1)
+}
+
+/**
+ * An in-process HTTP server that implements the parts of the Feedly API
+ * that this library uses, including the OAuth redirect dance, with seeded
+ * data that changes as you make calls.  Point the `base` option of a
+ * {@link Feedly} instance at it to test without a network or a Feedly
+ * account.
+ *
+ * Any client ID and secret are accepted, unless the client_id or
+ * client_secret options are given.
+ *
+ * @example
+ * const MockFeedlyServer = require('feedly/mock')
+ * const mock = new MockFeedlyServer()
+ * const base = await mock.listen()
+ * const f = new Feedly({
+ *   client_id: 'sandbox',
+ *   client_secret: 'secret',
+ *   base,
+ *   config_file: null,
+ *   opener: url => fetch(url) // follows the redirect back to us
+ * })
+ * console.log(await f.profile())
+ * await mock.close()
+ */
+class MockFeedlyServer {
+  /**
+   * Creates an instance of MockFeedlyServer.
+   *
+   * @param {Object} [options] - Options for the server
+   * @param {String} [options.client_id] - Only accept this client ID
+   * @param {String} [options.client_secret] - Only accept this client secret
+   * @param {Array(String)} [options.tokens] - Access tokens that are always
+   *   valid, like developer tokens.  (default: [])
+   * @param {int} [options.expires_in] - Lifetime of access tokens, in
+   *   seconds.  (default: 604800)
+   * @param {String} [options.auth_error] - If set, the authorization
+   *   endpoint redirects back with this error instead of a code
+   * @param {int} [options.rate_limit] - Value for X-RateLimit-Limit.
+   *   (default: 10000)
+   * @param {int} [options.max_ids] - Reject `.mget`, entry marker and
+   *   tagging requests with more IDs than this, as Feedly does.
+   *   (default: 1000)
+   * @param {Function|Object} [options.data] - Seed data, or a
+   *   Function(Date) that returns it.  (default:
+   *   {@link MockFeedlyServer.defaultData})
+   */
+  constructor (options) {
+    this.options = Object.assign({}, {
+      client_id: null,
+      client_secret: null,
+      tokens: [],
+      expires_in: 7 * 24 * 60 * 60,
+      auth_error: null,
+      rate_limit: 10000,
+      max_ids: 1000,
+      data: MockFeedlyServer.defaultData
+    }, options)
+    this.server = null
+    this.base = null
+    this.reset()
+  }
+
+  /**
+   * Generate the default seed data: a user subscribed to two feeds, with a
+   * third feed available to subscribe to, all with entries crawled in the
+   * hours before `now`.
+   *
+   * @param {Date} [now] - the time to work back from
+   * @returns {Object} the seed data
+   */
+  static defaultData (now = new Date()) {
+    const data = {
+      userId: USER_ID,
+      profile: {
+        id: USER_ID,
+        email: 'mock@example.com',
+        givenName: 'Mock',
+        familyName: 'User',
+        fullName: 'Mock User',
+        locale: 'en',
+        client: 'mock',
+        created: now.getTime() - (365 * DAY)
+      },
+      preferences: {},
+      feeds: {},
+      entries: {},
+      subscriptions: {},
+      categories: {},
+      tags: {
+        [`user/${USER_ID}/tag/global.saved`]: {
+          id: `user/${USER_ID}/tag/global.saved`
+        }
+      },
+      readOps: [],
+      tagOps: []
+    }
+    FEEDS.forEach((f, fi) => {
+      data.feeds[f.id] = {
+        id: f.id,
+        feedId: f.id,
+        title: f.title,
+        website: f.website,
+        topics: f.topics,
+        subscribers: 1000 * (fi + 1),
+        velocity: f.count / 7,
+        language: 'en',
+        state: 'alive'
+      }
+      for (let i = 0; i < f.count; i++) {
+        const crawled = now.getTime() - (i * HOUR) - (fi * 60000)
+        const id = _entryId(f.id, i, crawled)
+        const href = `${f.website}${f.website.endsWith('/') ? '' : '/'}entry-${i}`
+        data.entries[id] = {
+          id,
+          originId: href,
+          fingerprint: id.slice(0, 8),
+          title: `${f.title} entry ${i}`,
+          author: `Author ${i % 3}`,
+          crawled,
+          published: crawled - (10 * 60000),
+          origin: {
+            streamId: f.id,
+            title: f.title,
+            htmlUrl: f.website
+          },
+          canonicalUrl: href,
+          alternate: [{ href, type: 'text/html' }],
+          summary: {
+            direction: 'ltr',
+            content: `<p>Summary of entry ${i} from ${f.title}.</p>`
+          },
+          content: {
+            direction: 'ltr',
+            content: `<p>Content of entry ${i} from ${f.title}.</p>`
+          },
+          keywords: f.topics.slice(0, 1),
+          unread: true,
+          tags: []
+        }
+      }
+      if (f.categories) {
+        const cats = f.categories.map(c => {
+          const cid = `user/${USER_ID}/category/${c}`
+          data.categories[cid] = { id: cid, label: c }
+          return cid
+        })
+        data.subscriptions[f.id] = {
+          id: f.id,
+          title: f.title,
+          categories: cats,
+          added: now.getTime() - (30 * DAY),
+          updated: now.getTime()
+        }
+      }
+    })
+    return data
+  }
+
+  /**
+   * Throw away all changes, and start over with fresh seed data.  Tokens
+   * that have been issued stay valid.
+   */
+  reset () {
+    const { data } = this.options
+    this.data = (typeof data === 'function') ? data(new Date()) : _copy(data)
+    if (this.codes == null) {
+      this.codes = new Map()
+      this.accessTokens = new Map()
+      this.refreshTokens = new Set()
+    }
+    this.requests = []
+    this.failures = []
+    this.rateCount = 0
+  }
+
+  /**
+   * Make matching requests fail.
+   *
+   * @param {Object} failure - Which requests to fail, and how
+   * @param {String} [failure.method] - Only fail this HTTP method
+   * @param {String|RegExp} [failure.path] - Only fail requests whose path
+   *   starts with this string, or matches this RegExp
+   * @param {int} [failure.statusCode=500] - The status code to return
+   * @param {Object} [failure.headers] - Extra headers, like Retry-After
+   * @param {int} [failure.times=1] - How many requests to fail
+   */
+  fail (failure) {
+    this.failures.push(Object.assign({
+      method: null,
+      path: null,
+      statusCode: 500,
+      headers: {},
+      times: 1
+    }, failure))
+  }
+
+  /**
+   * Start listening on 127.0.0.1.
+   *
+   * @param {int} [port=0] - the port to listen on, 0 for any
+   * @returns {Promise(String)} the base URL to use as the `base` option
+   */
+  listen (port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this._handle(req, res))
+      this.server.on('error', reject)
+      this.server.listen(port, '127.0.0.1', () => {
+        this.base = `http://127.0.0.1:${this.server.address().port}`
+        resolve(this.base)
+      })
+    })
+  }
+
+  /**
+   * Stop listening, and close any open connections.
+   *
+   * @returns {Promise} Done
+   */
+  close () {
+    return new Promise(resolve => {
+      if (this.server == null) {
+        resolve()
+        return
+      }
+      this.server.close(() => resolve())
+      this.server.closeAllConnections()
+      this.server = null
+    })
+  }
+
+  /// @nodoc
+  _handle (req, res) {
+    const chunks = []
+    req.on('data', c => chunks.push(c))
+    req.on('end', () => {
+      const u = new URL(req.url, 'http://localhost')
+      const headers = {
+        'Content-Type': 'application/json; charset=utf-8',
+        'X-RateLimit-Count': String(++this.rateCount),
+        'X-RateLimit-Limit': String(this.options.rate_limit),
+        'X-RateLimit-Reset': '3600'
+      }
+      let status = 200
+      let out = null
+      try {
+        const text = Buffer.concat(chunks).toString('utf8')
+        let body = null
+        if (text.length > 0) {
+          try {
+            body = JSON.parse(text)
+          } catch (er) {
+            _fail(400, 'Invalid JSON body')
+          }
+        }
+        this.requests.push({
+          method: req.method,
+          path: u.pathname,
+          query: Object.fromEntries(u.searchParams),
+          body
+        })
+        const failure = this._failure(req.method, u.pathname)
+        if (failure != null) {
+          Object.assign(headers, failure.headers)
+          _fail(failure.statusCode, 'Injected failure')
+        }
+        out = this._route(req, u, body)
+        if (out instanceof URL) {
+          res.writeHead(302, { Location: out.toString() })
+          res.end()
+          return
+        }
+      } catch (er) {
+        status = (er instanceof MockError) ? er.statusCode : 500
+        out = {
+          errorCode: status,
+          errorId: `mock.${Date.now()}`,
+          errorMessage: er.message
+        }
+      }
+      res.writeHead(status, headers)
+      res.end((out == null) ? '' : JSON.stringify(out))
+    })
+  }
+
+  /// @nodoc
+  _failure (method, path) {
+    const i = this.failures.findIndex(f =>
+      ((f.method == null) || (f.method === method)) &&
+      ((f.path == null) ||
+       ((f.path instanceof RegExp) ? f.path.test(path) : path.startsWith(f.path))))
+    if (i === -1) {
+      return null
+    }
+    const f = this.failures[i]
+    if (--f.times <= 0) {
+      this.failures.splice(i, 1)
+    }
+    return f
+  }
+
+  /// @nodoc
+  _route (req, u, body) {
+    // Split before decoding, so that encoded slashes stay inside segments.
+    // Commas separate lists of encoded IDs.
+    const segs = u.pathname.split('/').slice(1)
+    if (segs[0] !== 'v3') {
+      _fail(404, 'Not found')
+    }
+    const resource = segs[1]
+    const rest = segs.slice(2).map(s => s.split(',')
+      .map(p => this._normalizeId(decodeURIComponent(p))))
+    const query = Object.fromEntries(u.searchParams)
+    const method = req.method
+
+    if (resource === 'auth') {
+      return this._authRoute(method, rest, Object.assign({}, query, body))
+    }
+    this._checkToken(req.headers.authorization)
+
+    switch (resource) {
+      case 'profile':
+        return this._profile(method, body)
+      case 'preferences':
+        return this._preferences(method, body)
+      case 'subscriptions':
+        return this._subscriptions(method, rest, body)
+      case 'categories':
+        return this._categoriesRoute(method, rest, body)
+      case 'streams':
+        return this._streamsRoute(method, rest, query)
+      case 'markers':
+        return this._markers(method, rest, query, body)
+      case 'tags':
+        return this._tagsRoute(method, rest, body)
+      case 'entries':
+        return this._entriesRoute(method, rest, body)
+      case 'feeds':
+        return this._feedsRoute(method, rest, body)
+      case 'search':
+        return this._search(method, rest, query)
+      case 'shorten':
+        return this._shorten(method, query)
+    }
+    return _fail(404, `Unknown resource: ${resource}`)
+  }
+
+  /// @nodoc
+  _normalizeId (id) {
+    return id.replace(/^user\/-\//, `user/${this.data.userId}/`)
+  }
+
+  /// @nodoc
+  _checkClient (params) {
+    const { client_id: id, client_secret: secret } = this.options
+    if ((params.client_id == null) ||
+        ((id != null) && (params.client_id !== id))) {
+      _fail(400, 'Invalid client_id')
+    }
+    if ((params.client_secret !== undefined) &&
+        (secret != null) &&
+        (params.client_secret !== secret)) {
+      _fail(401, 'Invalid client_secret')
+    }
+  }
+
+  /// @nodoc
+  _checkToken (authorization) {
+    const m = (authorization || '').match(/^(?:OAuth|Bearer)\s+(.+)$/)
+    if (m == null) {
+      _fail(401, 'Missing authorization')
+    }
+    const token = m[1]
+    if (this.options.tokens.includes(token)) {
+      return
+    }
+    const t = this.accessTokens.get(token)
+    if ((t == null) || (t.expires < Date.now())) {
+      _fail(401, 'token expired')
+    }
+  }
+
+  /// @nodoc
+  _issueToken (refresh) {
+    const access = crypto.randomBytes(24).toString('base64url')
+    this.accessTokens.set(access, {
+      expires: Date.now() + (this.options.expires_in * 1000),
+      refresh
+    })
+    return {
+      id: this.data.userId,
+      access_token: access,
+      expires_in: this.options.expires_in,
+      token_type: 'Bearer',
+      plan: 'standard',
+      provider: 'mock',
+      scope: 'https://cloud.feedly.com/subscriptions'
+    }
+  }
+
+  /// @nodoc
+  _authRoute (method, rest, params) {
+    const [[action] = []] = rest
+    if ((action === 'auth') && (method === 'GET')) {
+      this._checkClient(params)
+      if (params.redirect_uri == null) {
+        _fail(400, 'redirect_uri required')
+      }
+      const redirect = new URL(params.redirect_uri)
+      if (params.state != null) {
+        redirect.searchParams.set('state', params.state)
+      }
+      if (this.options.auth_error != null) {
+        redirect.searchParams.set('error', this.options.auth_error)
+        return redirect
+      }
+      const code = crypto.randomBytes(16).toString('hex')
+      this.codes.set(code, {
+        client_id: params.client_id,
+        redirect_uri: params.redirect_uri,
+        challenge: params.code_challenge
+      })
+      redirect.searchParams.set('code', code)
+      return redirect
+    }
+    if ((action !== 'token') || (method !== 'POST')) {
+      _fail(404, 'Not found')
+    }
+
+    this._checkClient(params)
+    switch (params.grant_type) {
+      case 'authorization_code': {
+        const c = this.codes.get(params.code)
+        if ((c == null) ||
+            (c.client_id !== params.client_id) ||
+            (c.redirect_uri !== params.redirect_uri)) {
+          _fail(400, 'invalid_grant')
+        }
+        if (c.challenge != null) {
+          const computed = crypto.createHash('sha256')
+            .update(params.code_verifier || '')
+            .digest('base64url')
+          if (computed !== c.challenge) {
+            _fail(400, 'invalid_grant: code_verifier does not match')
+          }
+        }
+        this.codes.delete(params.code)
+        const refresh = crypto.randomBytes(24).toString('base64url')
+        this.refreshTokens.add(refresh)
+        return Object.assign(this._issueToken(refresh), {
+          refresh_token: refresh
+        })
+      }
+      case 'refresh_token':
+        if (!this.refreshTokens.has(params.refresh_token)) {
+          _fail(400, 'invalid_grant')
+        }
+        return this._issueToken(params.refresh_token)
+      case 'revoke_token':
+        this.refreshTokens.delete(params.refresh_token)
+        for (const [k, v] of this.accessTokens) {
+          if (v.refresh === params.refresh_token) {
+            this.accessTokens.delete(k)
+          }
+        }
+        return {
+          id: this.data.userId,
+          expires_in: 0
+        }
+    }
+    return _fail(400, `Unknown grant_type: ${params.grant_type}`)
+  }
+
+  /// @nodoc
+  _profile (method, body) {
+    if (method === 'POST') {
+      Object.assign(this.data.profile, body)
+    } else if (method !== 'GET') {
+      _fail(405, 'Method not allowed')
+    }
+    return this.data.profile
+  }
+
+  /// @nodoc
+  _preferences (method, body) {
+    if (method === 'POST') {
+      for (const [k, v] of Object.entries(body || {})) {
+        if (v === '==DELETE==') {
+          delete this.data.preferences[k]
+        } else {
+          this.data.preferences[k] = v
+        }
+      }
+    } else if (method !== 'GET') {
+      _fail(405, 'Method not allowed')
+    }
+    return this.data.preferences
+  }
+
+  /// @nodoc
+  _category (id, label) {
+    if (typeof id === 'object') {
+      label = id.label || id.name
+      id = id.id
+    }
+    id = this._normalizeId(id)
+    if (!id.match(/^user\/[^/]+\/category\//)) {
+      id = `user/${this.data.userId}/category/${id}`
+    }
+    if (this.data.categories[id] == null) {
+      this.data.categories[id] = { id, label: label || _lastSegment(id) }
+    }
+    return id
+  }
+
+  /// @nodoc
+  _feed (id) {
+    let f = this.data.feeds[id]
+    if (f == null) {
+      const website = id.replace(/^feed\//, '')
+      f = this.data.feeds[id] = {
+        id,
+        feedId: id,
+        title: website,
+        website,
+        subscribers: 0,
+        velocity: 0,
+        state: 'alive'
+      }
+    }
+    return f
+  }
+
+  /// @nodoc
+  _subscriptionJSON (sub) {
+    const f = this._feed(sub.id)
+    return Object.assign({}, f, {
+      title: sub.title || f.title,
+      categories: sub.categories
+        .filter(c => this.data.categories[c] != null)
+        .map(c => _copy(this.data.categories[c])),
+      added: sub.added,
+      updated: sub.updated
+    })
+  }
+
+  /// @nodoc
+  _subscribe (input) {
+    if ((input == null) || (typeof input.id !== 'string') ||
+        !input.id.startsWith('feed/')) {
+      _fail(400, 'Invalid feed id')
+    }
+    this._feed(input.id)
+    const now = Date.now()
+    let sub = this.data.subscriptions[input.id]
+    if (sub == null) {
+      sub = this.data.subscriptions[input.id] = {
+        id: input.id,
+        title: null,
+        categories: [],
+        added: now,
+        updated: now
+      }
+    }
+    if (input.title != null) {
+      sub.title = input.title
+    }
+    if (Array.isArray(input.categories)) {
+      sub.categories = input.categories.map(c => this._category(c))
+    }
+    sub.updated = now
+    return sub
+  }
+
+  /// @nodoc
+  _subscriptions (method, rest, body) {
+    const [[action] = []] = rest
+    switch (method) {
+      case 'GET':
+        return Object.values(this.data.subscriptions)
+          .map(s => this._subscriptionJSON(s))
+      case 'POST':
+        if (action === '.mput') {
+          if (!Array.isArray(body) ||
+              body.some(b => !b || !String(b.id).startsWith('feed/'))) {
+            _fail(400, 'Array of subscriptions required')
+          }
+          body.forEach(b => this._subscribe(b))
+          return null
+        }
+        return [this._subscriptionJSON(this._subscribe(body))]
+      case 'DELETE':
+        if (action === '.mdelete') {
+          if (!Array.isArray(body)) {
+            _fail(400, 'Array of feed ids required')
+          }
+          for (const id of body) {
+            delete this.data.subscriptions[id]
+          }
+          return null
+        }
+        if (rest.length === 0) {
+          _fail(400, 'Feed id required')
+        }
+        for (const id of rest[0]) {
+          delete this.data.subscriptions[id]
+        }
+        return null
+    }
+    return _fail(405, 'Method not allowed')
+  }
+
+  /// @nodoc
+  _categoriesRoute (method, rest, body) {
+    if (method === 'GET') {
+      return Object.values(this.data.categories)
+        .map(_copy)
+        .sort((a, b) => a.label.localeCompare(b.label))
+    }
+    if (rest.length === 0) {
+      _fail(400, 'Category id required')
+    }
+    const ids = rest[0]
+    for (const id of ids) {
+      if (this.data.categories[id] == null) {
+        _fail(404, `Unknown category: ${id}`)
+      }
+    }
+    switch (method) {
+      case 'POST':
+        if ((body == null) || (typeof body.label !== 'string')) {
+          _fail(400, 'label required')
+        }
+        for (const id of ids) {
+          this.data.categories[id].label = body.label
+        }
+        return null
+      case 'DELETE':
+        for (const id of ids) {
+          delete this.data.categories[id]
+          for (const sub of Object.values(this.data.subscriptions)) {
+            sub.categories = sub.categories.filter(c => c !== id)
+          }
+        }
+        return null
+    }
+    return _fail(405, 'Method not allowed')
+  }
+
+  /// @nodoc
+  _entryJSON (e) {
+    const ret = _copy(e)
+    const sub = this.data.subscriptions[e.origin && e.origin.streamId]
+    if (sub != null) {
+      ret.categories = sub.categories
+        .filter(c => this.data.categories[c] != null)
+        .map(c => _copy(this.data.categories[c]))
+    }
+    ret.tags = e.tags.map(t => Object.assign({ id: t }, this.data.tags[t]))
+    return ret
+  }
+
+  /// @nodoc
+  _streamEntries (streamId) {
+    const all = Object.values(this.data.entries)
+    if (streamId.startsWith('feed/')) {
+      return all.filter(e => e.origin && (e.origin.streamId === streamId))
+    }
+    let m = streamId.match(/^user\/[^/]+\/category\/(.+)$/)
+    if (m) {
+      let feeds = Object.values(this.data.subscriptions)
+      switch (m[1]) {
+        case 'global.all':
+        case 'global.must':
+          break
+        case 'global.uncategorized':
+          feeds = feeds.filter(s => s.categories.length === 0)
+          break
+        default:
+          feeds = feeds.filter(s => s.categories.includes(streamId))
+      }
+      const ids = new Set(feeds.map(s => s.id))
+      return all.filter(e => e.origin && ids.has(e.origin.streamId))
+    }
+    m = streamId.match(/^user\/[^/]+\/tag\/(.+)$/)
+    if (m) {
+      return all.filter(e => e.tags.includes(streamId))
+    }
+    return []
+  }
+
+  /// @nodoc
+  _streamPage (streamId, query, max) {
+    let entries = this._streamEntries(streamId)
+    if (query.unreadOnly === 'true') {
+      entries = entries.filter(e => e.unread)
+    }
+    if (query.newerThan != null) {
+      const nt = parseInt(query.newerThan, 10)
+      entries = entries.filter(e => e.crawled > nt)
+    }
+    entries.sort((a, b) => (query.ranked === 'oldest')
+      ? (a.crawled - b.crawled)
+      : (b.crawled - a.crawled))
+    let start = 0
+    if (query.continuation != null) {
+      start = parseInt(Buffer.from(query.continuation, 'base64url').toString(), 10)
+      if (Number.isNaN(start)) {
+        _fail(400, 'Invalid continuation')
+      }
+    }
+    const count = Math.min(parseInt(query.count, 10) || 20, max)
+    const page = entries.slice(start, start + count)
+    const ret = { id: streamId, items: page }
+    if (start + count < entries.length) {
+      ret.continuation = Buffer.from(String(start + count)).toString('base64url')
+    }
+    return ret
+  }
+
+  /// @nodoc
+  _streamsRoute (method, rest, query) {
+    if (method !== 'GET') {
+      _fail(405, 'Method not allowed')
+    }
+    let streamId = null
+    let kind = null
+    if (rest.length === 2) {
+      [[streamId], [kind]] = rest
+    } else if (rest.length === 1) {
+      // Older style: /v3/streams/ids?streamId=...
+      [[kind]] = rest
+      streamId = this._normalizeId(query.streamId || '')
+    }
+    switch (kind) {
+      case 'ids': {
+        const page = this._streamPage(streamId, query, 10000)
+        page.ids = page.items.map(e => e.id)
+        delete page.items
+        delete page.id
+        return page
+      }
+      case 'contents': {
+        const page = this._streamPage(streamId, query, 1000)
+        page.items = page.items.map(e => this._entryJSON(e))
+        page.updated = Date.now()
+        page.direction = 'ltr'
+        const f = this.data.feeds[streamId]
+        if (f != null) {
+          page.title = f.title
+        } else if (this.data.categories[streamId] != null) {
+          page.title = this.data.categories[streamId].label
+        }
+        return page
+      }
+    }
+    return _fail(404, 'Not found')
+  }
+
+  /// @nodoc
+  _checkIds (ids) {
+    if (ids.length > this.options.max_ids) {
+      _fail(400, `Too many ids: ${ids.length} > ${this.options.max_ids}`)
+    }
+  }
+
+  /// @nodoc
+  _counts (query) {
+    const newerThan = (query.newerThan != null)
+      ? parseInt(query.newerThan, 10)
+      : Date.now() - (30 * DAY)
+    const count = (streamId) => {
+      const entries = this._streamEntries(streamId)
+        .filter(e => e.unread && (e.crawled > newerThan))
+      return {
+        id: streamId,
+        count: entries.length,
+        updated: entries.reduce((t, e) => Math.max(t, e.crawled), 0)
+      }
+    }
+    let ids = Object.keys(this.data.subscriptions)
+    if (query.streamId != null) {
+      const sid = this._normalizeId(query.streamId)
+      const inCat = new Set(this._streamEntries(sid).map(e => e.origin.streamId))
+      ids = ids.filter(id => inCat.has(id))
+      ids.push(sid)
+    } else {
+      ids.push(...Object.keys(this.data.categories))
+      ids.push(`user/${this.data.userId}/category/global.all`)
+    }
+    return { unreadcounts: ids.map(count) }
+  }
+
+  /// @nodoc
+  _markStream (streamIds, type, body) {
+    let asOf = Date.now()
+    if (body.asOf != null) {
+      asOf = body.asOf
+    } else if (body.lastReadEntryId != null) {
+      const last = this.data.entries[body.lastReadEntryId]
+      if (last == null) {
+        _fail(400, `Unknown entry: ${body.lastReadEntryId}`)
+      }
+      asOf = last.crawled
+    }
+    const time = Date.now()
+    for (const id of streamIds.map(i => this._normalizeId(i))) {
+      for (const e of this._streamEntries(id)) {
+        if (e.crawled <= asOf) {
+          e.unread = false
+        }
+      }
+      this.data.readOps.push({ time, type, id, asOf })
+    }
+  }
+
+  /// @nodoc
+  _markers (method, rest, query, body) {
+    const [[action] = []] = rest
+    if (method === 'GET') {
+      switch (action) {
+        case 'counts':
+          return this._counts(query)
+        case 'reads':
+          return this._reads(query)
+        case 'tags':
+          return this._taggedEntries(query)
+      }
+      return _fail(404, 'Not found')
+    }
+    if ((method !== 'POST') || (action != null) || (body == null)) {
+      _fail(400, 'Invalid markers request')
+    }
+    const time = Date.now()
+    switch (body.type) {
+      case 'entries': {
+        if (!Array.isArray(body.entryIds)) {
+          _fail(400, 'entryIds required')
+        }
+        this._checkIds(body.entryIds)
+        const unread = (body.action === 'keepUnread')
+        if (!unread && (body.action !== 'markAsRead')) {
+          _fail(400, `Unknown action: ${body.action}`)
+        }
+        for (const id of body.entryIds) {
+          const e = this.data.entries[id]
+          if (e != null) {
+            e.unread = unread
+            this.data.readOps.push({
+              time,
+              type: unread ? 'unread' : 'entries',
+              id
+            })
+          }
+        }
+        return null
+      }
+      case 'feeds':
+        this._markStream(body.feedIds || [], 'feeds', body)
+        return null
+      case 'categories':
+        this._markStream(body.categoryIds || [], 'categories', body)
+        return null
+      case 'tags':
+        this._markStream(body.tagIds || [], 'tags', body)
+        return null
+    }
+    return _fail(400, `Unknown type: ${body.type}`)
+  }
+
+  /// @nodoc
+  _reads (query) {
+    const newerThan = (query.newerThan != null)
+      ? parseInt(query.newerThan, 10)
+      : 0
+    const ret = {
+      entries: [],
+      unread: [],
+      feeds: [],
+      categories: [],
+      tags: []
+    }
+    for (const op of this.data.readOps) {
+      if (op.time <= newerThan) {
+        continue
+      }
+      if ((op.type === 'entries') || (op.type === 'unread')) {
+        const other = (op.type === 'entries') ? ret.unread : ret.entries
+        const i = other.indexOf(op.id)
+        if (i !== -1) {
+          other.splice(i, 1)
+        }
+        if (!ret[op.type].includes(op.id)) {
+          ret[op.type].push(op.id)
+        }
+      } else {
+        ret[op.type].push({ id: op.id, asOf: op.asOf })
+      }
+    }
+    return ret
+  }
+
+  /// @nodoc
+  _taggedEntries (query) {
+    const newerThan = (query.newerThan != null)
+      ? parseInt(query.newerThan, 10)
+      : 0
+    const taggedEntries = {}
+    for (const op of this.data.tagOps) {
+      const e = this.data.entries[op.entryId]
+      if ((op.time <= newerThan) || (e == null) || !e.tags.includes(op.tagId)) {
+        continue
+      }
+      const list = taggedEntries[op.tagId] || (taggedEntries[op.tagId] = [])
+      if (!list.includes(op.entryId)) {
+        list.push(op.entryId)
+      }
+    }
+    return { taggedEntries }
+  }
+
+  /// @nodoc
+  _tag (id) {
+    if (!id.match(/^user\/[^/]+\/tag\//)) {
+      _fail(400, `Invalid tag id: ${id}`)
+    }
+    if (this.data.tags[id] == null) {
+      this.data.tags[id] = { id, label: _lastSegment(id) }
+    }
+    return id
+  }
+
+  /// @nodoc
+  _addTags (entry, tagIds, time) {
+    for (const t of tagIds) {
+      if (!entry.tags.includes(t)) {
+        entry.tags.push(t)
+      }
+      this.data.tagOps.push({ time, tagId: t, entryId: entry.id })
+    }
+  }
+
+  /// @nodoc
+  _tagsRoute (method, rest, body) {
+    if (method === 'GET') {
+      return Object.values(this.data.tags).map(_copy)
+    }
+    if (rest.length === 0) {
+      _fail(400, 'Tag id required')
+    }
+    const tagIds = rest[0]
+    const time = Date.now()
+    switch (method) {
+      case 'PUT': {
+        if (body == null) {
+          _fail(400, 'entryId or entryIds required')
+        }
+        const ids = (body.entryIds != null) ? body.entryIds : [body.entryId]
+        this._checkIds(ids)
+        for (const id of ids) {
+          const e = this.data.entries[id]
+          if (e == null) {
+            _fail(404, `Unknown entry: ${id}`)
+          }
+          this._addTags(e, tagIds.map(t => this._tag(t)), time)
+        }
+        return null
+      }
+      case 'POST':
+        if ((body == null) || (typeof body.label !== 'string')) {
+          _fail(400, 'label required')
+        }
+        for (const t of tagIds) {
+          if (this.data.tags[t] == null) {
+            _fail(404, `Unknown tag: ${t}`)
+          }
+          this.data.tags[t].label = body.label
+        }
+        return null
+      case 'DELETE': {
+        const entryIds = rest[1]
+        for (const e of Object.values(this.data.entries)) {
+          if ((entryIds == null) || entryIds.includes(e.id)) {
+            e.tags = e.tags.filter(t => !tagIds.includes(t))
+          }
+        }
+        if (entryIds == null) {
+          for (const t of tagIds) {
+            if (!t.endsWith('/tag/global.saved')) {
+              delete this.data.tags[t]
+            }
+          }
+        }
+        return null
+      }
+    }
+    return _fail(405, 'Method not allowed')
+  }
+
+  /// @nodoc
+  _entriesRoute (method, rest, body) {
+    const [[id] = []] = rest
+    if ((method === 'GET') && id) {
+      const e = this.data.entries[id]
+      if (e == null) {
+        _fail(404, `Unknown entry: ${id}`)
+      }
+      return [this._entryJSON(e)]
+    }
+    if ((method === 'POST') && (id === '.mget')) {
+      const ids = Array.isArray(body) ? body : (body && body.ids)
+      if (!Array.isArray(ids)) {
+        _fail(400, 'ids required')
+      }
+      this._checkIds(ids)
+      return ids
+        .map(i => this.data.entries[i])
+        .filter(e => e != null)
+        .map(e => this._entryJSON(e))
+    }
+    if ((method === 'POST') && !id) {
+      if ((body == null) || (typeof body !== 'object')) {
+        _fail(400, 'entry required')
+      }
+      const now = Date.now()
+      const eid = _entryId(JSON.stringify(body), now, now)
+      const tags = (body.tags || []).map(t => {
+        const tid = this._tag(this._normalizeId(t.id))
+        if (t.label != null) {
+          this.data.tags[tid].label = t.label
+        }
+        return tid
+      })
+      const e = this.data.entries[eid] = Object.assign({}, body, {
+        id: eid,
+        crawled: now,
+        published: body.published || now,
+        unread: true,
+        tags: []
+      })
+      this._addTags(e, tags, now)
+      return [eid]
+    }
+    return _fail(404, 'Not found')
+  }
+
+  /// @nodoc
+  _feedsRoute (method, rest, body) {
+    const [[id] = []] = rest
+    if ((method === 'GET') && id) {
+      const f = this.data.feeds[id]
+      if (f == null) {
+        _fail(404, `Unknown feed: ${id}`)
+      }
+      return _copy(f)
+    }
+    if ((method === 'POST') && (id === '.mget')) {
+      const ids = Array.isArray(body) ? body : (body && body.ids)
+      if (!Array.isArray(ids)) {
+        _fail(400, 'ids required')
+      }
+      this._checkIds(ids)
+      return ids
+        .map(i => this.data.feeds[i])
+        .filter(f => f != null)
+        .map(_copy)
+    }
+    return _fail(404, 'Not found')
+  }
+
+  /// @nodoc
+  _search (method, rest, query) {
+    const [[kind] = []] = rest
+    if ((method !== 'GET') || (kind !== 'feeds')) {
+      _fail(404, 'Not found')
+    }
+    const q = (query.query || '').toLowerCase().replace(/^#/, '')
+    const n = parseInt(query.n, 10) || 20
+    const results = Object.values(this.data.feeds)
+      .filter(f => [f.id, f.title, f.website, ...(f.topics || [])]
+        .some(s => (s != null) && s.toLowerCase().includes(q)))
+      .slice(0, n)
+      .map((f, i) => Object.assign(_copy(f), { score: 1 / (i + 1) }))
+    return { hint: query.query, related: [], results }
+  }
+
+  /// @nodoc
+  _shorten (method, query) {
+    if (method !== 'GET') {
+      _fail(405, 'Method not allowed')
+    }
+    if (this.data.entries[query.entryId] == null) {
+      _fail(404, `Unknown entry: ${query.entryId}`)
+    }
+    const hash = crypto.createHash('sha1')
+      .update(query.entryId)
+      .digest('hex')
+      .slice(0, 7)
+    return {
+      entryId: query.entryId,
+      shortUrl: `http://feedly.test/e/${hash}`
+    }
+  }
+}
+
+module.exports = MockFeedlyServer
+module.exports.USER_ID = USER_ID
@@ -0,0 +1,392 @@
+'use strict'
+
+const StreamId = require('./streamid')
+
+/// @nodoc
+function _date (ms) {
+  return (ms == null) ? null : new Date(ms)
+}
+
+/// @nodoc
+function _array (x) {
+  return Array.isArray(x) ? x : [x]
+}
+
+/// @nodoc
+function _tagLabel (tag) {
+  if (tag.label != null) {
+    return tag.label
+  }
+  const parsed = StreamId.parse(tag.id)
+  return (parsed == null) ? tag.id : parsed.name
+}
+
+/**
+ * Base class for the objects returned by a {@link Feedly} client with the
+ * `models` option.  All of the fields from the API response are copied onto
+ * the model, so it can be used anywhere the plain object could, and it
+ * turns back into that object with JSON.stringify.  A field with the same
+ * name as one of the accessors, like a feed's `url`, takes its place.
+ *
+ * @property {Feedly} feedly - the client that the actions use
+ */
+class Model {
+  /**
+   * Creates an instance of a model.
+   *
+   * @param {Feedly} feedly - the client that the actions use
+   * @param {Object} data - the object from the API
+   */
+  constructor (feedly, data) {
+    // Not enumerable, so that it isn't serialized with the data
+    Object.defineProperty(this, 'feedly', { value: feedly })
+    // Defined rather than assigned, since assigning to a getter throws
+    for (const [k, v] of Object.entries(data || {})) {
+      Object.defineProperty(this, k, {
+        value: v,
+        writable: true,
+        enumerable: true,
+        configurable: true
+      })
+    }
+  }
+}
+
+/**
+ * An entry (article) from a stream.
+ */
+class Entry extends Model {
+  /**
+   * When the entry was published, according to the feed.
+   *
+   * @type {Date}
+   */
+  get publishedAt () {
+    return _date(this.published)
+  }
+
+  /**
+   * When Feedly first saw the entry.
+   *
+   * @type {Date}
+   */
+  get crawledAt () {
+    return _date(this.crawled)
+  }
+
+  /**
+   * When the entry was last updated, if it has been.
+   *
+   * @type {Date}
+   */
+  get updatedAt () {
+    return _date(this.updated)
+  }
+
+  /**
+   * The best link to the entry's web page: the canonical link if there is
+   * one, otherwise the first HTML alternate link, or null.
+   *
+   * @type {String}
+   */
+  get url () {
+    if (this.canonicalUrl) {
+      return this.canonicalUrl
+    }
+    const canonical = (this.canonical || []).find(l => l.href)
+    if (canonical != null) {
+      return canonical.href
+    }
+    const alternate = this.alternate || []
+    const html = alternate.find(l => l.href && (l.type === 'text/html')) ||
+      alternate.find(l => l.href)
+    return (html == null) ? null : html.href
+  }
+
+  /**
+   * Whether the entry has been read.
+   *
+   * @type {Boolean}
+   */
+  get isRead () {
+    return !this.unread
+  }
+
+  /**
+   * The ID of the feed the entry came from, or null.
+   *
+   * @type {String}
+   */
+  get feedId () {
+    return (this.origin == null) ? null : this.origin.streamId
+  }
+
+  /**
+   * The labels of the entry's tags.
+   *
+   * @type {Array(String)}
+   */
+  get tagLabels () {
+    return (this.tags || []).map(_tagLabel)
+  }
+
+  /**
+   * Mark the entry read.
+   *
+   * @returns {Promise} Done
+   */
+  async markRead () {
+    await this.feedly.markEntryRead(this.id)
+    this.unread = false
+  }
+
+  /**
+   * Keep the entry unread.
+   *
+   * @returns {Promise} Done
+   */
+  async markUnread () {
+    await this.feedly.markEntryUnread(this.id)
+    this.unread = true
+  }
+
+  /**
+   * Tag the entry.
+   *
+   * @param {String|Array(String)} tags - the tag ID(s) or label(s)
+   * @returns {Promise} Done
+   */
+  async tag (tags) {
+    tags = _array(tags)
+    await this.feedly.tagEntry(this.id, tags)
+    const have = this.tagLabels
+    for (const t of tags) {
+      const tag = StreamId.isUserOrEnterprise(t)
+        ? { id: t }
+        : { id: StreamId.tag(t, this.feedly._userId()), label: t }
+      if (!have.includes(_tagLabel(tag))) {
+        this.tags = (this.tags || []).concat([tag])
+      }
+    }
+  }
+
+  /**
+   * Remove tags from the entry.
+   *
+   * @param {String|Array(String)} tags - the tag ID(s) or label(s)
+   * @returns {Promise} Done
+   */
+  async untag (tags) {
+    tags = _array(tags)
+    await this.feedly.untagEntries(this.id, tags)
+    const labels = tags.map(t => _tagLabel({ id: t }))
+    this.tags = (this.tags || []).filter(t => !labels.includes(_tagLabel(t)))
+  }
+
+  /**
+   * Get the feed the entry came from.
+   *
+   * @returns {Promise(Feed)} the feed
+   */
+  feed () {
+    return this.feedly.feed(this.feedId)
+  }
+}
+
+/**
+ * A feed.
+ */
+class Feed extends Model {
+  /**
+   * The URL of the feed itself.
+   *
+   * @type {String}
+   */
+  get url () {
+    return this.id.replace(/^feed\//, '')
+  }
+
+  /**
+   * When the feed last changed.
+   *
+   * @type {Date}
+   */
+  get updatedAt () {
+    return _date(this.updated)
+  }
+
+  /**
+   * Subscribe to the feed.
+   *
+   * @param {String|Array(String)} [categories] - the categories to put it in
+   * @param {String} [title] - a title to use instead of the feed's
+   * @returns {Promise(Array(Subscription))} the subscription
+   */
+  subscribe (categories, title) {
+    return this.feedly.subscribe(this.id, categories, title)
+  }
+
+  /**
+   * Get entries from the feed.
+   *
+   * @param {Object} [options] - as for {@link Feedly#contents}
+   * @returns {Promise(Page)} a page of entries
+   */
+  contents (options) {
+    return this.feedly.contents(this.id, options)
+  }
+
+  /**
+   * Mark the feed read.
+   *
+   * @param {String|Date} [since] - last entry ID read or timestamp last read
+   * @returns {Promise} Done
+   */
+  markRead (since) {
+    return this.feedly.markFeedRead(this.id, since)
+  }
+}
+
+/**
+ * A feed that the user is subscribed to.
+ */
+class Subscription extends Feed {
+  /**
+   * When the user subscribed.
+   *
+   * @type {Date}
+   */
+  get addedAt () {
+    return _date(this.added)
+  }
+
+  /**
+   * The labels of the categories the subscription is in.
+   *
+   * @type {Array(String)}
+   */
+  get categoryLabels () {
+    return (this.categories || []).map(c => c.label)
+  }
+
+  /**
+   * Change the subscription's title or categories.
+   *
+   * @param {Object} changes - `{ title, categories }`, as for
+   *   {@link Feedly#updateSubscriptions}
+   * @returns {Promise(Array(Object))} the result
+   */
+  update (changes) {
+    return this.feedly.updateSubscriptions([
+      Object.assign({}, changes, { id: this.id })
+    ])
+  }
+
+  /**
+   * Unsubscribe.
+   *
+   * @returns {Promise} Done
+   */
+  unsubscribe () {
+    return this.feedly.unsubscribe(this.id)
+  }
+}
+
+/**
+ * A category of subscriptions.
+ */
+class Category extends Model {
+  /**
+   * Get entries in the category.
+   *
+   * @param {Object} [options] - as for {@link Feedly#contents}
+   * @returns {Promise(Page)} a page of entries
+   */
+  contents (options) {
+    return this.feedly.contents(this.id, options)
+  }
+
+  /**
+   * Mark the category read.
+   *
+   * @param {String|Date} [since] - last entry ID read or timestamp last read
+   * @returns {Promise} Done
+   */
+  markRead (since) {
+    return this.feedly.markCategoryRead(this.id, since)
+  }
+
+  /**
+   * Change the category's label.
+   *
+   * @param {String} label - the new label
+   * @returns {Promise} Done
+   */
+  async setLabel (label) {
+    await this.feedly.setCategoryLabel(this.id, label)
+    this.label = label
+  }
+
+  /**
+   * Delete the category.  Its subscriptions are kept.
+   *
+   * @returns {Promise} Done
+   */
+  delete () {
+    return this.feedly.deleteCategory(this.id)
+  }
+}
+
+/**
+ * A tag.
+ */
+class Tag extends Model {
+  /**
+   * Get the tagged entries.
+   *
+   * @param {Object} [options] - as for {@link Feedly#contents}
+   * @returns {Promise(Page)} a page of entries
+   */
+  contents (options) {
+    return this.feedly.contents(this.id, options)
+  }
+
+  /**
+   * Mark the tagged entries read.
+   *
+   * @param {String|Date} [since] - last entry ID read or timestamp last read
+   * @returns {Promise} Done
+   */
+  markRead (since) {
+    return this.feedly.markTagRead(this.id, since)
+  }
+
+  /**
+   * Change the tag's label.
+   *
+   * @param {String} label - the new label
+   * @returns {Promise} Done
+   */
+  async setLabel (label) {
+    await this.feedly.setTagLabel(this.id, label)
+    this.label = label
+  }
+
+  /**
+   * Delete the tag from all entries.
+   *
+   * @returns {Promise} Done
+   */
+  delete () {
+    return this.feedly.deleteTags(this.id)
+  }
+}
+
+module.exports = {
+  Model,
+  Entry,
+  Feed,
+  Subscription,
+  Category,
+  Tag
+}
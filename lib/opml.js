@@ -0,0 +1,254 @@
+'use strict'
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+}
+
+const TOKEN = new RegExp([
+  '<!--[\\s\\S]*?-->',
+  '<\\?[\\s\\S]*?\\?>',
+  '<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>',
+  '<!DOCTYPE[^>]*>',
+  '<(/?)([A-Za-z_][\\w:.-]*)((?:\\s+[^\\s=/>]+\\s*=\\s*(?:"[^"]*"|\'[^\']*\'))*)\\s*(/?)>'
+].join('|'), 'g')
+const ATTRIBUTE = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+
+/// @nodoc
+function _unescape (str) {
+  return str.replace(/&(?:#(\d+)|#x([0-9a-fA-F]+)|(\w+));/g, (m, dec, hex, name) => {
+    if (dec != null) {
+      return String.fromCodePoint(parseInt(dec, 10))
+    }
+    if (hex != null) {
+      return String.fromCodePoint(parseInt(hex, 16))
+    }
+    return Object.prototype.hasOwnProperty.call(ENTITIES, name)
+      ? ENTITIES[name]
+      : m
+  })
+}
+
+/// @nodoc
+function _escape (str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '&#10;')
+}
+
+/// @nodoc
+function _attributes (str) {
+  const ret = {}
+  for (const m of str.matchAll(ATTRIBUTE)) {
+    ret[m[1]] = _unescape((m[2] != null) ? m[2] : m[3])
+  }
+  return ret
+}
+
+/**
+ * Parse an OPML document into a tree of outlines.  Only the parts of XML
+ * that OPML files use are supported.
+ *
+ * @param {String} xml - the OPML document
+ * @returns {Object} `{ title, outlines }`, where each outline has its
+ *   attributes as properties, and its child outlines in `children`
+ * @throws {Error} the document is not valid OPML
+ */
+function parseOPML (xml) {
+  if (typeof xml !== 'string') {
+    throw new TypeError('OPML must be a string')
+  }
+  const root = { children: [] }
+  const stack = []
+  let parent = root
+  let title = null
+  let text = null
+  let sawOPML = false
+
+  let last = 0
+  for (const m of xml.matchAll(TOKEN)) {
+    const between = xml.slice(last, m.index)
+    if (text != null) {
+      text += _unescape(between)
+    } else if (between.match(/[<>]/)) {
+      throw new Error(`Invalid OPML: unexpected "${between.trim().slice(0, 20)}"`)
+    }
+    last = m.index + m[0].length
+    if (m[1] != null) {
+      if (text != null) {
+        text += m[1]
+      }
+      continue
+    }
+    const [, , close, name, attrs, selfClose] = m
+    if (name == null) {
+      continue // comment, declaration or doctype
+    }
+    if (close) {
+      const open = stack.pop()
+      if ((open == null) || (open.name !== name)) {
+        throw new Error(`Invalid OPML: unexpected </${name}>`)
+      }
+      if ((name === 'title') && (text != null)) {
+        title = text.trim()
+        text = null
+      } else if (name === 'outline') {
+        parent = open.parent
+      }
+      continue
+    }
+    if (stack.length === 0) {
+      if (name !== 'opml') {
+        throw new Error(`Invalid OPML: root element is <${name}>`)
+      }
+      sawOPML = true
+    }
+    if (name === 'outline') {
+      const outline = Object.assign(_attributes(attrs), { children: [] })
+      parent.children.push(outline)
+      if (!selfClose) {
+        stack.push({ name, parent })
+        parent = outline
+      }
+      continue
+    }
+    if (!selfClose) {
+      stack.push({ name })
+      if ((name === 'title') && (stack.length === 3) &&
+          (stack[1].name === 'head')) {
+        text = ''
+      }
+    }
+  }
+  if (!sawOPML) {
+    throw new Error('Invalid OPML: no <opml> element')
+  }
+  if (stack.length > 0) {
+    throw new Error(`Invalid OPML: unclosed <${stack[stack.length - 1].name}>`)
+  }
+  return { title, outlines: root.children }
+}
+
+/**
+ * Find the feeds in a tree of outlines.  A feed's categories are the label
+ * of the folder outline it is directly inside, plus any in its `category`
+ * attribute.  Feeds that appear more than once are merged.
+ *
+ * @param {Array(Object)} outlines - outlines from {@link parseOPML}
+ * @returns {Array(Object)} `{ url, title, htmlUrl, categories }` for each
+ *   feed, in document order
+ */
+function opmlFeeds (outlines) {
+  const feeds = new Map()
+  const walk = (list, folders) => {
+    for (const o of list) {
+      const label = o.title || o.text
+      if (o.xmlUrl) {
+        let feed = feeds.get(o.xmlUrl)
+        if (feed == null) {
+          feed = {
+            url: o.xmlUrl,
+            title: label || null,
+            htmlUrl: o.htmlUrl || null,
+            categories: []
+          }
+          feeds.set(o.xmlUrl, feed)
+        }
+        const cats = folders.slice(0, 1)
+        if (o.category) {
+          cats.push(...o.category.split(',')
+            .map(c => c.trim().replace(/^\//, ''))
+            .filter(c => c))
+        }
+        for (const c of cats) {
+          if (!feed.categories.includes(c)) {
+            feed.categories.push(c)
+          }
+        }
+      }
+      if (o.children.length > 0) {
+        walk(o.children, o.xmlUrl ? folders : [label, ...folders])
+      }
+    }
+  }
+  walk(outlines, [])
+  return [...feeds.values()]
+}
+
+/**
+ * Build an OPML 2.0 document from Feedly subscriptions, with one outline
+ * per category.  Feeds in more than one category appear in each; feeds
+ * with no category are at the top level.
+ *
+ * @param {Array(Subscription)} subscriptions - from
+ *   {@link Feedly#subscriptions}
+ * @param {Object} [options] - Options for the document
+ * @param {String} [options.title='Feedly subscriptions'] - the title
+ * @param {Date} [options.date] - the creation date.  (default: now)
+ * @returns {String} the OPML document
+ */
+function buildOPML (subscriptions, options) {
+  const opts = Object.assign({}, {
+    title: 'Feedly subscriptions',
+    date: new Date()
+  }, options)
+  const folders = new Map()
+  const top = []
+  for (const sub of subscriptions) {
+    const cats = sub.categories || []
+    if (cats.length === 0) {
+      top.push(sub)
+    }
+    for (const c of cats) {
+      const label = c.label || c.id
+      if (!folders.has(label)) {
+        folders.set(label, [])
+      }
+      folders.get(label).push(sub)
+    }
+  }
+
+  const feed = (sub, indent) => {
+    const xmlUrl = sub.id.replace(/^feed\//, '')
+    const title = _escape(sub.title || xmlUrl)
+    let ret = `${indent}<outline type="rss" text="${title}" title="${title}" xmlUrl="${_escape(xmlUrl)}"`
+    if (sub.website) {
+      ret += ` htmlUrl="${_escape(sub.website)}"`
+    }
+    return ret + '/>\n'
+  }
+
+  let xml = `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>${_escape(opts.title)}</title>
+    <dateCreated>${opts.date.toUTCString()}</dateCreated>
+  </head>
+  <body>
+`
+  for (const [label, subs] of folders) {
+    xml += `    <outline text="${_escape(label)}" title="${_escape(label)}">\n`
+    for (const sub of subs) {
+      xml += feed(sub, '      ')
+    }
+    xml += '    </outline>\n'
+  }
+  for (const sub of top) {
+    xml += feed(sub, '    ')
+  }
+  xml += '  </body>\n</opml>\n'
+  return xml
+}
+
+module.exports = {
+  parseOPML,
+  opmlFeeds,
+  buildOPML,
+  _escape
+}
@@ -0,0 +1,493 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+const { FileTokenStore } = require('./stores')
+const StreamId = require('./streamid')
+const {
+  FeedlyHTTPError,
+  FeedlyAuthError,
+  FeedlyNetworkError
+} = require('./errors')
+
+const VERSION = 1
+
+/// @nodoc
+function _array (ids) {
+  return Array.isArray(ids) ? ids : [ids]
+}
+
+/// @nodoc
+function _since (since) {
+  if (since instanceof Date) {
+    return { asOf: since.getTime() }
+  }
+  if (typeof since === 'string') {
+    return { lastReadEntryId: since }
+  }
+  // Don't mark entries that arrive before the queue is flushed
+  return { asOf: Date.now() }
+}
+
+/// @nodoc
+function _remove (ary, item) {
+  const i = ary.indexOf(item)
+  if (i === -1) {
+    return false
+  }
+  ary.splice(i, 1)
+  return true
+}
+
+/// @nodoc
+function _retryable (er) {
+  // Try again later if Feedly can't be reached, is having problems, or the
+  // user needs to log in again.  Anything else won't work next time either.
+  if ((er instanceof FeedlyNetworkError) || (er instanceof FeedlyAuthError)) {
+    return true
+  }
+  if (er instanceof FeedlyHTTPError) {
+    return (er.statusCode === 429) || (er.statusCode >= 500)
+  }
+  return false
+}
+
+/**
+ * A durable queue for marking entries read or unread and tagging them, for
+ * apps that need to keep working when Feedly can't be reached.  Changes are
+ * saved locally as soon as they are made, then sent in as few requests as
+ * possible.  If sending fails because of the network, a server error or
+ * rate limiting, the queue tries again later, waiting twice as long after
+ * each failure in a row.  Changes that Feedly rejects are dropped.
+ *
+ * Changes to the same entry cancel out: marking an entry read and then
+ * unread sends nothing, as does tagging and then untagging it.  Marks on
+ * entries are merged into one request for each action, except across
+ * {@link FeedlyWriteQueue#markFeedRead} or
+ * {@link FeedlyWriteQueue#markCategoryRead}, which are sent in order.
+ *
+ * Events:
+ *
+ * - `pending` (int): the number of changes waiting to be sent changed.
+ * - `flush` (Object): a flush finished.  `{ sent, pending, error }`, where
+ *   sent and pending are numbers of changes, and error is the error that
+ *   stopped the flush, or null.  If the store fails during a flush that
+ *   was started automatically, this is how the error is reported.
+ * - `dropped` (Object, Error): Feedly rejected a change, which will not be
+ *   retried.  The change is `{ action, type, ids, tag, asOf,
+ *   lastReadEntryId }`, with only the fields that apply.
+ *
+ * @example
+ * const q = new FeedlyWriteQueue(f, { file: '~/.feedly-queue.json' })
+ * q.on('pending', n => showBadge(n))
+ * await q.markEntryRead(entryId)  // saved, and sent when possible
+ */
+class FeedlyWriteQueue extends EventEmitter {
+  /**
+   * Creates an instance of FeedlyWriteQueue.  Changes saved by an earlier
+   * instance are sent on the first flush.
+   *
+   * @param {Feedly} feedly - the client to send changes with
+   * @param {Object} [options] - Options for the queue
+   * @param {String} [options.file='~/.feedly-queue.json'] - JSON file to
+   *   keep changes in, if store is not given
+   * @param {Object} [options.store] - Where to keep changes.  An object
+   *   with async `get()`, `set(state)` and `delete()` methods, such as a
+   *   {@link FileTokenStore} or {@link MemoryTokenStore}.  (default: a
+   *   FileTokenStore for file)
+   * @param {Boolean} [options.autoFlush=true] - flush after each change.
+   *   If false, call {@link FeedlyWriteQueue#flush} yourself.
+   * @param {int} [options.retryInterval=30000] - milliseconds to wait
+   *   before retrying a failed flush
+   * @param {int} [options.maxRetryInterval] - the longest to wait between
+   *   retries.  (default: 16 times retryInterval)
+   * @param {Boolean} [options.unref=false] - don't let the retry timer keep
+   *   the process alive
+   */
+  constructor (feedly, options) {
+    if (feedly == null) {
+      throw new TypeError('feedly required')
+    }
+    super()
+    this.feedly = feedly
+    this.options = Object.assign({}, {
+      file: '~/.feedly-queue.json',
+      store: null,
+      autoFlush: true,
+      retryInterval: 30000,
+      maxRetryInterval: null,
+      unref: false
+    }, options)
+    if (this.options.maxRetryInterval == null) {
+      this.options.maxRetryInterval = this.options.retryInterval * 16
+    }
+    this.store = this.options.store || new FileTokenStore(this.options.file)
+    this.state = null
+    this.failures = 0
+    this._loading = null
+    this._saving = Promise.resolve()
+    this._flushing = null
+    this._inflight = null
+    this._timer = null
+    this._pending = 0
+  }
+
+  /**
+   * The number of changes waiting to be sent.  Zero until the queue has
+   * been loaded, by {@link FeedlyWriteQueue#load} or any other method.
+   *
+   * @type {int}
+   */
+  get pending () {
+    if (this.state == null) {
+      return 0
+    }
+    let ret = 0
+    for (const op of this.state.ops) {
+      switch (op.type) {
+        case 'entries':
+          ret += op.read.length + op.unread.length
+          break
+        case 'tags':
+          for (const ids of Object.values(op.tag)) {
+            ret += ids.length
+          }
+          for (const ids of Object.values(op.untag)) {
+            ret += ids.length
+          }
+          break
+        default:
+          ret += op.ids.length
+      }
+    }
+    return ret
+  }
+
+  /**
+   * Read saved changes from the store.  Called by the other methods if
+   * needed.
+   *
+   * @returns {Promise} Done
+   */
+  load () {
+    if (this._loading == null) {
+      this._loading = this.store.get().then(state => {
+        this.state = ((state != null) && (state.version === VERSION))
+          ? state
+          : { version: VERSION, ops: [] }
+        this._pending = this.pending
+      })
+    }
+    return this._loading
+  }
+
+  /**
+   * Mark entries as read.
+   *
+   * @param {String|Array(String)} ids - the entry ID(s)
+   * @returns {Promise} Saved.  The change is sent later.
+   */
+  markEntryRead (ids) {
+    return this._entries(ids, 'read', 'unread')
+  }
+
+  /**
+   * Keep entries unread.
+   *
+   * @param {String|Array(String)} ids - the entry ID(s)
+   * @returns {Promise} Saved.  The change is sent later.
+   */
+  markEntryUnread (ids) {
+    return this._entries(ids, 'unread', 'read')
+  }
+
+  /**
+   * Mark feeds as read.
+   *
+   * @param {String|Array(String)} ids - the feed ID(s)
+   * @param {String|Date} [since] - last entry ID read or timestamp last
+   *   read.  (default: now, not when the change is sent)
+   * @returns {Promise} Saved.  The change is sent later.
+   */
+  markFeedRead (ids, since) {
+    return this._stream('feeds', ids, since)
+  }
+
+  /**
+   * Mark categories as read.
+   *
+   * @param {String|Array(String)} ids - the category ID(s) or label(s)
+   * @param {String|Date} [since] - last entry ID read or timestamp last
+   *   read.  (default: now, not when the change is sent)
+   * @returns {Promise} Saved.  The change is sent later.
+   */
+  markCategoryRead (ids, since) {
+    return this._stream('categories', ids, since)
+  }
+
+  /**
+   * Tag entries.
+   *
+   * @param {String|Array(String)} entries - the entry ID(s)
+   * @param {String|Array(String)} tags - the tag ID(s) or label(s)
+   * @returns {Promise} Saved.  The change is sent later.
+   */
+  tagEntry (entries, tags) {
+    return this._tags(entries, tags, 'tag', 'untag')
+  }
+
+  /**
+   * Untag entries.
+   *
+   * @param {String|Array(String)} entries - the entry ID(s)
+   * @param {String|Array(String)} tags - the tag ID(s) or label(s)
+   * @returns {Promise} Saved.  The change is sent later.
+   */
+  untagEntries (entries, tags) {
+    return this._tags(entries, tags, 'untag', 'tag')
+  }
+
+  /**
+   * Send the waiting changes now.  If a flush is in progress, wait for it
+   * instead.
+   *
+   * @returns {Promise(Object)} `{ sent, pending, error }`, as for the
+   *   `flush` event.  Failures to send are in error; this only rejects if
+   *   the store fails.
+   */
+  flush () {
+    if (this._flushing == null) {
+      clearTimeout(this._timer)
+      this._timer = null
+      this._flushing = this._flush().finally(() => {
+        this._flushing = null
+      })
+    }
+    return this._flushing
+  }
+
+  /**
+   * Stop retrying.  Changes stay saved for the next flush.
+   */
+  stop () {
+    clearTimeout(this._timer)
+    this._timer = null
+  }
+
+  /**
+   * Throw away all waiting changes.
+   *
+   * @returns {Promise} Done
+   */
+  async clear () {
+    await this.load()
+    this.state.ops = this._inflight ? [this._inflight] : []
+    await this._save()
+  }
+
+  /// @nodoc
+  _target (type, barriers) {
+    // The last batch of this type that changes can still be merged into
+    const ops = this.state.ops
+    for (let i = ops.length - 1; i >= 0; i--) {
+      const op = ops[i]
+      if ((op.type === type) && (op !== this._inflight)) {
+        return op
+      }
+      if (barriers.includes(op.type)) {
+        break
+      }
+    }
+    return null
+  }
+
+  /// @nodoc
+  async _entries (ids, action, opposite) {
+    await this.load()
+    let op = this._target('entries', ['feeds', 'categories'])
+    if (op == null) {
+      op = { type: 'entries', read: [], unread: [] }
+      this.state.ops.push(op)
+    }
+    for (const id of _array(ids)) {
+      if (!_remove(op[opposite], id) && !op[action].includes(id)) {
+        op[action].push(id)
+      }
+    }
+    await this._changed()
+  }
+
+  /// @nodoc
+  async _stream (type, ids, since) {
+    await this.load()
+    this.state.ops.push(Object.assign({ type, ids: _array(ids) }, _since(since)))
+    await this._changed()
+  }
+
+  /// @nodoc
+  async _tags (entries, tags, action, opposite) {
+    await this.load()
+    let op = this._target('tags', [])
+    if (op == null) {
+      op = { type: 'tags', tag: {}, untag: {} }
+      this.state.ops.push(op)
+    }
+    for (const tag of _array(tags).map(t => StreamId.anyUser(StreamId.tag(t)))) {
+      for (const id of _array(entries)) {
+        const undo = op[opposite][tag] || []
+        if (_remove(undo, id)) {
+          if (undo.length === 0) {
+            delete op[opposite][tag]
+          }
+          continue
+        }
+        const ids = op[action][tag] || (op[action][tag] = [])
+        if (!ids.includes(id)) {
+          ids.push(id)
+        }
+      }
+    }
+    await this._changed()
+  }
+
+  /// @nodoc
+  async _changed () {
+    await this._save()
+    if (this.options.autoFlush && (this._timer == null)) {
+      this._autoFlush()
+    }
+  }
+
+  /// @nodoc
+  _autoFlush () {
+    // Nobody is waiting for this flush, so report store errors as an event
+    // rather than an unhandled rejection
+    this.flush().catch(error => {
+      this.emit('flush', { sent: 0, pending: this.pending, error })
+    })
+  }
+
+  /// @nodoc
+  _save () {
+    // Drop batches that are now empty, such as after cancelling changes
+    this.state.ops = this.state.ops.filter(op => (op === this._inflight) ||
+      (this._parts(op).length > 0))
+    const n = this.pending
+    if (n !== this._pending) {
+      this._pending = n
+      this.emit('pending', n)
+    }
+    const state = JSON.parse(JSON.stringify(this.state))
+    // A failed save is reported to its caller, and doesn't stop later ones
+    this._saving = this._saving.catch(() => {}).then(() => (state.ops.length > 0)
+      ? this.store.set(state)
+      : this.store.delete())
+    return this._saving
+  }
+
+  /// @nodoc
+  _parts (op) {
+    const f = this.feedly
+    const ret = []
+    switch (op.type) {
+      case 'entries':
+        if (op.read.length > 0) {
+          ret.push({
+            change: { action: 'markAsRead', type: 'entries', ids: op.read },
+            send: () => f.markEntryRead(op.read),
+            done: () => { op.read = [] }
+          })
+        }
+        if (op.unread.length > 0) {
+          ret.push({
+            change: { action: 'keepUnread', type: 'entries', ids: op.unread },
+            send: () => f.markEntryUnread(op.unread),
+            done: () => { op.unread = [] }
+          })
+        }
+        break
+      case 'tags':
+        for (const [action, method] of [
+          ['tag', 'tagEntry'],
+          ['untag', 'untagEntries']
+        ]) {
+          for (const [tag, ids] of Object.entries(op[action])) {
+            ret.push({
+              change: { action, type: 'entries', ids, tag },
+              send: () => f[method](ids,
+                StreamId.withUser(tag, f._userId())),
+              done: () => { delete op[action][tag] }
+            })
+          }
+        }
+        break
+      default: {
+        if (op.ids.length > 0) {
+          const since = (op.lastReadEntryId != null)
+            ? op.lastReadEntryId
+            : new Date(op.asOf)
+          const method = (op.type === 'feeds')
+            ? 'markFeedRead'
+            : 'markCategoryRead'
+          ret.push({
+            change: Object.assign({ action: 'markAsRead' }, op),
+            send: () => f[method](op.ids, since),
+            done: () => { op.ids = [] }
+          })
+        }
+      }
+    }
+    return ret
+  }
+
+  /// @nodoc
+  async _flush () {
+    await this.load()
+    let sent = 0
+    let error = null
+    while ((this.state.ops.length > 0) && (error == null)) {
+      const op = this.state.ops[0]
+      this._inflight = op
+      try {
+        for (const part of this._parts(op)) {
+          const n = part.change.ids.length
+          try {
+            await part.send()
+            sent += n
+          } catch (er) {
+            if (_retryable(er)) {
+              error = er
+              break
+            }
+            this.emit('dropped', part.change, er)
+          }
+          part.done()
+          await this._save()
+        }
+      } finally {
+        this._inflight = null
+      }
+      if (error == null) {
+        this.state.ops.shift()
+        await this._save()
+      }
+    }
+
+    if (error == null) {
+      this.failures = 0
+    } else {
+      this.failures++
+      const { retryInterval, maxRetryInterval } = this.options
+      const ms = Math.min(retryInterval * (2 ** (this.failures - 1)),
+        maxRetryInterval)
+      this._timer = setTimeout(() => this._autoFlush(), ms)
+      if (this.options.unref) {
+        this._timer.unref()
+      }
+    }
+    const ret = { sent, pending: this.pending, error }
+    this.emit('flush', ret)
+    return ret
+  }
+}
+
+module.exports = FeedlyWriteQueue
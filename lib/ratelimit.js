@@ -0,0 +1,141 @@
+'use strict'
+
+const { setTimeout: sleep } = require('timers/promises')
+
+const { FeedlyHTTPError, _retryAfter } = require('./errors')
+
+const IDEMPOTENT = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+
+/**
+ * Parse the Feedly rate limit headers from a response.
+ *
+ * @param {Object} headers - the response headers, with lower-case names
+ * @returns {Object} `{ count, limit, remaining, reset }`, where reset is
+ *   the Date the count goes back to zero, or null if the headers were not
+ *   present
+ * @see https://developer.feedly.com/cloud/#api-rate-limiting
+ */
+function parseRateLimit (headers) {
+  if (headers == null) {
+    return null
+  }
+  const count = parseInt(headers['x-ratelimit-count'], 10)
+  const limit = parseInt(headers['x-ratelimit-limit'], 10)
+  if (Number.isNaN(count) || Number.isNaN(limit)) {
+    return null
+  }
+  const ret = {
+    count,
+    limit,
+    remaining: Math.max(limit - count, 0),
+    reset: null
+  }
+  const reset = parseInt(headers['x-ratelimit-reset'], 10)
+  if (!Number.isNaN(reset)) {
+    ret.reset = new Date(Date.now() + (reset * 1000))
+  }
+  return ret
+}
+
+/**
+ * When, and how long, to wait before retrying a failed request.
+ */
+class RetryPolicy {
+  /**
+   * Creates an instance of RetryPolicy.
+   *
+   * @param {Object} [options] - Options for the policy
+   * @param {int} [options.retries=3] - Maximum number of retries per request
+   * @param {int} [options.minDelay=1000] - Delay before the first retry, in
+   *   milliseconds
+   * @param {int} [options.maxDelay=60000] - Never wait longer than this, in
+   *   milliseconds.  If the server asks for a longer wait with Retry-After,
+   *   fail instead.
+   * @param {int} [options.factor=2] - Multiply the delay by this much for
+   *   each retry
+   * @param {Array(String)} [options.methods] - HTTP methods that may be
+   *   retried.  (default: the idempotent methods: GET, HEAD, OPTIONS, PUT,
+   *   DELETE)
+   * @param {Array(int)} [options.statusCodes] - HTTP status codes that
+   *   may be retried.  (default: 429 and 5xx)
+   */
+  constructor (options) {
+    this.options = Object.assign({}, {
+      retries: 3,
+      minDelay: 1000,
+      maxDelay: 60000,
+      factor: 2,
+      methods: IDEMPOTENT,
+      statusCodes: null
+    }, options)
+  }
+
+  /// @nodoc
+  _retryable (method, er) {
+    if (!(er instanceof FeedlyHTTPError) ||
+        !this.options.methods.includes(method.toUpperCase())) {
+      return false
+    }
+    const sc = er.statusCode
+    return (this.options.statusCodes == null)
+      ? ((sc === 429) || ((sc >= 500) && (sc < 600)))
+      : this.options.statusCodes.includes(sc)
+  }
+
+  /**
+   * How long to wait before retrying.
+   *
+   * @param {String} method - the HTTP method of the failed request
+   * @param {Error} er - the error
+   * @param {int} attempt - how many retries have already been done
+   * @returns {int} the number of milliseconds to wait, or -1 to give up
+   */
+  delay (method, er, attempt) {
+    const { retries, minDelay, maxDelay, factor } = this.options
+    if ((attempt >= retries) || !this._retryable(method, er)) {
+      return -1
+    }
+    const ra = (er.retryAfter != null)
+      ? er.retryAfter
+      : _retryAfter(er.headers['retry-after'])
+    if (ra != null) {
+      const ms = ra * 1000
+      return (ms > maxDelay) ? -1 : ms
+    }
+    // "Equal jitter": half the backoff, plus a random amount up to the other
+    // half, so that clients that failed together don't retry together.
+    const backoff = Math.min(minDelay * (factor ** attempt), maxDelay)
+    return Math.round((backoff / 2) + (Math.random() * backoff / 2))
+  }
+
+  /**
+   * Call a function, retrying as the policy allows.
+   *
+   * @param {String} method - the HTTP method of the request
+   * @param {Function} f - async Function() that makes the request
+   * @param {Function} [onRetry] - Function(Object) called with
+   *   `{ attempt, delay, error }` before waiting to retry
+   * @returns {Promise(any)} the result of f
+   */
+  async run (method, f, onRetry) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await f()
+      } catch (er) {
+        const delay = this.delay(method, er, attempt)
+        if (delay < 0) {
+          throw er
+        }
+        if (typeof onRetry === 'function') {
+          onRetry({ attempt: attempt + 1, delay, error: er })
+        }
+        await sleep(delay)
+      }
+    }
+  }
+}
+
+module.exports = {
+  parseRateLimit,
+  RetryPolicy
+}
@@ -0,0 +1,195 @@
+'use strict'
+
+const { AsyncLocalStorage } = require('async_hooks')
+const { EventEmitter } = require('events')
+
+const LANES = ['foreground', 'background']
+
+// The lane for requests made inside Feedly#background
+const lane = new AsyncLocalStorage()
+
+/// @nodoc
+function _stats () {
+  return { started: 0, waitTotal: 0, waitMax: 0 }
+}
+
+/**
+ * Limits how many requests are in flight at once, and how many start each
+ * second.  Requests wait in one of two lanes, foreground and background;
+ * background requests only start when no foreground requests are waiting.
+ *
+ * Events:
+ *
+ * - `start` (Object): a request is starting.  `{ priority, wait, active,
+ *   queued }`, where wait is how long it waited, in milliseconds, and active
+ *   and queued are as for the properties of the same names.
+ *
+ * @property {int} active - the number of requests in flight
+ * @property {Object} stats - for each lane, `{ started, waitTotal, waitMax }`:
+ *   the number of requests started, and the total and longest time they
+ *   waited, in milliseconds
+ */
+class RequestScheduler extends EventEmitter {
+  /**
+   * Creates an instance of RequestScheduler.
+   *
+   * @param {Object} [options] - Options for the scheduler
+   * @param {int} [options.maxConcurrent=8] - the most requests in flight at
+   *   once
+   * @param {int} [options.maxBackground] - the most background requests in
+   *   flight at once.  Set this lower than maxConcurrent to keep room for
+   *   foreground requests.  (default: maxConcurrent)
+   * @param {Number} [options.perSecond] - the most requests to start in any
+   *   second.  (default: no limit)
+   */
+  constructor (options) {
+    super()
+    this.options = Object.assign({}, {
+      maxConcurrent: 8,
+      maxBackground: null,
+      perSecond: null
+    }, options)
+    if (this.options.maxBackground == null) {
+      this.options.maxBackground = this.options.maxConcurrent
+    }
+    this.active = 0
+    this.stats = {
+      foreground: _stats(),
+      background: _stats()
+    }
+    this._background = 0
+    this._queues = {
+      foreground: [],
+      background: []
+    }
+    this._starts = []
+    this._timer = null
+  }
+
+  /**
+   * The number of requests waiting in each lane.
+   *
+   * @type {Object}
+   */
+  get queued () {
+    return {
+      foreground: this._queues.foreground.length,
+      background: this._queues.background.length
+    }
+  }
+
+  /**
+   * The lane for requests made now: background inside
+   * {@link Feedly#background}, otherwise foreground.
+   *
+   * @type {String}
+   */
+  static get priority () {
+    return lane.getStore() || 'foreground'
+  }
+
+  /**
+   * Call a function with every request it makes in the given lane.
+   *
+   * @param {String} priority - 'foreground' or 'background'
+   * @param {Function} f - Function() to call
+   * @returns {any} the result of f
+   */
+  static withPriority (priority, f) {
+    return lane.run(priority, f)
+  }
+
+  /**
+   * Call a function when the limits allow.
+   *
+   * @param {String} priority - 'foreground' or 'background'
+   * @param {Function} f - async Function() that makes the request
+   * @returns {Promise(any)} the result of f
+   */
+  run (priority, f) {
+    if (!LANES.includes(priority)) {
+      return Promise.reject(new TypeError(`Unknown priority: ${priority}`))
+    }
+    return new Promise((resolve, reject) => {
+      this._queues[priority].push({ f, resolve, reject, queued: Date.now() })
+      this._next()
+    })
+  }
+
+  /// @nodoc
+  _lane () {
+    if (this._queues.foreground.length > 0) {
+      return 'foreground'
+    }
+    if ((this._queues.background.length > 0) &&
+        (this._background < this.options.maxBackground)) {
+      return 'background'
+    }
+    return null
+  }
+
+  /// @nodoc
+  _throttled () {
+    const { perSecond } = this.options
+    if (perSecond == null) {
+      return false
+    }
+    const now = Date.now()
+    while ((this._starts.length > 0) && (this._starts[0] <= now - 1000)) {
+      this._starts.shift()
+    }
+    if (this._starts.length < perSecond) {
+      this._starts.push(now)
+      return false
+    }
+    if (this._timer == null) {
+      this._timer = setTimeout(() => {
+        this._timer = null
+        this._next()
+      }, this._starts[0] + 1000 - now)
+    }
+    return true
+  }
+
+  /// @nodoc
+  _next () {
+    while (this.active < this.options.maxConcurrent) {
+      const priority = this._lane()
+      if ((priority == null) || this._throttled()) {
+        return
+      }
+      this._start(priority, this._queues[priority].shift())
+    }
+  }
+
+  /// @nodoc
+  _start (priority, job) {
+    const wait = Date.now() - job.queued
+    const stats = this.stats[priority]
+    stats.started++
+    stats.waitTotal += wait
+    stats.waitMax = Math.max(stats.waitMax, wait)
+    this.active++
+    if (priority === 'background') {
+      this._background++
+    }
+    this.emit('start', {
+      priority,
+      wait,
+      active: this.active,
+      queued: this.queued
+    })
+    Promise.resolve()
+      .then(job.f)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        this.active--
+        if (priority === 'background') {
+          this._background--
+        }
+        this._next()
+      })
+  }
+}
+
+module.exports = RequestScheduler
@@ -0,0 +1,346 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const util = require('util')
+const readFile = util.promisify(fs.readFile)
+const writeFile = util.promisify(fs.writeFile)
+const rename = util.promisify(fs.rename)
+const unlink = util.promisify(fs.unlink)
+const scrypt = util.promisify(crypto.scrypt)
+
+const utils = require('./utils')
+
+const CIPHER = 'aes-256-gcm'
+const KEY_LEN = 32
+
+/// @nodoc
+function _rawKey (key) {
+  if (typeof key === 'string') {
+    key = Buffer.from(key, key.match(/^[0-9a-f]{64}$/i) ? 'hex' : 'base64')
+  }
+  if (!Buffer.isBuffer(key) || (key.length !== KEY_LEN)) {
+    throw new TypeError(`key must be ${KEY_LEN} bytes`)
+  }
+  return key
+}
+
+/**
+ * Keep the authentication state (access token, refresh token, expiration
+ * and user ID) in a JSON file.  This is the default store, used with the
+ * `config_file` option.
+ *
+ * The file is written with mode 0600, atomically (by writing a temporary
+ * file and renaming it into place).  If a passphrase or key is given, the
+ * state is encrypted with AES-256-GCM.  An existing plaintext file is
+ * read as-is, and re-written encrypted.
+ */
+class FileTokenStore {
+  /**
+   * Creates an instance of FileTokenStore.
+   *
+   * @param {String} file - The file to read and write.  Tildes are
+   *   expanded as needed.
+   * @param {Object} [options] - Options for the store
+   * @param {String} [options.passphrase] - Encrypt the file with a key
+   *   derived from this passphrase using scrypt
+   * @param {Buffer|String} [options.key] - Encrypt the file with this
+   *   32-byte key.  Strings are decoded as hex if they are 64 hex digits,
+   *   otherwise as base64.
+   */
+  constructor (file, options) {
+    if (typeof file !== 'string') {
+      throw new TypeError('file required')
+    }
+    this.file = utils.untildify(file)
+    const { passphrase = null, key = null } = options || {}
+    if ((passphrase != null) && (key != null)) {
+      throw new TypeError('Specify passphrase or key, not both')
+    }
+    this.passphrase = passphrase
+    this.key = (key == null) ? null : _rawKey(key)
+  }
+
+  /**
+   * Is the file encrypted when written?
+   *
+   * @type {Boolean}
+   */
+  get encrypted () {
+    return (this.passphrase != null) || (this.key != null)
+  }
+
+  /// @nodoc
+  async _key (salt) {
+    if (this.key != null) {
+      return this.key
+    }
+    return scrypt(this.passphrase, salt, KEY_LEN)
+  }
+
+  /// @nodoc
+  async _encrypt (state) {
+    const salt = (this.key == null) ? crypto.randomBytes(16) : null
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv(CIPHER, await this._key(salt), iv)
+    const data = Buffer.concat([
+      cipher.update(JSON.stringify(state), 'utf8'),
+      cipher.final()
+    ])
+    const ret = {
+      cipher: CIPHER,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }
+    if (salt != null) {
+      ret.kdf = 'scrypt'
+      ret.salt = salt.toString('base64')
+    }
+    return ret
+  }
+
+  /// @nodoc
+  async _decrypt (envelope) {
+    if (!this.encrypted) {
+      throw new Error(`${this.file} is encrypted, and no passphrase or key was given`)
+    }
+    if (envelope.cipher !== CIPHER) {
+      throw new Error(`Unknown cipher in ${this.file}: ${envelope.cipher}`)
+    }
+    if ((envelope.kdf != null) !== (this.passphrase != null)) {
+      throw new Error(`Unable to decrypt ${this.file}: it requires a ${(envelope.kdf != null) ? 'passphrase' : 'key'}`)
+    }
+    const salt = (envelope.salt == null)
+      ? null
+      : Buffer.from(envelope.salt, 'base64')
+    const decipher = crypto.createDecipheriv(
+      CIPHER,
+      await this._key(salt),
+      Buffer.from(envelope.iv, 'base64'))
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'))
+    try {
+      const data = Buffer.concat([
+        decipher.update(Buffer.from(envelope.data, 'base64')),
+        decipher.final()
+      ])
+      return JSON.parse(data.toString('utf8'))
+    } catch (er) {
+      throw new Error(`Unable to decrypt ${this.file}: wrong passphrase or key, or the file has been modified`)
+    }
+  }
+
+  /**
+   * Read the state.  If encryption is configured and the file is still
+   * plaintext, it is re-written encrypted.  A file that isn't valid JSON,
+   * such as an empty one, is treated as having no state.
+   *
+   * @returns {Promise(Object)} the stored state, or null if there is none
+   */
+  async get () {
+    let data = null
+    try {
+      data = await readFile(this.file, { encoding: 'utf8' })
+    } catch (er) {
+      if (er.code === 'ENOENT') {
+        return null
+      }
+      throw er
+    }
+    let json = null
+    try {
+      json = JSON.parse(data)
+    } catch (er) {
+      return null
+    }
+    if ((json != null) && (typeof json.cipher === 'string')) {
+      return this._decrypt(json)
+    }
+    if (this.encrypted) {
+      await this.set(json)
+    }
+    return json
+  }
+
+  /**
+   * Write the state, readable only by the current user.
+   *
+   * @param {Object} state - the state to store
+   * @returns {Promise} Done
+   */
+  async set (state) {
+    const data = this.encrypted ? await this._encrypt(state) : state
+    const tmp = `${this.file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+    try {
+      await writeFile(tmp, JSON.stringify(data), {
+        encoding: 'utf8',
+        mode: 0o600
+      })
+      await rename(tmp, this.file)
+    } catch (er) {
+      try {
+        await unlink(tmp)
+      } catch (ignored) {
+      }
+      throw er
+    }
+  }
+
+  /**
+   * Remove the state file.
+   *
+   * @returns {Promise} Done
+   */
+  async delete () {
+    try {
+      await unlink(this.file)
+    } catch (er) {
+      if (er.code !== 'ENOENT') {
+        throw er
+      }
+    }
+  }
+}
+
+/**
+ * Keep the authentication state in memory only.  This is the store used
+ * when `config_file` is null.
+ */
+class MemoryTokenStore {
+  /**
+   * Creates an instance of MemoryTokenStore.
+   *
+   * @param {Object} [state] - Initial state, if any
+   */
+  constructor (state = null) {
+    this.state = state
+  }
+
+  /**
+   * Read the state.
+   *
+   * @returns {Promise(Object)} a copy of the stored state, or null
+   */
+  async get () {
+    return (this.state == null) ? null : Object.assign({}, this.state)
+  }
+
+  /**
+   * Write the state.
+   *
+   * @param {Object} state - the state to store
+   * @returns {Promise} Done
+   */
+  async set (state) {
+    this.state = Object.assign({}, state)
+  }
+
+  /**
+   * Forget the state.
+   *
+   * @returns {Promise} Done
+   */
+  async delete () {
+    this.state = null
+  }
+}
+
+const ENV_FIELDS = {
+  id: 'USER_ID',
+  access_token: 'ACCESS_TOKEN',
+  refresh_token: 'REFRESH_TOKEN',
+  expires: 'EXPIRES',
+  token_type: 'TOKEN_TYPE',
+  plan: 'PLAN',
+  provider: 'PROVIDER'
+}
+
+/**
+ * Keep the authentication state in environment variables, such as
+ * `FEEDLY_ACCESS_TOKEN` and `FEEDLY_REFRESH_TOKEN`.  Useful in containers
+ * and serverless functions, where secrets are injected into the
+ * environment.  Updates are written back to the environment object, so they
+ * are only visible to the current process and its children.
+ *
+ * The variables used are `<prefix>USER_ID`, `<prefix>ACCESS_TOKEN`,
+ * `<prefix>REFRESH_TOKEN`, `<prefix>EXPIRES` (an ISO date or milliseconds
+ * since the epoch), `<prefix>TOKEN_TYPE`, `<prefix>PLAN`, and
+ * `<prefix>PROVIDER`.
+ */
+class EnvTokenStore {
+  /**
+   * Creates an instance of EnvTokenStore.
+   *
+   * @param {Object} [options] - Options for the store
+   * @param {String} [options.prefix='FEEDLY_'] - prefix for variable names
+   * @param {Object} [options.env=process.env] - the environment to use
+   */
+  constructor (options) {
+    this.options = Object.assign({}, {
+      prefix: 'FEEDLY_',
+      env: process.env
+    }, options)
+  }
+
+  /**
+   * Read the state.
+   *
+   * @returns {Promise(Object)} the state found in the environment, or null
+   *   if no access token is set
+   */
+  async get () {
+    const { prefix, env } = this.options
+    const state = {}
+    for (const [k, v] of Object.entries(ENV_FIELDS)) {
+      const val = env[prefix + v]
+      if (val != null) {
+        state[k] = val
+      }
+    }
+    if (state.access_token == null) {
+      return null
+    }
+    if ((state.expires != null) && state.expires.match(/^\d+$/)) {
+      state.expires = parseInt(state.expires, 10)
+    }
+    return state
+  }
+
+  /**
+   * Write the state.
+   *
+   * @param {Object} state - the state to store
+   * @returns {Promise} Done
+   */
+  async set (state) {
+    const { prefix, env } = this.options
+    for (const [k, v] of Object.entries(ENV_FIELDS)) {
+      const val = state[k]
+      if (val == null) {
+        delete env[prefix + v]
+      } else if (val instanceof Date) {
+        env[prefix + v] = val.toISOString()
+      } else {
+        env[prefix + v] = String(val)
+      }
+    }
+  }
+
+  /**
+   * Remove the state from the environment.
+   *
+   * @returns {Promise} Done
+   */
+  async delete () {
+    const { prefix, env } = this.options
+    for (const v of Object.values(ENV_FIELDS)) {
+      delete env[prefix + v]
+    }
+  }
+}
+
+module.exports = {
+  FileTokenStore,
+  MemoryTokenStore,
+  EnvTokenStore
+}
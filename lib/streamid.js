@@ -0,0 +1,222 @@
+'use strict'
+
+/**
+ * The categories that Feedly creates for every user.
+ */
+const GLOBAL_CATEGORIES = [
+  'global.all',
+  'global.uncategorized',
+  'global.must'
+]
+
+/**
+ * The tags that Feedly creates for every user.
+ */
+const GLOBAL_TAGS = [
+  'global.saved',
+  'global.read'
+]
+
+const PATTERN = /^(user|enterprise)\/([^/]+)\/(category|tag)\/(.+)$/
+
+/**
+ * Parse a stream ID.
+ *
+ * @example
+ * parse('user/-/tag/global.saved')
+ * // { type: 'tag', userId: '-', enterprise: null, name: 'global.saved',
+ * //   global: true }
+ *
+ * @param {String} id - the stream ID
+ * @returns {Object} `{ type: 'feed', url }` for a feed, or `{ type, userId,
+ *   enterprise, name, global }` where type is 'category' or 'tag', and
+ *   userId or enterprise is set depending on who owns it.  null if the ID
+ *   is not a stream ID.
+ */
+function parse (id) {
+  if (typeof id !== 'string') {
+    return null
+  }
+  if (id.startsWith('feed/')) {
+    return { type: 'feed', url: id.slice(5) }
+  }
+  const m = id.match(PATTERN)
+  if (m == null) {
+    return null
+  }
+  const [, owner, who, type, name] = m
+  const user = (owner === 'user')
+  return {
+    type,
+    userId: user ? who : null,
+    enterprise: user ? null : who,
+    name,
+    global: user &&
+      ((type === 'category') ? GLOBAL_CATEGORIES : GLOBAL_TAGS).includes(name)
+  }
+}
+
+/**
+ * Is this already a full user or enterprise category or tag ID?
+ *
+ * @param {String} id - the string to check
+ * @returns {Boolean} true if it is
+ */
+function isUserOrEnterprise (id) {
+  return PATTERN.test(id)
+}
+
+/**
+ * Build a feed ID.
+ *
+ * @param {String} url - the feed's URL, or a feed ID
+ * @returns {String} the feed ID
+ */
+function feed (url) {
+  return url.startsWith('feed/') ? url : `feed/${url}`
+}
+
+/**
+ * Build a category ID.
+ *
+ * @param {String} name - the category label, or a category ID
+ * @param {String} [userId='-'] - the user ID, or '-' for the current user
+ * @returns {String} the category ID
+ */
+function category (name, userId = '-') {
+  return isUserOrEnterprise(name) ? name : `user/${userId}/category/${name}`
+}
+
+/**
+ * Build a tag ID.
+ *
+ * @param {String} name - the tag label, or a tag ID
+ * @param {String} [userId='-'] - the user ID, or '-' for the current user
+ * @returns {String} the tag ID
+ */
+function tag (name, userId = '-') {
+  return isUserOrEnterprise(name) ? name : `user/${userId}/tag/${name}`
+}
+
+/**
+ * Build the ID of any kind of stream.  Stream IDs are returned unchanged,
+ * URLs become feed IDs, the names of the global tags become tag IDs, and
+ * anything else is taken to be a category label.
+ *
+ * @example
+ * stream('tech') // 'user/-/category/tech'
+ * stream('global.saved') // 'user/-/tag/global.saved'
+ * stream('https://a/rss') // 'feed/https://a/rss'
+ *
+ * @param {String} id - the stream ID, feed URL, or label
+ * @param {String} [userId='-'] - the user ID, or '-' for the current user
+ * @returns {String} the stream ID
+ */
+function stream (id, userId = '-') {
+  if (parse(id) != null) {
+    return id
+  }
+  if (/^https?:\/\//i.test(id)) {
+    return feed(id)
+  }
+  if (GLOBAL_TAGS.includes(id)) {
+    return tag(id, userId)
+  }
+  return category(id, userId)
+}
+
+/**
+ * Build an enterprise category ID.
+ *
+ * @param {String} enterprise - the enterprise name
+ * @param {String} name - the category ID within the enterprise
+ * @returns {String} the category ID
+ */
+function enterpriseCategory (enterprise, name) {
+  return `enterprise/${enterprise}/category/${name}`
+}
+
+/**
+ * Build an enterprise tag ID.
+ *
+ * @param {String} enterprise - the enterprise name
+ * @param {String} name - the tag ID within the enterprise
+ * @returns {String} the tag ID
+ */
+function enterpriseTag (enterprise, name) {
+  return `enterprise/${enterprise}/tag/${name}`
+}
+
+/**
+ * Replace the user ID in a user category or tag ID.  Other IDs are
+ * returned unchanged.
+ *
+ * @param {String} id - the stream ID
+ * @param {String} userId - the user ID to use, or '-' for the current user
+ * @returns {String} the stream ID
+ */
+function withUser (id, userId) {
+  return id.replace(/^user\/[^/]+\//, `user/${userId}/`)
+}
+
+/**
+ * Convert to the form that works for any user, so that `user/-/...` and
+ * `user/<id>/...` compare equal.
+ *
+ * @param {String} id - the stream ID
+ * @returns {String} the stream ID, with '-' as the user ID
+ */
+function anyUser (id) {
+  return withUser(id, '-')
+}
+
+/**
+ * Do two stream IDs refer to the same stream, ignoring the user ID?
+ *
+ * @param {String} a - a stream ID
+ * @param {String} b - another stream ID
+ * @returns {Boolean} true if they are the same
+ */
+function equals (a, b) {
+  return anyUser(a) === anyUser(b)
+}
+
+/**
+ * Shortcuts for building the stream IDs of one user.  Returned by
+ * {@link Feedly#streams}.
+ *
+ * @param {String} [userId='-'] - the user ID, or '-' for the current user
+ * @returns {Object} an object with methods `all()`, `uncategorized()`,
+ *   `must()`, `saved()`, `read()`, `category(name)`, `tag(name)`,
+ *   `feed(url)` and `stream(id)`, each returning a stream ID
+ */
+function forUser (userId = '-') {
+  return {
+    all: () => category('global.all', userId),
+    uncategorized: () => category('global.uncategorized', userId),
+    must: () => category('global.must', userId),
+    saved: () => tag('global.saved', userId),
+    read: () => tag('global.read', userId),
+    category: name => category(name, userId),
+    tag: name => tag(name, userId),
+    feed,
+    stream: id => stream(id, userId)
+  }
+}
+
+module.exports = {
+  GLOBAL_CATEGORIES,
+  GLOBAL_TAGS,
+  parse,
+  isUserOrEnterprise,
+  feed,
+  category,
+  tag,
+  stream,
+  enterpriseCategory,
+  enterpriseTag,
+  withUser,
+  anyUser,
+  equals,
+  forUser
+}
@@ -0,0 +1,323 @@
+'use strict'
+
+const { FileTokenStore } = require('./stores')
+const StreamId = require('./streamid')
+
+const VERSION = 1
+
+/// @nodoc
+function _hasId (list, id) {
+  return (list || []).some(x => StreamId.equals(x.id, id))
+}
+
+/**
+ * Keep a local copy of the entries in a stream, with their read state and
+ * tags, so that apps can query them without using the API.  The first
+ * {@link FeedlySync#sync} fills the copy from the stream's contents; after
+ * that, each sync only fetches new entries, plus the read and tag
+ * operations since the last sync, from {@link Feedly#reads} and
+ * {@link Feedly#tags}.
+ *
+ * Feedly does not report tags that have been removed, so those are only
+ * noticed when an entry is fetched again.
+ *
+ * @example
+ * const sync = new FeedlySync(f, { file: '~/.feedly-cache.json' })
+ * await sync.sync()
+ * for (const e of sync.entries({ unreadOnly: true })) {
+ *   console.log(e.title)
+ * }
+ */
+class FeedlySync {
+  /**
+   * Creates an instance of FeedlySync.
+   *
+   * @param {Feedly} feedly - the client to sync with
+   * @param {Object} [options] - Options for syncing
+   * @param {String} [options.streamId='user/-/category/global.all'] - the
+   *   stream to keep a copy of
+   * @param {int} [options.maxEntries=1000] - the most entries to keep.
+   *   The oldest are dropped first.
+   * @param {String} [options.file='~/.feedly-sync.json'] - JSON file to
+   *   keep the copy in, if store is not given
+   * @param {Object} [options.store] - Where to keep the copy.  An object
+   *   with async `get()`, `set(state)` and `delete()` methods, such as a
+   *   {@link FileTokenStore} or {@link MemoryTokenStore}.  (default: a
+   *   FileTokenStore for file)
+   */
+  constructor (feedly, options) {
+    if (feedly == null) {
+      throw new TypeError('feedly required')
+    }
+    this.feedly = feedly
+    this.options = Object.assign({}, {
+      streamId: 'user/-/category/global.all',
+      maxEntries: 1000,
+      file: '~/.feedly-sync.json',
+      store: null
+    }, options)
+    this.options.streamId = StreamId.stream(this.options.streamId)
+    this.store = this.options.store || new FileTokenStore(this.options.file)
+    this.state = null
+    this._syncing = null
+  }
+
+  /**
+   * The time of the last successful sync, or null if there has not been
+   * one.
+   *
+   * @type {Date}
+   */
+  get checkpoint () {
+    return ((this.state == null) || (this.state.checkpoint == null))
+      ? null
+      : new Date(this.state.checkpoint)
+  }
+
+  /**
+   * Read the local copy from the store.  Called by sync if needed; call it
+   * yourself to query without syncing first.  A copy of a different stream,
+   * or from a different version of this library, is ignored.
+   *
+   * @returns {Promise} Done
+   */
+  async load () {
+    const state = await this.store.get()
+    if ((state != null) &&
+        (state.version === VERSION) &&
+        (state.streamId === this.options.streamId)) {
+      this.state = state
+    } else {
+      this.state = this._empty()
+    }
+  }
+
+  /**
+   * Bring the local copy up to date.  Only one sync runs at a time; calling
+   * this during a sync returns the same promise.
+   *
+   * @returns {Promise(Object)} what changed: `{ full, added, read, unread,
+   *   tagged }`, where full is true if this was the initial fill, and the
+   *   others are counts of entries
+   */
+  sync () {
+    if (this._syncing == null) {
+      this._syncing = this._sync().finally(() => {
+        this._syncing = null
+      })
+    }
+    return this._syncing
+  }
+
+  /**
+   * Throw away the local copy, so the next sync starts over.
+   *
+   * @returns {Promise} Done
+   */
+  async reset () {
+    this.state = this._empty()
+    await this.store.delete()
+  }
+
+  /**
+   * Get an entry from the local copy.
+   *
+   * @param {String} id - the entry ID
+   * @returns {Entry} the entry, or undefined
+   */
+  entry (id) {
+    return (this.state == null) ? undefined : this.state.entries[id]
+  }
+
+  /**
+   * Query the local copy, newest first.
+   *
+   * @param {Object} [query] - What to look for
+   * @param {Boolean} [query.unreadOnly=false] - only unread entries
+   * @param {String} [query.streamId] - only entries from this feed, or in
+   *   this category or tag
+   * @param {int} [query.limit] - return at most this many entries
+   * @returns {Array(Entry)} the matching entries
+   */
+  entries (query) {
+    const { unreadOnly = false, streamId = null, limit = Infinity } =
+      query || {}
+    if (this.state == null) {
+      return []
+    }
+    let ret = Object.values(this.state.entries)
+    if (unreadOnly) {
+      ret = ret.filter(e => e.unread)
+    }
+    if (streamId != null) {
+      ret = ret.filter(e => this._inStream(e, streamId))
+    }
+    return ret
+      .sort((a, b) => b.crawled - a.crawled)
+      .slice(0, limit)
+  }
+
+  /// @nodoc
+  _empty () {
+    return {
+      version: VERSION,
+      streamId: this.options.streamId,
+      checkpoint: null,
+      entries: {}
+    }
+  }
+
+  /// @nodoc
+  _inStream (entry, streamId) {
+    const parsed = StreamId.parse(streamId)
+    if ((parsed != null) && (parsed.type === 'feed')) {
+      return (entry.origin != null) && (entry.origin.streamId === streamId)
+    }
+    if (StreamId.equals(streamId, StreamId.forUser().all())) {
+      return true
+    }
+    if ((parsed != null) && (parsed.type === 'category')) {
+      return _hasId(entry.categories, streamId)
+    }
+    return _hasId(entry.tags, streamId)
+  }
+
+  /// @nodoc
+  _add (entry) {
+    this.state.entries[entry.id] = entry
+  }
+
+  /// @nodoc
+  _prune () {
+    const all = Object.values(this.state.entries)
+    if (all.length <= this.options.maxEntries) {
+      return
+    }
+    all.sort((a, b) => b.crawled - a.crawled)
+    for (const e of all.slice(this.options.maxEntries)) {
+      delete this.state.entries[e.id]
+    }
+  }
+
+  /// @nodoc
+  async _sync () {
+    if (this.state == null) {
+      await this.load()
+    }
+    // Anything that happens after this will be picked up next time
+    const started = Date.now()
+    const ret = {
+      full: false,
+      added: 0,
+      read: 0,
+      unread: 0,
+      tagged: 0
+    }
+    const { streamId, maxEntries } = this.options
+    const since = this.state.checkpoint
+    if (since == null) {
+      ret.full = true
+      this.state.entries = {}
+      for await (const e of this.feedly.iterateContents(streamId, {
+        max: maxEntries
+      })) {
+        this._add(e)
+        ret.added++
+      }
+    } else {
+      for await (const e of this.feedly.iterateContents(streamId, {
+        newerThan: new Date(since),
+        max: maxEntries
+      })) {
+        if (this.state.entries[e.id] == null) {
+          ret.added++
+        }
+        this._add(e)
+      }
+      this._applyReads(await this.feedly.reads(new Date(since)), ret)
+      await this._applyTags(await this.feedly.tags(new Date(since)), ret)
+    }
+    this._prune()
+    this.state.checkpoint = started
+    await this.store.set(this.state)
+    return ret
+  }
+
+  /// @nodoc
+  _markRead (test, asOf, ret) {
+    for (const e of Object.values(this.state.entries)) {
+      if (e.unread && (e.crawled <= asOf) && test(e)) {
+        e.unread = false
+        ret.read++
+      }
+    }
+  }
+
+  /// @nodoc
+  _applyReads (reads, ret) {
+    if (reads == null) {
+      return
+    }
+    for (const id of reads.entries || []) {
+      const e = this.state.entries[id]
+      if (e && e.unread) {
+        e.unread = false
+        ret.read++
+      }
+    }
+    for (const id of reads.unread || []) {
+      const e = this.state.entries[id]
+      if (e && !e.unread) {
+        e.unread = true
+        ret.unread++
+      }
+    }
+    for (const { id, asOf } of reads.feeds || []) {
+      this._markRead(e => e.origin && (e.origin.streamId === id), asOf, ret)
+    }
+    for (const { id, asOf } of reads.categories || []) {
+      this._markRead(e => this._inStream(e, id), asOf, ret)
+    }
+    for (const { id, asOf } of reads.tags || []) {
+      this._markRead(e => _hasId(e.tags, id), asOf, ret)
+    }
+  }
+
+  /// @nodoc
+  async _applyTags (tags, ret) {
+    if ((tags == null) || (tags.taggedEntries == null)) {
+      return
+    }
+    // Entry ID => tag IDs, for entries we don't have yet
+    const missing = new Map()
+    for (const [tagId, ids] of Object.entries(tags.taggedEntries)) {
+      for (const id of ids) {
+        const e = this.state.entries[id]
+        if (e == null) {
+          missing.set(id, (missing.get(id) || []).concat([tagId]))
+        } else if (!_hasId(e.tags, tagId)) {
+          e.tags = (e.tags || []).concat([{ id: tagId }])
+          ret.tagged++
+        }
+      }
+    }
+    if (missing.size > 0) {
+      // Tagged entries from outside the window.  Ones from outside the
+      // stream are left out.
+      for (const e of await this.feedly.entry([...missing.keys()])) {
+        for (const tagId of missing.get(e.id) || []) {
+          if (!_hasId(e.tags, tagId)) {
+            e.tags = (e.tags || []).concat([{ id: tagId }])
+          }
+        }
+        if (this._inStream(e, this.options.streamId)) {
+          this._add(e)
+          ret.added++
+          ret.tagged++
+        }
+      }
+    }
+  }
+}
+
+module.exports = FeedlySync
@@ -0,0 +1,378 @@
+'use strict'
+
+const crypto = require('crypto')
+const StreamId = require('./streamid')
+const { Entry } = require('./models')
+const { _escape } = require('./opml')
+
+const FORMATS = {
+  atom: 'application/atom+xml; charset=utf-8',
+  rss: 'application/rss+xml; charset=utf-8',
+  jsonfeed: 'application/feed+json; charset=utf-8'
+}
+
+/// @nodoc
+function _iso (ms) {
+  return new Date(ms).toISOString()
+}
+
+/// @nodoc
+function _text (html) {
+  return html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim()
+}
+
+/// @nodoc
+function _item (e) {
+  // The parts of an entry that all of the formats use
+  const summary = (e.summary && e.summary.content) || null
+  const content = (e.content && e.content.content) || null
+  const categories = []
+  for (const c of [
+    ...(e.categories || []).map(c => c.label),
+    ...(e.keywords || [])
+  ]) {
+    if (c && !categories.includes(c)) {
+      categories.push(c)
+    }
+  }
+  const published = e.published || e.crawled
+  return {
+    id: e.id,
+    title: e.title || '',
+    url: new Entry(null, e).url,
+    author: e.author || null,
+    published,
+    updated: e.updated || published,
+    summary,
+    content,
+    categories
+  }
+}
+
+/// @nodoc
+function _atom (feed, items) {
+  // Atom IDs must be absolute IRIs, and entries without an author need
+  // one from the feed
+  let xml = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>urn:feedly:${_escape(encodeURIComponent(feed.id))}</id>
+  <title>${_escape(feed.title)}</title>
+  <updated>${_iso(feed.updated)}</updated>
+  <author><name>${_escape(feed.author || feed.title)}</name></author>
+  <generator>node-feedly</generator>
+`
+  if (feed.link) {
+    xml += `  <link rel="alternate" href="${_escape(feed.link)}"/>\n`
+  }
+  if (feed.selfUrl) {
+    xml += `  <link rel="self" href="${_escape(feed.selfUrl)}"/>\n`
+  }
+  for (const i of items) {
+    xml += `  <entry>
+    <id>urn:feedly:${_escape(encodeURIComponent(i.id))}</id>
+    <title type="html">${_escape(i.title)}</title>
+    <updated>${_iso(i.updated)}</updated>
+    <published>${_iso(i.published)}</published>
+`
+    if (i.url) {
+      xml += `    <link rel="alternate" href="${_escape(i.url)}"/>\n`
+    }
+    if (i.author) {
+      xml += `    <author><name>${_escape(i.author)}</name></author>\n`
+    }
+    if (i.summary) {
+      xml += `    <summary type="html">${_escape(i.summary)}</summary>\n`
+    }
+    if (i.content) {
+      xml += `    <content type="html">${_escape(i.content)}</content>\n`
+    }
+    for (const c of i.categories) {
+      xml += `    <category term="${_escape(c)}"/>\n`
+    }
+    xml += '  </entry>\n'
+  }
+  return xml + '</feed>\n'
+}
+
+/// @nodoc
+function _rss (feed, items) {
+  let xml = `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${_escape(feed.title)}</title>
+    <link>${_escape(feed.link || feed.selfUrl || 'https://feedly.com/')}</link>
+    <description>${_escape(feed.description || feed.title)}</description>
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>
+    <generator>node-feedly</generator>
+`
+  if (feed.selfUrl) {
+    xml += `    <atom:link rel="self" type="application/rss+xml" href="${_escape(feed.selfUrl)}"/>\n`
+  }
+  for (const i of items) {
+    xml += `    <item>
+      <title>${_escape(i.title)}</title>
+      <guid isPermaLink="false">${_escape(i.id)}</guid>
+      <pubDate>${new Date(i.published).toUTCString()}</pubDate>
+`
+    if (i.url) {
+      xml += `      <link>${_escape(i.url)}</link>\n`
+    }
+    if (i.author) {
+      xml += `      <dc:creator>${_escape(i.author)}</dc:creator>\n`
+    }
+    if (i.summary || i.content) {
+      xml += `      <description>${_escape(i.summary || i.content)}</description>\n`
+    }
+    if (i.content) {
+      xml += `      <content:encoded>${_escape(i.content)}</content:encoded>\n`
+    }
+    for (const c of i.categories) {
+      xml += `      <category>${_escape(c)}</category>\n`
+    }
+    xml += '    </item>\n'
+  }
+  return xml + '  </channel>\n</rss>\n'
+}
+
+/// @nodoc
+function _jsonfeed (feed, items) {
+  const doc = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title
+  }
+  if (feed.link) {
+    doc.home_page_url = feed.link
+  }
+  if (feed.selfUrl) {
+    doc.feed_url = feed.selfUrl
+  }
+  if (feed.description) {
+    doc.description = feed.description
+  }
+  doc.items = items.map(i => {
+    const item = { id: i.id }
+    if (i.url) {
+      item.url = i.url
+    }
+    item.title = i.title
+    item.content_html = i.content || i.summary || ''
+    if (i.summary) {
+      item.summary = _text(i.summary)
+    }
+    item.date_published = _iso(i.published)
+    item.date_modified = _iso(i.updated)
+    if (i.author) {
+      item.authors = [{ name: i.author }]
+    }
+    if (i.categories.length > 0) {
+      item.tags = i.categories
+    }
+    return item
+  })
+  return JSON.stringify(doc, null, 2) + '\n'
+}
+
+/**
+ * Serialize entries as a feed document.
+ *
+ * @param {String} format - 'atom', 'rss' or 'jsonfeed'
+ * @param {Object} feed - About the feed
+ * @param {String} feed.id - an ID for the feed, such as the stream ID
+ * @param {String} feed.title - the title
+ * @param {String} [feed.description] - a description.  (default: title)
+ * @param {String} [feed.author] - who the feed is by, for Atom.  (default:
+ *   title)
+ * @param {String} [feed.link] - the web page the feed is for
+ * @param {String} [feed.selfUrl] - the URL the feed is served from
+ * @param {int} [feed.updated] - when the feed changed, in milliseconds
+ *   since the epoch.  (default: the newest entry)
+ * @param {Array(Entry)} entries - the entries, from {@link Feedly#contents}
+ * @returns {String} the document
+ * @throws {TypeError} unknown format
+ */
+function buildFeed (format, feed, entries) {
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+    throw new TypeError(`Unknown feed format: "${format}"`)
+  }
+  const items = entries.map(_item)
+  feed = Object.assign({}, feed)
+  if (feed.updated == null) {
+    feed.updated = lastModified(entries) || Date.now()
+  }
+  switch (format) {
+    case 'atom':
+      return _atom(feed, items)
+    case 'rss':
+      return _rss(feed, items)
+    default:
+      return _jsonfeed(feed, items)
+  }
+}
+
+/**
+ * When the newest of the entries was crawled or updated.
+ *
+ * @param {Array(Entry)} entries - the entries
+ * @returns {int} milliseconds since the epoch, or null if there are no
+ *   entries
+ */
+function lastModified (entries) {
+  let ret = null
+  for (const e of entries) {
+    const t = Math.max(e.crawled || 0, e.updated || 0)
+    if ((ret == null) || (t > ret)) {
+      ret = t
+    }
+  }
+  return ret
+}
+
+/// @nodoc
+async function _allContents (feedly, streamId, options) {
+  // The first page, with the entries of all of the pages as its items
+  const opts = Object.assign({}, options)
+  let first = null
+  const onPage = opts.onPage
+  opts.onPage = page => {
+    first = first || page
+    return (typeof onPage === 'function') ? onPage(page) : null
+  }
+  const items = []
+  for await (const e of feedly.iterateContents(streamId, opts)) {
+    items.push(e)
+  }
+  const ret = Object.assign({ id: streamId }, first, { items })
+  delete ret.continuation
+  return ret
+}
+
+/// @nodoc
+async function _exportFeed (feedly, streamId, options) {
+  // Shared by Feedly#exportFeed and the handler, which also needs the
+  // entries
+  const opts = Object.assign({}, {
+    format: 'atom',
+    limit: 50,
+    unreadOnly: false,
+    title: null,
+    description: null,
+    link: null,
+    selfUrl: null
+  }, options)
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, opts.format)) {
+    throw new TypeError(`Unknown feed format: "${opts.format}"`)
+  }
+  streamId = StreamId.stream(streamId)
+  const page = await _allContents(feedly, streamId, {
+    max: opts.limit,
+    unreadOnly: opts.unreadOnly
+  })
+  const document = buildFeed(opts.format, {
+    id: streamId,
+    title: opts.title || page.title || streamId,
+    description: opts.description,
+    link: opts.link,
+    selfUrl: opts.selfUrl
+  }, page.items)
+  return { document, entries: page.items }
+}
+
+/**
+ * Create a request handler for `http.createServer` that serves a stream as
+ * a feed, for feed readers and other tools to poll.  The document is
+ * fetched with {@link Feedly#exportFeed} and cached for maxAge.  Responses
+ * have ETag and Last-Modified headers, and conditional requests get a 304
+ * if nothing has changed.  If Feedly can't be reached, the response is a
+ * 502.
+ *
+ * @example
+ * const handler = createFeedHandler(feedly, 'user/-/tag/team-reading', {
+ *   format: 'rss'
+ * })
+ * http.createServer(handler).listen(8080)
+ *
+ * @param {Feedly} feedly - the client
+ * @param {String} streamId - the stream to serve
+ * @param {Object} [options] - Options for {@link Feedly#exportFeed}, plus
+ * @param {int} [options.maxAge=60000] - milliseconds to cache the document
+ * @returns {Function} Function(IncomingMessage, ServerResponse)
+ */
+function createFeedHandler (feedly, streamId, options) {
+  const opts = Object.assign({}, {
+    format: 'atom',
+    maxAge: 60000
+  }, options)
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, opts.format)) {
+    throw new TypeError(`Unknown feed format: "${opts.format}"`)
+  }
+  let cached = null
+  let fetching = null
+
+  const load = async () => {
+    if ((cached != null) && (Date.now() - cached.fetched < opts.maxAge)) {
+      return cached
+    }
+    if (fetching == null) {
+      fetching = (async () => {
+        const { document: body, entries } =
+          await _exportFeed(feedly, streamId, opts)
+        const modified = lastModified(entries)
+        cached = {
+          body,
+          fetched: Date.now(),
+          etag: '"' + crypto.createHash('sha1').update(body).digest('base64url') + '"',
+          // HTTP dates only have seconds
+          modified: new Date(Math.floor((modified || Date.now()) / 1000) * 1000)
+        }
+        return cached
+      })().finally(() => {
+        fetching = null
+      })
+    }
+    return fetching
+  }
+
+  return async (req, res) => {
+    if ((req.method !== 'GET') && (req.method !== 'HEAD')) {
+      res.writeHead(405, { Allow: 'GET, HEAD' })
+      res.end()
+      return
+    }
+    let doc = null
+    try {
+      doc = await load()
+    } catch (er) {
+      res.writeHead(502, { 'Content-Type': 'text/plain; charset=utf-8' })
+      res.end(`Could not fetch ${streamId}: ${er.message}\n`)
+      return
+    }
+    const headers = {
+      ETag: doc.etag,
+      'Last-Modified': doc.modified.toUTCString(),
+      'Cache-Control': `max-age=${Math.floor(opts.maxAge / 1000)}`
+    }
+    const inm = req.headers['if-none-match']
+    const ims = Date.parse(req.headers['if-modified-since'])
+    const fresh = (inm != null)
+      ? inm.split(/\s*,\s*/).includes(doc.etag)
+      : (!Number.isNaN(ims) && (doc.modified.getTime() <= ims))
+    if (fresh) {
+      res.writeHead(304, headers)
+      res.end()
+      return
+    }
+    headers['Content-Type'] = FORMATS[opts.format]
+    headers['Content-Length'] = Buffer.byteLength(doc.body)
+    res.writeHead(200, headers)
+    res.end((req.method === 'HEAD') ? undefined : doc.body)
+  }
+}
+
+module.exports = {
+  FORMATS,
+  buildFeed,
+  lastModified,
+  createFeedHandler,
+  _allContents,
+  _exportFeed
+}
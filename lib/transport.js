@@ -0,0 +1,86 @@
+'use strict'
+
+/**
+ * A transport sends one HTTP request and returns the response.  It is an
+ * async function that takes an object with these properties:
+ *
+ * - `method` {String}: the HTTP method
+ * - `url` {String}: the full URL
+ * - `headers` {Object}: request headers
+ * - `body` {String}: the request body, already serialized, or undefined
+ * - `timeout` {int}: milliseconds to wait for the response, or 0 for no
+ *   limit
+ *
+ * and returns (a promise for) an object with these properties:
+ *
+ * - `statusCode` {int}: the HTTP status code
+ * - `headers` {Object}: response headers, with lower-case names
+ * - `body` {String|Object}: the response body.  Strings are parsed as
+ *   JSON if possible.
+ *
+ * Network failures should reject with an Error that has a `code` such as
+ * 'ECONNREFUSED' or 'ETIMEDOUT', if possible.
+ *
+ * @typedef {Function} Transport
+ */
+
+/**
+ * Create a transport that uses Node's built-in `fetch`.  Connections are
+ * kept alive and re-used by default.
+ *
+ * @param {Object} [options] - Options for the transport
+ * @param {Object} [options.dispatcher] - An undici Dispatcher, such as an
+ *   `Agent` to tune connection pooling and keep-alive, or a `ProxyAgent` to
+ *   go through a proxy.  (default: Node's global dispatcher)
+ * @param {Function} [options.fetch] - The fetch function to use.
+ *   (default: globalThis.fetch)
+ * @returns {Transport} the transport
+ */
+function createFetchTransport (options) {
+  const opts = Object.assign({}, {
+    dispatcher: null,
+    fetch: globalThis.fetch
+  }, options)
+  if (typeof opts.fetch !== 'function') {
+    throw new Error('fetch is not available; Node 18 or later is required')
+  }
+
+  return async function fetchTransport (req) {
+    const init = {
+      method: req.method,
+      headers: req.headers,
+      body: req.body
+    }
+    if (opts.dispatcher != null) {
+      init.dispatcher = opts.dispatcher
+    }
+    if (req.timeout > 0) {
+      init.signal = AbortSignal.timeout(req.timeout)
+    }
+
+    let res = null
+    let body = null
+    try {
+      res = await opts.fetch(req.url, init)
+      body = await res.text()
+    } catch (er) {
+      if (er.name === 'TimeoutError') {
+        const err = new Error(`Timed out after ${req.timeout}ms`, { cause: er })
+        err.code = 'ETIMEDOUT'
+        throw err
+      }
+      // fetch wraps the interesting error, which has the code
+      throw ((er.cause instanceof Error) ? er.cause : er)
+    }
+
+    return {
+      statusCode: res.status,
+      headers: Object.fromEntries(res.headers),
+      body
+    }
+  }
+}
+
+module.exports = {
+  createFetchTransport
+}
@@ -1,67 +1,235 @@
 'use strict'
+const crypto = require('crypto')
 const http = require('http')
+const os = require('os')
+const readline = require('readline')
 
-const request = require('request')
-const NoFilter = require('nofilter')
+const { FeedlyHTTPError, FeedlyNetworkError } = require('./errors')
+const { createFetchTransport } = require('./transport')
 
 module.exports = class Utils {
-  static qserver (port, text, opener) {
+  static untildify (file) {
+    if (typeof file !== 'string') {
+      return file
+    }
+    return file.replace(/^~(?=$|\/|\\)/, os.homedir())
+  }
+
+  static qserver (port, text, opener, timeout = 0) {
     return new Promise((resolve, reject) => {
+      let timer = null
+      let done = false
       const server = http.createServer(function (req, res) {
-        const u = new URL(req.url, true)
-        if (u.pathname === '/') {
-          const bs = new NoFilter()
-          res.writeHead(200,
-            { 'Content-Type': 'text/html' })
-          bs.on('finish', function () {
-            resolve([u.query, bs.toString('utf8')])
-            return server.close()
-          })
-          req.pipe(bs)
-          res.end(text)
-        } else {
-          res.writeHead(404)
+        const u = new URL(req.url, 'http://localhost')
+        if (done || (u.pathname !== '/')) {
+          res.writeHead(404, { Connection: 'close' })
           res.end()
+          return
         }
-        return req.connection.destroy()
+        done = true
+        const query = Object.fromEntries(u.searchParams)
+        const chunks = []
+        req.on('data', chunk => chunks.push(chunk))
+        req.on('end', function () {
+          clearTimeout(timer)
+          res.writeHead(200, {
+            'Content-Type': 'text/html; charset=utf-8',
+            Connection: 'close'
+          })
+          res.end((typeof text === 'function') ? text(query) : text)
+          server.close()
+          resolve([query, Buffer.concat(chunks).toString('utf8')])
+        })
       })
 
       server.on('error', function (er) {
-        // is this needed?  Find an error to test.
-        return server.close()
+        clearTimeout(timer)
+        let err = er
+        if (er.code === 'EADDRINUSE') {
+          err = new Error(
+            `Port ${port} is already in use.  Stop the other program using ` +
+            'it, or set the port option to a different port (0 for any).',
+            { cause: er })
+          err.code = er.code
+        }
+        reject(err)
       })
 
-      server.listen(port, function () {
+      // The same name as the redirect URL, which may resolve to ::1 rather
+      // than 127.0.0.1
+      server.listen(port, 'localhost', function () {
+        if (timeout > 0) {
+          timer = setTimeout(() => {
+            server.close()
+            reject(new Error('Timed out waiting for authentication'))
+          }, timeout)
+        }
         const a = server.address()
-        opener(`http://localhost:${a.port}`)
+        // Also catches an opener that throws rather than rejecting
+        Promise.resolve().then(() => opener(`http://localhost:${a.port}`)).catch(er => {
+          clearTimeout(timer)
+          server.close()
+          reject(er)
+        })
+      })
+    })
+  }
+
+  static randomString (bytes) {
+    return crypto.randomBytes(bytes).toString('base64url')
+  }
+
+  static pkceChallenge (verifier) {
+    return crypto.createHash('sha256').update(verifier).digest('base64url')
+  }
+
+  static escapeHTML (str) {
+    return String(str).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`)
+  }
+
+  static qprompt (question, signal) {
+    return new Promise((resolve, reject) => {
+      const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stderr,
+        terminal: false
+      })
+      let answered = false
+      rl.on('close', () => {
+        if (!answered) {
+          reject(new Error('No input received'))
+        }
+      })
+      if (signal != null) {
+        signal.addEventListener('abort', () => rl.close())
+      }
+      rl.question(question, answer => {
+        answered = true
+        rl.close()
+        resolve(answer)
       })
     })
   }
 
+  static qtimeout (prom, ms, message, controller) {
+    if (!(ms > 0)) {
+      return prom
+    }
+    let timer = null
+    return Promise.race([
+      prom,
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          reject(new Error(message))
+          if (controller != null) {
+            controller.abort()
+          }
+        }, ms)
+      })
+    ]).finally(() => clearTimeout(timer))
+  }
+
+  static async mapLimit (items, limit, f) {
+    // Like Promise.all(items.map(f)), with at most limit calls at a time
+    const ret = new Array(items.length)
+    let next = 0
+    const worker = async () => {
+      while (next < items.length) {
+        const i = next++
+        try {
+          ret[i] = await f(items[i], i)
+        } catch (er) {
+          // Don't start any more after a failure
+          next = items.length
+          throw er
+        }
+      }
+    }
+    const workers = []
+    for (let i = 0; i < Math.min(Math.max(limit, 1), items.length); i++) {
+      workers.push(worker())
+    }
+    await Promise.all(workers)
+    return ret
+  }
+
   static qrequest (options) {
     if ((options == null)) {
       throw new Error('options not optional')
     }
 
-    const cb = options.callback
-    delete options.callback
+    const {
+      callback: cb,
+      onResponse,
+      transport = Utils.defaultTransport(),
+      timeout = 0
+    } = options
+    const method = options.method || 'GET'
+    const headers = Object.assign({
+      Accept: 'application/json'
+    }, options.headers)
+    let body
+    if (options.body != null) {
+      body = JSON.stringify(options.body)
+      headers['Content-Type'] = 'application/json'
+    }
 
-    let prom = new Promise((resolve, reject) => {
-      options.json = true
-      request(options, function (er, res, body) {
-        if (er != null) {
-          return reject(er)
-        } else if (res.statusCode !== 200) {
-          return reject(new Error(`HTTP error: ${res.statusCode}\nFrom: ${options.uri}\n${JSON.stringify(body)}`))
+    let prom = (async () => {
+      let res = null
+      try {
+        res = await transport({
+          method,
+          url: options.uri,
+          headers,
+          body,
+          timeout
+        })
+      } catch (er) {
+        throw new FeedlyNetworkError(er, {
+          method,
+          url: options.uri
+        })
+      }
+      let resBody = res.body
+      if (typeof resBody === 'string') {
+        if (resBody.length === 0) {
+          resBody = null
         } else {
-          return resolve(body)
+          try {
+            resBody = JSON.parse(resBody)
+          } catch (ignored) {
+          }
         }
+      }
+      res = Object.assign({}, res, {
+        headers: res.headers || {},
+        body: resBody
       })
-    })
+      if (typeof onResponse === 'function') {
+        onResponse(res)
+      }
+      if ((res.statusCode < 200) || (res.statusCode >= 300)) {
+        throw FeedlyHTTPError.fromResponse({
+          method,
+          url: options.uri,
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: resBody
+        })
+      }
+      return resBody
+    })()
     if (typeof cb === 'function') {
       prom = prom.then(r => cb(null, r), cb)
     }
 
     return prom
   }
+
+  static defaultTransport () {
+    if (Utils._defaultTransport == null) {
+      Utils._defaultTransport = createFetchTransport()
+    }
+    return Utils._defaultTransport
+  }
 }
@@ -0,0 +1,204 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+const StreamId = require('./streamid')
+
+// Entries crawled just before a poll may not be in the stream until just
+// after it, so look back this far before the last poll.  Entries that were
+// already announced are skipped.
+const OVERLAP = 60000
+
+/**
+ * Polls Feedly for changes to a set of streams.  Create one with
+ * {@link Feedly#watch}.  Polling requests are made in the background lane
+ * of the client's {@link RequestScheduler}.
+ *
+ * Events:
+ *
+ * - `counts` (Array(Object), Array(String)): the unread counts for the
+ *   watched streams, and the IDs of the streams whose counts changed.
+ *   Emitted after the first poll, and after any poll where a count changed.
+ * - `entries` (Array(Entry), String): entries that are new since the
+ *   last poll, newest first, and the ID of the stream they are in.  Each
+ *   entry is only announced once, even if it is in more than one stream.
+ * - `error` (Error): a poll failed.  Polling continues, waiting twice as
+ *   long after each failure in a row, up to maxInterval.  Unlike most
+ *   EventEmitters, if there is no listener for `error`, the error is
+ *   ignored rather than thrown.
+ */
+class FeedlyWatcher extends EventEmitter {
+  /**
+   * Creates an instance of FeedlyWatcher, and starts polling.
+   *
+   * @param {Feedly} feedly - the client to poll with
+   * @param {String|Array(String)} streamIds - the streams to watch
+   * @param {Object} [options] - Options for polling
+   * @param {int} [options.interval=60000] - milliseconds between polls
+   * @param {int} [options.maxInterval] - the longest to wait between polls
+   *   after failures.  (default: 16 times interval)
+   * @param {Date} [options.since] - announce entries newer than this on
+   *   the first poll.  (default: only entries that arrive after the first
+   *   poll)
+   * @param {int} [options.max=100] - the most entries to fetch per stream
+   *   per poll
+   * @param {int} [options.remember=5000] - how many announced entry IDs to
+   *   remember, to avoid announcing them again
+   * @param {Boolean} [options.unref=false] - don't let the timer keep the
+   *   process alive
+   */
+  constructor (feedly, streamIds, options) {
+    super()
+    this.feedly = feedly
+    this.streamIds = (Array.isArray(streamIds) ? streamIds : [streamIds])
+      .map(id => StreamId.stream(id))
+    this.options = Object.assign({}, {
+      interval: 60000,
+      maxInterval: null,
+      since: null,
+      max: 100,
+      remember: 5000,
+      unref: false
+    }, options)
+    if (this.options.maxInterval == null) {
+      this.options.maxInterval = this.options.interval * 16
+    }
+    this.counts = new Map()
+    this.failures = 0
+    this.stopped = false
+    this._seen = new Set()
+    this._floor = (this.options.since == null)
+      ? null
+      : this.options.since.getTime()
+    this._lastPoll = null
+    this._timer = null
+    this._polling = null
+    this._schedule(0)
+  }
+
+  /**
+   * Stop polling.  A poll that is in progress finishes, but does not emit
+   * events.
+   */
+  stop () {
+    this.stopped = true
+    clearTimeout(this._timer)
+    this._timer = null
+  }
+
+  /**
+   * Poll now, instead of waiting for the timer.  If a poll is in progress,
+   * wait for it instead.
+   *
+   * @returns {Promise} Done.  Never rejects; errors are emitted instead.
+   */
+  poll () {
+    if (this._polling == null) {
+      clearTimeout(this._timer)
+      this._polling = this._poll().finally(() => {
+        this._polling = null
+      })
+    }
+    return this._polling
+  }
+
+  /// @nodoc
+  _schedule (ms) {
+    if (this.stopped) {
+      return
+    }
+    clearTimeout(this._timer)
+    this._timer = setTimeout(() => this.poll(), ms)
+    if (this.options.unref) {
+      this._timer.unref()
+    }
+  }
+
+  /// @nodoc
+  _remember (id) {
+    this._seen.add(id)
+    if (this._seen.size > this.options.remember) {
+      // Sets iterate in insertion order, so this is the oldest
+      this._seen.delete(this._seen.values().next().value)
+    }
+  }
+
+  /// @nodoc
+  async _poll () {
+    const started = Date.now()
+    try {
+      await this.feedly.background(() => this._check(started))
+      this.failures = 0
+    } catch (er) {
+      this.failures++
+      // Without a listener, emitting 'error' would throw, and polling would
+      // stop for good
+      if (!this.stopped && (this.listenerCount('error') > 0)) {
+        this.emit('error', er)
+      }
+    } finally {
+      const { interval, maxInterval } = this.options
+      this._schedule(Math.min(interval * (2 ** this.failures), maxInterval))
+    }
+  }
+
+  /// @nodoc
+  async _check (started) {
+    const first = (this._lastPoll == null)
+    if (this._floor == null) {
+      // Never announce entries from before the first poll
+      this._floor = started
+    }
+    const { unreadcounts } = await this.feedly.counts(true)
+    const byId = new Map(unreadcounts.map(c => [StreamId.anyUser(c.id), c]))
+
+    const counts = []
+    const changed = []
+    const fetch = []
+    for (const id of this.streamIds) {
+      const c = byId.get(StreamId.anyUser(id)) || null
+      const old = this.counts.get(id)
+      if (c != null) {
+        counts.push(Object.assign({}, c, { id }))
+        if ((old == null) || (old.count !== c.count)) {
+          changed.push(id)
+        }
+      }
+      // Streams without counts, like tags, are always checked
+      if ((c == null) || (old == null) || (c.updated > old.updated) ||
+          (c.count > old.count)) {
+        fetch.push(id)
+      }
+      this.counts.set(id, c || {})
+    }
+    if (this.stopped) {
+      return
+    }
+    if (first || (changed.length > 0)) {
+      this.emit('counts', counts, changed)
+    }
+
+    if (!first || (this.options.since != null)) {
+      const since = first
+        ? this._floor
+        : Math.max(this._lastPoll - OVERLAP, this._floor)
+      for (const id of fetch) {
+        const entries = []
+        for await (const e of this.feedly.iterateContents(id, {
+          newerThan: new Date(since),
+          max: this.options.max
+        })) {
+          if (!this._seen.has(e.id)) {
+            this._remember(e.id)
+            entries.push(e)
+          }
+        }
+        if ((entries.length > 0) && !this.stopped) {
+          this.emit('entries', entries, id)
+        }
+      }
+    }
+    this._lastPoll = started
+  }
+}
+
+module.exports = FeedlyWatcher
@@ -0,0 +1,35 @@
+'use strict'
+
+const Feedly = require('../lib/feedly')
+const MockFeedlyServer = require('../lib/mock')
+const { DeveloperTokenStrategy } = require('../lib/auth')
+
+/**
+ * Start a mock server, closed when the test is done, and create a client
+ * that is logged in to it with a developer token for the seeded user.
+ *
+ * @param {Object} t - the ava test context
+ * @param {Object} [feedlyOptions] - More options for the client
+ * @param {Object} [mockOptions] - Options for the server
+ * @returns {Promise(Array)} `[mock, feedly]`
+ */
+async function withClient (t, feedlyOptions, mockOptions) {
+  const opts = Object.assign({}, mockOptions)
+  opts.tokens = (opts.tokens || []).concat(['dev'])
+  const mock = new MockFeedlyServer(opts)
+  await mock.listen()
+  t.teardown(() => mock.close())
+  const feedly = new Feedly(Object.assign({
+    base: mock.base,
+    config_file: null,
+    auth: new DeveloperTokenStrategy({
+      token: 'dev',
+      userId: MockFeedlyServer.USER_ID
+    })
+  }, feedlyOptions))
+  return [mock, feedly]
+}
+
+module.exports = {
+  withClient
+}
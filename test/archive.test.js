@@ -0,0 +1,119 @@
+'use strict'
+
+const test = require('ava')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { withClient } = require('./_helpers')
+
+const ARS = 'feed/http://feeds.arstechnica.com/arstechnica/index'
+
+async function setup (t) {
+  const [mock, f] = await withClient(t)
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'feedly-'))
+  t.teardown(() => fs.promises.rm(dir, { recursive: true, force: true }))
+  return [mock, f, dir]
+}
+
+async function files (dir) {
+  return (await fs.promises.readdir(dir)).sort()
+}
+
+test('markdown', async t => {
+  const [, f, dir] = await setup(t)
+  const { items } = await f.contents(ARS, { count: 3 })
+  await f.tagEntry(items.map(e => e.id), ['global.saved', 'research'])
+  const saved = f.streams.saved()
+
+  const res = await f.archiveStream(saved, dir)
+  t.is(res.written.length, 3)
+  t.is(res.unchanged, 0)
+  t.deepEqual(res.removed, [])
+  t.is(res.index, path.join(dir, 'index.md'))
+  t.deepEqual(await files(dir),
+    ['.feedly-archive.json', 'index.md', ...res.written].sort())
+
+  const [first] = res.written
+  t.regex(first, /^\d{4}-\d\d-\d\d-[a-z0-9-]+-[0-9a-f]{8}\.md$/)
+  const md = await fs.promises.readFile(path.join(dir, first), 'utf8')
+  t.regex(md, /^---\nid: "/)
+  t.regex(md, /\nfeed: "Ars Technica"\n/)
+  t.regex(md, /\nfeedId: "feed\/http:\/\/feeds.arstechnica.com/)
+  t.regex(md, /\npublished: "\d{4}-\d\d-\d\dT/)
+  t.regex(md, /\ntags: \["research"\]\n/)
+  t.regex(md, /\nurl: "http/)
+  t.regex(md, /\n---\n\n# .* entry \d+\n/)
+  t.regex(md, /<p>Content of entry/)
+
+  const index = await fs.promises.readFile(res.index, 'utf8')
+  t.regex(index, /^# user\/.*\/tag\/global.saved\n/)
+  t.is(index.match(/^- \d{4}-\d\d-\d\d \[.*\]\(.*\.md\) \(Ars Technica\)$/mg).length, 3)
+
+  // Nothing changed
+  const again = await f.archiveStream(saved, dir)
+  t.deepEqual(again.written, [])
+  t.is(again.unchanged, 3)
+
+  // A new tag changes the front matter
+  await f.tagEntry(items[0].id, 'later')
+  const changed = await f.archiveStream(saved, dir)
+  t.is(changed.written.length, 1)
+  t.is(changed.unchanged, 2)
+  const later = await fs.promises.readFile(
+    path.join(dir, changed.written[0]), 'utf8')
+  t.regex(later, /\ntags: \["research","later"\]\n/)
+})
+
+test('pruning', async t => {
+  const [, f, dir] = await setup(t)
+  const { items } = await f.contents(ARS, { count: 3 })
+  await f.tagEntry(items.map(e => e.id), 'research')
+  const tag = f.streams.tag('research')
+  const first = await f.archiveStream(tag, dir)
+  t.is(first.written.length, 3)
+
+  await f.untagEntries(items[1].id, 'research')
+  let res = await f.archiveStream(tag, dir)
+  t.deepEqual(res.removed, [])
+  t.is((await files(dir)).length, 5)
+
+  // Not all of the stream was seen
+  res = await f.archiveStream(tag, dir, { prune: true, limit: 1 })
+  t.deepEqual(res.removed, [])
+
+  res = await f.archiveStream(tag, dir, { prune: true })
+  t.is(res.removed.length, 1)
+  t.is(res.unchanged, 2)
+  t.false((await files(dir)).includes(res.removed[0]))
+  const index = await fs.promises.readFile(res.index, 'utf8')
+  t.false(index.includes(res.removed[0]))
+  t.is(index.match(/^- /mg).length, 2)
+})
+
+test('html', async t => {
+  const [, f, dir] = await setup(t)
+  const res = await new Promise((resolve, reject) => {
+    f.archiveStream(ARS, dir, { format: 'html', limit: 2 }, (er, r) =>
+      er ? reject(er) : resolve(r))
+  })
+  t.is(res.written.length, 2)
+  t.is(res.index, path.join(dir, 'index.html'))
+  t.regex(res.written[0], /\.html$/)
+  const html = await fs.promises.readFile(
+    path.join(dir, res.written[0]), 'utf8')
+  t.regex(html, /^<!DOCTYPE html>/)
+  t.regex(html, /<meta name="feedly:feed" content="Ars Technica">/)
+  t.regex(html, /<link rel="canonical" href="http/)
+  t.regex(html, /<article>\n<p>Content of entry/)
+  const index = await fs.promises.readFile(res.index, 'utf8')
+  t.is(index.match(/<li>/g).length, 2)
+
+  // A different format starts over
+  const md = await f.archiveStream(ARS, dir, { limit: 2 })
+  t.is(md.written.length, 2)
+  t.regex(md.written[0], /\.md$/)
+
+  await t.throwsAsync(f.archiveStream(ARS, dir, { format: 'pdf' }), {
+    instanceOf: TypeError
+  })
+})
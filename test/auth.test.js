@@ -0,0 +1,476 @@
+'use strict'
+
+const crypto = require('crypto')
+const http = require('http')
+const test = require('ava')
+const Feedly = require('../lib/feedly')
+const { MemoryTokenStore } = require('../lib/stores')
+const {
+  DeveloperTokenStrategy,
+  TokenProviderStrategy
+} = require('../lib/auth')
+
+function tokenServer (t, handler = () => null) {
+  return new Promise((resolve, reject) => {
+    const requests = []
+    const server = http.createServer((req, res) => {
+      let body = ''
+      req.setEncoding('utf8')
+      req.on('data', d => { body += d })
+      req.on('end', () => {
+        const r = {
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          body: body ? JSON.parse(body) : null
+        }
+        requests.push(r)
+        const [status, ret] = handler(r) || [200, {
+          id: 'user-1234',
+          access_token: 'access',
+          refresh_token: 'refresh',
+          expires_in: 3600
+        }]
+        res.writeHead(status, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify(ret))
+      })
+    })
+    server.listen(0, '127.0.0.1', () => {
+      t.teardown(() => server.close())
+      resolve({
+        base: `http://127.0.0.1:${server.address().port}`,
+        requests
+      })
+    })
+  })
+}
+
+test('headless with redirect URL', async t => {
+  const { base, requests } = await tokenServer(t)
+  let authURL = null
+  const f = new Feedly({
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    base,
+    config_file: null,
+    headless: true,
+    opener: u => { authURL = u },
+    prompt: async u => {
+      t.is(u, authURL)
+      const state = new URL(u).searchParams.get('state')
+      return `http://localhost/?code=abcd&state=${state}`
+    }
+  })
+  t.is(await f._getAuth(), 'access')
+  const u = new URL(authURL)
+  t.is(u.pathname, '/v3/auth/auth')
+  t.is(u.searchParams.get('client_id'), 'sandbox')
+  t.is(u.searchParams.get('redirect_uri'), 'http://localhost')
+  t.is(requests.length, 1)
+  t.is(requests[0].body.code, 'abcd')
+  t.is(requests[0].body.redirect_uri, 'http://localhost')
+  t.is(f.state.id, 'user-1234')
+})
+
+test('headless with code', async t => {
+  const { base, requests } = await tokenServer(t)
+  const f = new Feedly({
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    base,
+    config_file: null,
+    headless: true,
+    redirect_uri: 'urn:ietf:wg:oauth:2.0:oob',
+    opener: () => {},
+    prompt: () => ' efgh\n'
+  })
+  t.is(await f.refresh(), 'access')
+  t.is(requests[0].body.code, 'efgh')
+  t.is(requests[0].body.redirect_uri, 'urn:ietf:wg:oauth:2.0:oob')
+})
+
+test('headless errors', async t => {
+  const opts = {
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    base: 'http://127.0.0.1:1',
+    config_file: null,
+    headless: true,
+    opener: () => {}
+  }
+  let f = new Feedly(Object.assign({
+    prompt: () => 'http://localhost/?error=access_denied'
+  }, opts))
+  await t.throwsAsync(f._getAuth(), { message: /access_denied/ })
+
+  f = new Feedly(Object.assign({
+    prompt: () => 'http://localhost/?code=abcd&state=wrong'
+  }, opts))
+  await t.throwsAsync(f._getAuth(), { message: /invalid state/ })
+
+  // A URL without the state can't be checked
+  f = new Feedly(Object.assign({
+    prompt: () => 'http://localhost/?code=abcd'
+  }, opts))
+  await t.throwsAsync(f._getAuth(), { message: /invalid state/ })
+  f = new Feedly(Object.assign({ prompt: () => '?code=abcd' }, opts))
+  await t.throwsAsync(f._getAuth(), { message: /invalid state/ })
+
+  f = new Feedly(Object.assign({ prompt: () => '' }, opts))
+  await t.throwsAsync(f._getAuth(), { message: /No authorization code/ })
+
+  let aborted = false
+  f = new Feedly(Object.assign({
+    auth_timeout: 10,
+    prompt: (u, signal) => new Promise(resolve => {
+      signal.addEventListener('abort', () => {
+        aborted = true
+        resolve()
+      })
+    })
+  }, opts))
+  await t.throwsAsync(f._getAuth(), { message: /Timed out/ })
+  t.truthy(aborted)
+})
+
+test('loopback timeout', async t => {
+  let authURL = null
+  const f = new Feedly({
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    config_file: null,
+    html_file: null,
+    auth_timeout: 10,
+    opener: u => { authURL = u }
+  })
+  await t.throwsAsync(f._getAuth(), { message: /Timed out/ })
+  t.regex(new URL(authURL).searchParams.get('redirect_uri'), /^http:\/\/localhost:\d+$/)
+})
+
+function redirect (authURL, params) {
+  const u = new URL(authURL)
+  const cb = new URL(u.searchParams.get('redirect_uri'))
+  cb.search = new URLSearchParams(params)
+  return new Promise((resolve, reject) => {
+    http.get(cb, res => {
+      let body = ''
+      res.setEncoding('utf8')
+      res.on('data', d => { body += d })
+      res.on('end', () => resolve({ statusCode: res.statusCode, body }))
+    }).on('error', reject)
+  })
+}
+
+test('loopback', async t => {
+  const { base, requests } = await tokenServer(t)
+  let page = null
+  let authURL = null
+  const f = new Feedly({
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    base,
+    config_file: null,
+    pkce: true,
+    opener: async u => {
+      authURL = u
+      const state = new URL(u).searchParams.get('state')
+      page = redirect(u, { code: 'abcd', state })
+    }
+  })
+  t.is(await f._getAuth(), 'access')
+  page = await page
+  t.is(page.statusCode, 200)
+  t.regex(page.body, /authentication succeeded/)
+  const body = requests[0].body
+  t.is(body.code, 'abcd')
+  t.is(typeof body.code_verifier, 'string')
+  const params = new URL(authURL).searchParams
+  t.is(params.get('code_challenge_method'), 'S256')
+  t.is(params.get('code_challenge'), crypto.createHash('sha256')
+    .update(body.code_verifier)
+    .digest('base64url'))
+})
+
+test('loopback errors', async t => {
+  let page = null
+  let f = new Feedly({
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    config_file: null,
+    opener: async u => {
+      const state = new URL(u).searchParams.get('state')
+      page = redirect(u, { error: '<access_denied>', state })
+    }
+  })
+  await t.throwsAsync(f._getAuth(), { message: /access_denied/ })
+  page = await page
+  t.regex(page.body, /authentication failed/)
+  t.regex(page.body, /&#60;access_denied&#62;/)
+
+  f = new Feedly({
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    config_file: null,
+    opener: async u => {
+      page = redirect(u, { code: 'abcd', state: 'forged' })
+    }
+  })
+  await t.throwsAsync(f._getAuth(), { message: /invalid state/ })
+  page = await page
+  t.regex(page.body, /invalid state/)
+
+  let opened = null
+  f = new Feedly({
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    config_file: null,
+    opener: u => {
+      opened = u
+      throw new Error('no browser')
+    }
+  })
+  await t.throwsAsync(f._getAuth(), { message: 'no browser' })
+  // The server was closed
+  await t.throwsAsync(fetch(opened), { message: /fetch failed/ })
+})
+
+test('loopback port in use', async t => {
+  const server = http.createServer()
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  t.teardown(() => server.close())
+  const f = new Feedly({
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    config_file: null,
+    port: server.address().port,
+    opener: () => t.fail()
+  })
+  await t.throwsAsync(f._getAuth(), {
+    code: 'EADDRINUSE',
+    message: /already in use/
+  })
+})
+
+test('client id required for OAuth', t => {
+  t.throws(() => new Feedly({ config_file: null }), {
+    message: /client_id and client_secret required/
+  })
+})
+
+test('developer token', async t => {
+  const { base, requests } = await tokenServer(t)
+  const f = new Feedly({
+    base,
+    config_file: null,
+    auth: new DeveloperTokenStrategy({ token: 'dev', userId: 'user-dev' })
+  })
+  await f.profile()
+  t.is(requests[0].headers.authorization, 'OAuth dev')
+  t.is(f.state.id, 'user-dev')
+  await t.throwsAsync(f.refresh(), { message: /does not support refresh/ })
+  await f.logout()
+  t.is(requests.length, 1)
+
+  const old = process.env.FEEDLY_ACCESS_TOKEN
+  process.env.FEEDLY_ACCESS_TOKEN = 'from-env'
+  t.teardown(() => {
+    if (old == null) {
+      delete process.env.FEEDLY_ACCESS_TOKEN
+    } else {
+      process.env.FEEDLY_ACCESS_TOKEN = old
+    }
+  })
+  t.is(await new DeveloperTokenStrategy().getToken(f), 'from-env')
+  t.is(await new DeveloperTokenStrategy('arg').getToken(f), 'arg')
+  delete process.env.FEEDLY_ACCESS_TOKEN
+  await t.throwsAsync(new DeveloperTokenStrategy().getToken(f), {
+    message: /FEEDLY_ACCESS_TOKEN/
+  })
+})
+
+test('token provider', async t => {
+  const { base, requests } = await tokenServer(t)
+  const calls = []
+  const f = new Feedly({
+    base,
+    config_file: null,
+    auth: new TokenProviderStrategy(async ({ feedly, refresh }) => {
+      t.is(feedly, f)
+      calls.push(refresh)
+      return refresh ? { access_token: 'two', id: 'user-prov' } : 'one'
+    })
+  })
+  await f.profile()
+  t.is(requests[0].headers.authorization, 'OAuth one')
+  t.is(await f.refresh(), 'two')
+  t.is(f.state.id, 'user-prov')
+  t.deepEqual(calls, [false, true])
+
+  t.throws(() => new TokenProviderStrategy())
+  const bad = new TokenProviderStrategy(() => ({}))
+  await t.throwsAsync(bad.getToken(f), { message: /did not return/ })
+})
+
+function expiring (ms) {
+  return new MemoryTokenStore({
+    id: 'user-1234',
+    access_token: 'old',
+    refresh_token: 'refresh',
+    expires: new Date(Date.now() + ms)
+  })
+}
+
+test('single-flight refresh', async t => {
+  const { base, requests } = await tokenServer(t)
+  const f = new Feedly({
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    base,
+    tokenStore: expiring(30 * 60 * 1000)
+  })
+  await Promise.all([f.profile(), f.profile(), f.preferences()])
+  const refreshes = requests.filter(r => r.url.startsWith('/v3/auth/token'))
+  t.is(refreshes.length, 1)
+  const params = new URL(refreshes[0].url, base).searchParams
+  t.is(params.get('grant_type'), 'refresh_token')
+  t.is(params.get('refresh_token'), 'refresh')
+  const auths = requests
+    .filter(r => r.url.startsWith('/v3/p'))
+    .map(r => r.headers.authorization)
+  t.deepEqual(auths, ['OAuth access', 'OAuth access', 'OAuth access'])
+
+  await Promise.all([f.refresh(), f.refresh()])
+  t.is(requests.filter(r => r.url.startsWith('/v3/auth/token')).length, 2)
+})
+
+test('no refresh outside slop', async t => {
+  const { base, requests } = await tokenServer(t)
+  const f = new Feedly({
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    base,
+    tokenStore: expiring(2 * 60 * 60 * 1000)
+  })
+  await f.profile()
+  t.is(requests.length, 1)
+  t.is(requests[0].headers.authorization, 'OAuth old')
+})
+
+test('retry on 401', async t => {
+  const { base, requests } = await tokenServer(t, r => {
+    if ((r.url === '/v3/profile') && (r.headers.authorization === 'OAuth old')) {
+      return [401, { errorCode: 401, errorMessage: 'token expired' }]
+    }
+    return null
+  })
+  const f = new Feedly({
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    base,
+    tokenStore: expiring(2 * 60 * 60 * 1000)
+  })
+  await Promise.all([f.profile(), f.profile()])
+  t.deepEqual(requests.map(r => r.url.replace(/\?.*/, '')), [
+    '/v3/profile',
+    '/v3/profile',
+    '/v3/auth/token',
+    '/v3/profile',
+    '/v3/profile'
+  ])
+
+  const g = new Feedly({
+    base,
+    config_file: null,
+    auth: new DeveloperTokenStrategy('old')
+  })
+  const er = await t.throwsAsync(g.profile())
+  t.is(er.statusCode, 401)
+})
+
+test('logout when revoking fails', async t => {
+  const { base, requests } = await tokenServer(t, () => [500, {
+    errorCode: 500,
+    errorMessage: 'revoke failed'
+  }])
+  const store = expiring(2 * 60 * 60 * 1000)
+  const f = new Feedly({
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    base,
+    retry: false,
+    tokenStore: store
+  })
+  await t.throwsAsync(f.logout(), { message: /revoke failed/ })
+  t.is(requests.length, 1)
+  t.regex(requests[0].url, /grant_type=revoke_token/)
+  // Gone anyway
+  t.deepEqual(f.state, {})
+  t.is(f._token, null)
+  t.is(await store.get(), null)
+})
+
+// Keeps the callbacks of timers of a minute or more instead of waiting,
+// since the refresh timer waits at least that long.  Serial, so that other
+// tests get the real setTimeout.
+function catchTimers (t) {
+  const real = global.setTimeout
+  const timers = []
+  global.setTimeout = (fn, ms, ...args) => {
+    if (ms < 60000) {
+      return real(fn, ms, ...args)
+    }
+    timers.push({ fn, ms })
+    return real(() => {}, 0x7fffffff)
+  }
+  t.teardown(() => {
+    global.setTimeout = real
+  })
+  return timers
+}
+
+test.serial('auto refresh', async t => {
+  const timers = catchTimers(t)
+  const { base, requests } = await tokenServer(t)
+  // Already expired
+  const f = new Feedly({
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    base,
+    auto_refresh: true,
+    opener: () => t.fail(),
+    tokenStore: expiring(-1000)
+  })
+  await f.ready
+  t.truthy(f._refreshTimer)
+  t.is(timers.length, 1)
+  t.is(timers[0].ms, 60000)
+
+  timers[0].fn()
+  t.is(f._refreshTimer, null)
+  await f._authPending
+  t.is(requests.length, 1)
+  t.regex(requests[0].url, /grant_type=refresh_token/)
+  t.is(f.state.access_token, 'access')
+  // Rescheduled for the new token
+  t.truthy(f._refreshTimer)
+  t.is(timers.length, 2)
+  await f.logout()
+  t.is(f._refreshTimer, null)
+
+  // Without a refresh token, it would have to log in again
+  const g = new Feedly({
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    base,
+    auto_refresh: true,
+    opener: () => t.fail(),
+    tokenStore: new MemoryTokenStore({
+      id: 'user-1234',
+      access_token: 'old',
+      expires: new Date(Date.now() - 1000)
+    })
+  })
+  await g.ready
+  t.is(g._refreshTimer, null)
+  t.is(timers.length, 2)
+})
@@ -0,0 +1,86 @@
+'use strict'
+
+const test = require('ava')
+const MockFeedlyServer = require('../lib/mock')
+const { withClient } = require('./_helpers')
+const { createFetchTransport } = require('../lib/transport')
+
+const ARS = 'feed/http://feeds.arstechnica.com/arstechnica/index'
+const ARDUINO = 'feed/https://blog.arduino.cc/feed/'
+const TBRAY = 'feed/https://www.tbray.org/ongoing/ongoing.atom'
+
+async function setup (t, options) {
+  const fetch = createFetchTransport()
+  const stats = { inFlight: 0, max: 0 }
+  const [mock, f] = await withClient(t, Object.assign({
+    chunk_size: 5,
+    concurrency: 2,
+    transport: async req => {
+      stats.max = Math.max(stats.max, ++stats.inFlight)
+      try {
+        return await fetch(req)
+      } finally {
+        stats.inFlight--
+      }
+    }
+  }, options), { max_ids: 5 })
+  const ids = (await f.stream(ARS, { count: 12 })).ids
+  return [mock, f, ids, stats]
+}
+
+function posts (mock, from) {
+  return mock.requests.slice(from)
+    .filter(r => r.method !== 'GET')
+    .map(r => [r.path, (r.body.entryIds || r.body).length])
+}
+
+test('mget', async t => {
+  const [mock, f, ids, stats] = await setup(t)
+  const want = ids.slice().reverse()
+  want.splice(3, 0, 'bogus')
+
+  let start = mock.requests.length
+  const entries = await f.entry(want.concat([ids[0]]))
+  // Each ID is only asked for once, but keeps its place
+  t.deepEqual(entries.map(e => e.id), ids.slice().reverse().concat([ids[0]]))
+  t.deepEqual(entries.missing, ['bogus'])
+  t.deepEqual(posts(mock, start), [
+    ['/v3/entries/.mget', 5],
+    ['/v3/entries/.mget', 5],
+    ['/v3/entries/.mget', 3]
+  ])
+  t.is(stats.max, 2)
+
+  const feeds = await f.feed([TBRAY, 'feed/nope', ARDUINO])
+  t.deepEqual(feeds.map(x => x.id), [TBRAY, ARDUINO])
+  t.deepEqual(feeds.missing, ['feed/nope'])
+
+  const none = await f.entry([])
+  t.deepEqual(none, [])
+
+  start = mock.requests.length
+  // The same result however many requests it takes
+  t.is(await f.markEntryRead(ids), null)
+  t.is(await f.markEntryRead(ids[0]), null)
+  t.is(await f.tagEntry(ids.slice(0, 7), 'later'), null)
+  t.deepEqual(posts(mock, start), [
+    ['/v3/markers', 5],
+    ['/v3/markers', 5],
+    ['/v3/markers', 2],
+    ['/v3/markers', 1],
+    [`/v3/tags/user%2F${MockFeedlyServer.USER_ID}%2Ftag%2Flater`, 5],
+    [`/v3/tags/user%2F${MockFeedlyServer.USER_ID}%2Ftag%2Flater`, 2]
+  ])
+  t.is(await f.tagEntry(ids[0], 'later'), null)
+  t.true(ids.every(id => !mock.data.entries[id].unread))
+
+  await new Promise((resolve, reject) => {
+    f.markEntryUnread(ids, er => er ? reject(er) : resolve())
+  })
+  t.true(ids.every(id => mock.data.entries[id].unread))
+})
+
+test('too many ids', async t => {
+  const [, f, ids] = await setup(t, { chunk_size: 10 })
+  await t.throwsAsync(f.entry(ids), { message: /Too many ids: 10 > 5/ })
+})
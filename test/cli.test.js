@@ -0,0 +1,175 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { PassThrough } = require('stream')
+const test = require('ava')
+const CLI = require('../lib/cli')
+const MockFeedlyServer = require('../lib/mock')
+
+const FEED = 'feed/https://www.tbray.org/ongoing/ongoing.atom'
+const ARS = 'feed/http://feeds.arstechnica.com/arstechnica/index'
+
+async function cli (t, env, ...args) {
+  const stdout = new PassThrough()
+  const stderr = new PassThrough()
+  let out = ''
+  let err = ''
+  stdout.on('data', d => { out += d })
+  stderr.on('data', d => { err += d })
+  const c = new CLI({
+    stdout,
+    stderr,
+    env,
+    feedly: { opener: async url => { await fetch(url) } }
+  })
+  const code = await c.run(args)
+  return { code, out, err }
+}
+
+test.before(async t => {
+  t.context.mock = new MockFeedlyServer({ tokens: ['dev'] })
+  await t.context.mock.listen()
+  t.context.dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'feedly-'))
+  t.context.rc = path.join(t.context.dir, 'empty-rc.json')
+  await fs.promises.writeFile(t.context.rc, '{}')
+})
+
+test.after.always(async t => {
+  await t.context.mock.close()
+  await fs.promises.rm(t.context.dir, { recursive: true, force: true })
+})
+
+function devEnv (t) {
+  return {
+    FEEDLY_ACCESS_TOKEN: 'dev',
+    FEEDLY_USER_ID: MockFeedlyServer.USER_ID,
+    FEEDLY_BASE: t.context.mock.base,
+    FEEDLY_CONFIG_FILE: '',
+    FEEDLY_RC: t.context.rc
+  }
+}
+
+test('usage', async t => {
+  let r = await cli(t, {}, '--help')
+  t.is(r.code, 0)
+  t.regex(r.out, /^Usage: feedly/)
+  r = await cli(t, {})
+  t.is(r.code, 2)
+  r = await cli(t, {}, '--nope')
+  t.is(r.code, 2)
+  t.regex(r.err, /Unknown option '--nope'/)
+  r = await cli(t, {}, 'frobnicate')
+  t.is(r.code, 2)
+  t.regex(r.err, /Unknown command: frobnicate/)
+  r = await cli(t, { FEEDLY_RC: '/nonexistent/feedlyrc' }, 'profile')
+  t.is(r.code, 1)
+  t.regex(r.err, /Invalid rc file/)
+})
+
+test('config sources', async t => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'feedly-'))
+  t.teardown(() => fs.promises.rm(dir, { recursive: true, force: true }))
+  const rc = path.join(dir, 'feedlyrc')
+  await fs.promises.writeFile(rc, JSON.stringify({
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    base: 'http://feedly.invalid',
+    config_file: path.join(dir, 'tokens')
+  }))
+
+  let r = await cli(t, { FEEDLY_RC: '/nonexistent' }, '--rc', rc, 'profile')
+  t.is(r.code, 1)
+  t.regex(r.err, /fetch failed/)
+
+  r = await cli(t, { FEEDLY_BASE: t.context.mock.base }, '--rc', rc, 'login')
+  t.is(r.code, 0, r.err)
+  t.is(r.out, 'Logged in as Mock User\n')
+  t.truthy(fs.existsSync(path.join(dir, 'tokens')))
+
+  r = await cli(t, {
+    FEEDLY_BASE: 'http://feedly.invalid'
+  }, '--rc', rc, '--base', t.context.mock.base, '-j', 'logout')
+  t.is(r.code, 0, r.err)
+  t.deepEqual(JSON.parse(r.out), {})
+  t.false(fs.existsSync(path.join(dir, 'tokens')))
+
+  r = await cli(t, { FEEDLY_RC: '/nonexistent' }, '--rc', rc, '--token', 'x',
+    '--base', t.context.mock.base, 'profile')
+  t.is(r.code, 1)
+  t.regex(r.err, /401/)
+  r = await cli(t, { FEEDLY_RC: t.context.rc }, 'subs')
+  t.is(r.code, 1)
+  t.regex(r.err, /Specify a developer token/)
+})
+
+test('commands', async t => {
+  const env = devEnv(t)
+  let r = await cli(t, env, 'profile')
+  t.is(r.code, 0, r.err)
+  t.regex(r.out, /^FIELD +VALUE\n/)
+  t.regex(r.out, /\nfullName +Mock User\n/)
+
+  r = await cli(t, env, 'subscribe', 'https://example.com/feed', '-c', 'news',
+    '-c', 'fun', '--title', 'Example')
+  t.is(r.code, 0, r.err)
+  t.regex(r.out, /feed\/https:\/\/example.com\/feed +Example/)
+
+  r = await cli(t, env, '--json', 'subs')
+  const subs = JSON.parse(r.out)
+  const ex = subs.find(s => s.id === 'feed/https://example.com/feed')
+  t.deepEqual(ex.categories.map(c => c.label).sort(), ['fun', 'news'])
+  r = await cli(t, env, 'subs')
+  t.regex(r.out, /^ID +TITLE +CATEGORIES\n/)
+  t.regex(r.out, /Example +news, fun\n/)
+
+  r = await cli(t, env, 'unsubscribe', 'https://example.com/feed')
+  t.is(r.out, 'Unsubscribed from feed/https://example.com/feed\n')
+
+  r = await cli(t, env, '-j', 'unread')
+  const counts = JSON.parse(r.out)
+  const all = counts.find(c => c.id.endsWith('/category/global.all'))
+  t.is(all.count, 20)
+  t.is(counts[0].count, 20)
+  r = await cli(t, env, 'unread', '-c', 'hobbies')
+  t.regex(r.out, /^COUNT +ID\n8 +/)
+
+  r = await cli(t, env, '-j', 'read', 'tech', '-n', '3')
+  const entries = JSON.parse(r.out)
+  t.is(entries.length, 3)
+  r = await cli(t, env, 'read', ARS, '--unread', '--limit', '2')
+  t.regex(r.out, /^PUBLISHED +TITLE +URL +ID\n/)
+  t.is(r.out.trim().split('\n').length, 3)
+  r = await cli(t, env, 'read', 'all', '--limit', 'many')
+  t.is(r.code, 2)
+  t.regex(r.err, /Invalid limit/)
+
+  r = await cli(t, env, 'mark-read', entries[0].id, FEED)
+  t.is(r.out, 'Marked 2 read\n')
+  r = await cli(t, env, '-j', 'read', FEED, '-u')
+  t.is(JSON.parse(r.out).length, 0)
+
+  r = await cli(t, env, 'tag', entries[1].id, 'later', 'global.saved')
+  t.is(r.code, 0, r.err)
+  r = await cli(t, env, '-j', 'read', 'saved')
+  t.deepEqual(JSON.parse(r.out).map(e => e.id), [entries[1].id])
+  r = await cli(t, env, 'untag', entries[1].id, 'global.saved')
+  t.is(r.out, `Untagged ${entries[1].id}\n`)
+  r = await cli(t, env, '-j', 'read', 'saved')
+  t.deepEqual(JSON.parse(r.out), [])
+  r = await cli(t, env, 'tag', entries[1].id)
+  t.is(r.code, 2)
+  t.regex(r.err, /Missing entry or tag/)
+
+  r = await cli(t, env, 'search', 'arduino')
+  t.regex(r.out, /^TITLE +ID +SUBSCRIBERS\nArduino Blog +feed\/https:\/\/blog.arduino.cc\/feed\/ +3000\n$/)
+})
+
+test('streamId', t => {
+  t.is(CLI.streamId('all'), 'user/-/category/global.all')
+  t.is(CLI.streamId('saved'), 'user/-/tag/global.saved')
+  t.is(CLI.streamId('http://foo'), 'feed/http://foo')
+  t.is(CLI.streamId('feed/http://foo'), 'feed/http://foo')
+  t.is(CLI.streamId('tech'), 'user/-/category/tech')
+})
@@ -0,0 +1,114 @@
+'use strict'
+
+const http = require('http')
+const test = require('ava')
+const Feedly = require('../lib/feedly')
+const { DeveloperTokenStrategy } = require('../lib/auth')
+const {
+  FeedlyHTTPError,
+  FeedlyAuthError,
+  FeedlyRateLimitError,
+  FeedlyNetworkError
+} = require('../lib/errors')
+
+test('fromResponse', t => {
+  const res = {
+    method: 'POST',
+    url: 'http://localhost/v3/auth/token?refresh_token=sekrit&client_secret=shh&grant_type=refresh_token',
+    statusCode: 400,
+    headers: { 'x-foo': 'bar' },
+    body: '{"errorCode":400,"errorId":"ap5int-sv2.2018","errorMessage":"invalid refresh token"}'
+  }
+  let er = FeedlyHTTPError.fromResponse(res)
+  t.truthy(er instanceof FeedlyHTTPError)
+  t.false(er instanceof FeedlyAuthError)
+  t.is(er.name, 'FeedlyHTTPError')
+  t.is(er.statusCode, 400)
+  t.is(er.errorCode, 400)
+  t.is(er.errorId, 'ap5int-sv2.2018')
+  t.is(er.errorMessage, 'invalid refresh token')
+  t.is(er.method, 'POST')
+  t.is(er.headers['x-foo'], 'bar')
+  t.falsy(er.url.includes('sekrit'))
+  t.falsy(er.url.includes('shh'))
+  t.falsy(er.message.includes('sekrit'))
+  t.regex(er.url, /grant_type=refresh_token/)
+  t.regex(er.message, /^HTTP error: 400 \(POST .*\): invalid refresh token$/)
+
+  er = FeedlyHTTPError.fromResponse(Object.assign({}, res, {
+    statusCode: 403,
+    body: 'Forbidden'
+  }))
+  t.truthy(er instanceof FeedlyAuthError)
+  t.is(er.body, 'Forbidden')
+  t.is(er.errorCode, undefined)
+
+  er = FeedlyHTTPError.fromResponse(Object.assign({}, res, {
+    statusCode: 429,
+    headers: { 'retry-after': '7' }
+  }))
+  t.truthy(er instanceof FeedlyRateLimitError)
+  t.is(er.retryAfter, 7)
+
+  er = FeedlyHTTPError.fromResponse(Object.assign({}, res, {
+    statusCode: 429,
+    headers: { 'retry-after': new Date(Date.now() + 10000).toUTCString() }
+  }))
+  t.truthy((er.retryAfter > 5) && (er.retryAfter <= 10))
+
+  er = new FeedlyNetworkError(Object.assign(new Error('boom'), {
+    code: 'ECONNREFUSED'
+  }), { method: 'GET', url: res.url })
+  t.is(er.code, 'ECONNREFUSED')
+  t.is(er.cause.message, 'boom')
+  t.falsy(er.message.includes('sekrit'))
+})
+
+test('from requests', async t => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(404, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify({
+      errorCode: 404,
+      errorId: 'xyzzy',
+      errorMessage: 'not found'
+    }))
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  t.teardown(() => server.close())
+  const base = `http://127.0.0.1:${server.address().port}`
+  const f = new Feedly({
+    base,
+    config_file: null,
+    auth: new DeveloperTokenStrategy('dev')
+  })
+  const er = await t.throwsAsync(f.feed('feed/http://example.com/'), {
+    instanceOf: FeedlyHTTPError
+  })
+  t.is(er.statusCode, 404)
+  t.is(er.errorId, 'xyzzy')
+  t.is(er.method, 'GET')
+  t.is(er.url, `${base}/v3/feeds/feed%2Fhttp%3A%2F%2Fexample.com%2F`)
+
+  // Callbacks get the error too
+  await new Promise(resolve => {
+    f.profile(er => {
+      t.truthy(er instanceof FeedlyHTTPError)
+      resolve()
+    })
+  })
+
+  // Find a port that nobody is listening on
+  const closed = http.createServer()
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve))
+  const port = closed.address().port
+  await new Promise(resolve => closed.close(resolve))
+  const g = new Feedly({
+    base: `http://127.0.0.1:${port}`,
+    config_file: null,
+    auth: new DeveloperTokenStrategy('dev')
+  })
+  await t.throwsAsync(g.profile(), {
+    instanceOf: FeedlyNetworkError,
+    code: 'ECONNREFUSED'
+  })
+})
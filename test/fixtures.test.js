@@ -0,0 +1,118 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('ava')
+const Feedly = require('../lib/feedly')
+const MockFeedlyServer = require('../lib/mock')
+const { DeveloperTokenStrategy } = require('../lib/auth')
+const { FeedlyNetworkError } = require('../lib/errors')
+const {
+  createRecordingTransport,
+  createReplayTransport
+} = require('../lib/fixtures')
+
+const FEED = 'feed/https://www.tbray.org/ongoing/ongoing.atom'
+
+test('record and replay', async t => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'feedly-'))
+  t.teardown(() => fs.promises.rm(dir, { recursive: true, force: true }))
+  const file = path.join(dir, 'fixtures', 'feeds.json')
+
+  const mock = new MockFeedlyServer()
+  const base = await mock.listen()
+  t.teardown(() => mock.close())
+
+  const rec = createRecordingTransport(file)
+  const f = new Feedly({
+    client_id: 'sandbox',
+    client_secret: 'very_secret',
+    base,
+    config_file: null,
+    opener: async url => { await fetch(url) },
+    transport: rec
+  })
+  const profile = await f.profile()
+  const page = await f.stream(FEED, { count: 5 })
+  await f.markEntryRead(page.ids[0])
+  const counts = await f.counts()
+  const counts2 = await f.counts()
+  await rec.save()
+
+  const text = await fs.promises.readFile(file, 'utf8')
+  t.false(text.includes('very_secret'))
+  t.false(text.includes(f.state.access_token))
+  t.false(text.includes(f.state.refresh_token))
+  t.true(text.includes('REDACTED'))
+  const { exchanges } = JSON.parse(text)
+  t.is(exchanges[0].request.path, '/v3/auth/token')
+  t.is(exchanges[0].response.body.access_token, 'REDACTED')
+  t.is(exchanges[0].response.headers.date, undefined)
+
+  const replay = createReplayTransport(file)
+  const g = new Feedly({
+    base: 'http://feedly.invalid',
+    config_file: null,
+    auth: new DeveloperTokenStrategy('anything'),
+    transport: replay
+  })
+  // Skip the token exchange
+  await replay({
+    method: 'POST',
+    url: 'http://feedly.invalid/v3/auth/token',
+    body: JSON.stringify(exchanges[0].request.body)
+  })
+  t.deepEqual(await g.profile(), profile)
+  t.deepEqual(await g.stream(FEED, { count: 5 }), page)
+  t.is(await g.markEntryRead(page.ids[0]), null)
+  t.deepEqual(await g.counts(), counts)
+  t.deepEqual(await g.counts(), counts2)
+  t.deepEqual(await replay.unused(), [])
+
+  const er = await t.throwsAsync(g.counts(), {
+    instanceOf: FeedlyNetworkError,
+    code: 'ENOFIXTURE'
+  })
+  t.regex(er.message, /All recorded requests have been used/)
+})
+
+test('replay mismatch', async t => {
+  const replay = createReplayTransport([{
+    request: {
+      method: 'GET',
+      path: '/v3/streams/feed%2Fhttp%3A%2F%2Ffoo/ids',
+      query: { count: '10', ranked: 'newest' },
+      body: null
+    },
+    response: { statusCode: 200, headers: {}, body: { ids: [] } }
+  }, {
+    request: {
+      method: 'POST',
+      path: '/v3/markers',
+      query: {},
+      body: { type: 'entries', entryIds: ['a'], action: 'markAsRead' }
+    },
+    response: { statusCode: 200, headers: {}, body: null }
+  }])
+  const f = new Feedly({
+    base: 'http://feedly.invalid',
+    config_file: null,
+    auth: new DeveloperTokenStrategy('anything'),
+    transport: replay,
+    retry: false
+  })
+  let er = await t.throwsAsync(f.stream('feed/http://foo', {
+    count: 20,
+    ranked: 'newest'
+  }), { code: 'ENOFIXTURE' })
+  t.regex(er.message, /No recorded response for GET \/v3\/streams\/.*count=20/)
+  t.regex(er.message, /request\.query\.count: recorded "10", got "20"/)
+
+  er = await t.throwsAsync(f.markEntryRead('b'), { code: 'ENOFIXTURE' })
+  t.regex(er.message, /request\.body\.entryIds\.0: recorded "a", got "b"/)
+
+  er = await t.throwsAsync(f.profile(), { code: 'ENOFIXTURE' })
+  t.regex(er.message, /Unused recorded requests:\n {2}GET \/v3\/streams/)
+  t.is((await replay.unused()).length, 2)
+})
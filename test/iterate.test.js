@@ -0,0 +1,121 @@
+'use strict'
+
+const os = require('os')
+const path = require('path')
+const test = require('ava')
+const Feedly = require('../lib/feedly')
+
+const STREAM = 'feed/https://www.tbray.org/ongoing/ongoing.atom'
+
+// Thirty entries, newest first, ten seconds apart
+const ENTRIES = Array.from({ length: 30 }, (_, i) => ({
+  id: `entry-${i}`,
+  crawled: 1000000 - (i * 10000)
+}))
+
+async function collect (iter) {
+  const ret = []
+  for await (const x of iter) {
+    ret.push(x)
+  }
+  return ret
+}
+
+// A client whose stream and contents come from ENTRIES, without a server.
+// Continuations are offsets.  If filter is false, newerThan is ignored, like
+// a server that doesn't support it.
+function setup (filter = true) {
+  const f = new Feedly({
+    client_id: 'test',
+    client_secret: 'test',
+    config_file: path.join(os.tmpdir(), 'feedly-iterate-none.json')
+  })
+  f.requests = []
+  function page (id, req) {
+    f.requests.push(req)
+    let all = ENTRIES
+    if (req.ranked === 'oldest') {
+      all = all.slice().reverse()
+    }
+    if (filter && (req.newerThan != null)) {
+      all = all.filter(e => e.crawled > req.newerThan)
+    }
+    const start = Number(req.continuation || 0)
+    const count = req.count || 20
+    const ret = { id, items: all.slice(start, start + count) }
+    if (start + count < all.length) {
+      ret.continuation = String(start + count)
+    }
+    return ret
+  }
+  f.contents = async (id, req) => page(id, req)
+  f.stream = async (id, req) => {
+    const { items, ...rest } = page(id, req)
+    return Object.assign(rest, { ids: items.map(e => e.id) })
+  }
+  return f
+}
+
+test('max and count', async t => {
+  const f = setup()
+  const ids = await collect(f.iterateStream(STREAM, { count: 7 }))
+  t.deepEqual(ids, ENTRIES.map(e => e.id))
+  t.deepEqual(f.requests.map(r => r.count), [7, 7, 7, 7, 7])
+
+  f.requests = []
+  const entries = await collect(f.iterateContents(STREAM, { max: 10 }))
+  t.deepEqual(entries.map(e => e.id), ids.slice(0, 10))
+  // Without count, max is the page size
+  t.deepEqual(f.requests.map(r => r.count), [10])
+
+  f.requests = []
+  t.is((await collect(f.iterateContents(STREAM, { max: 10, count: 4 }))).length,
+    10)
+  // The last page only asks for what is left
+  t.deepEqual(f.requests.map(r => r.count), [4, 4, 2])
+})
+
+test('continuation and onPage', async t => {
+  const f = setup()
+  const seen = []
+  let continuation = null
+  const first = await collect(f.iterateContents(STREAM, {
+    count: 5,
+    max: 10,
+    onPage: page => {
+      seen.push(page.items.length)
+      continuation = page.continuation
+    }
+  }))
+  t.deepEqual(seen, [5, 5])
+  t.is(continuation, '10')
+
+  const rest = await collect(f.iterateContents(STREAM, { continuation }))
+  t.is(rest.length, 20)
+  t.deepEqual(first.concat(rest), ENTRIES)
+})
+
+test('newerThan', async t => {
+  const newerThan = new Date(ENTRIES[4].crawled)
+  const newer = ENTRIES.slice(0, 4).map(e => e.id)
+
+  let f = setup()
+  let got = await collect(f.iterateContents(STREAM, { newerThan }))
+  t.deepEqual(got.map(e => e.id), newer)
+
+  // A server that ignores newerThan: the client stops at the first entry
+  // that isn't newer
+  f = setup(false)
+  got = await collect(f.iterateContents(STREAM, { newerThan, count: 2 }))
+  t.deepEqual(got.map(e => e.id), newer)
+  t.is(f.requests.length, 3)
+
+  // Oldest first, the older entries come first, so the client can't stop
+  // early
+  f = setup()
+  got = await collect(f.iterateContents(STREAM, {
+    newerThan,
+    ranked: 'oldest'
+  }))
+  t.deepEqual(got.map(e => e.id), newer.slice().reverse())
+})
@@ -0,0 +1,124 @@
+'use strict'
+
+const test = require('ava')
+const MockFeedlyServer = require('../lib/mock')
+const { withClient } = require('./_helpers')
+const { FeedlyHTTPError } = require('../lib/errors')
+const {
+  endpoint,
+  createDebugLogger,
+  createTimingCollector
+} = require('../lib/middleware')
+
+const ARS = 'feed/http://feeds.arstechnica.com/arstechnica/index'
+
+test('hooks', async t => {
+  const [mock, f] = await withClient(t, { retry: false })
+  const cache = new Map()
+  const seen = []
+  t.is(f.use({
+    request (req) {
+      req.headers['X-Trace'] = 'abc'
+      if (cache.has(req.url)) {
+        return { body: cache.get(req.url) }
+      }
+    },
+    async response (req, res) {
+      seen.push(res.statusCode)
+      if (res.statusCode === 200) {
+        cache.set(req.url, res.body)
+      }
+    },
+    error (req, er) {
+      if (er.statusCode === 503) {
+        return { body: 'stale' }
+      }
+    }
+  }), f)
+
+  const profile = await f.profile()
+  t.is(mock.requests.length, 1)
+  t.deepEqual(await f.profile(), profile)
+  // Answered from the cache
+  t.is(mock.requests.length, 1)
+  t.deepEqual(seen, [200, 200])
+
+  mock.fail({ path: '/v3/categories', statusCode: 503 })
+  t.is(await f.categories(), 'stale')
+  mock.fail({ path: '/v3/categories', statusCode: 400 })
+  await t.throwsAsync(f.categories(), { instanceOf: FeedlyHTTPError })
+  t.deepEqual(seen, [200, 200, 503, 400])
+
+  f.use({
+    response: (req, res) => Object.assign({}, res, { body: { replaced: true } })
+  })
+  t.deepEqual(await f.preferences(), { replaced: true })
+
+  t.throws(() => f.use(null), { instanceOf: TypeError })
+})
+
+test('only responses short-circuit', async t => {
+  const [mock, f] = await withClient(t, { retry: false })
+  f.use({
+    // Returns 'y', which is not a response
+    request: req => (req.headers['X-Y'] = 'y'),
+    response: (req, res) => (res.headers['x-seen'] = true)
+  })
+  const profile = await f.profile()
+  t.is(profile.id, MockFeedlyServer.USER_ID)
+  t.is(mock.requests.length, 1)
+
+  // The logger never saw the request start, so there is no time
+  const [, g] = await withClient(t, { retry: false })
+  const lines = []
+  g.use({ request: () => ({ statusCode: 200, body: { cached: true } }) })
+  g.use(createDebugLogger({ log: l => lines.push(l) }))
+  t.deepEqual(await g.profile(), { cached: true })
+  t.is(lines.length, 1)
+  t.regex(lines[0], /^feedly < 200 GET .*\/v3\/profile$/)
+})
+
+test('debug logger', async t => {
+  const [mock, f] = await withClient(t, { retry: false })
+  const lines = []
+  f.use(createDebugLogger({ log: l => lines.push(l), bodies: true }))
+  await f.markEntryRead('e1')
+  mock.fail({ path: '/v3/profile', statusCode: 500 })
+  await t.throwsAsync(f.profile())
+  t.is(lines.length, 5)
+  t.regex(lines[0], /^feedly > POST http:\/\/127\.0\.0\.1:\d+\/v3\/markers {"Authorization":"REDACTED"} {"entryIds":\["e1"\]/)
+  t.regex(lines[1], /^feedly < 200 POST .*\/v3\/markers \d+ms$/)
+  t.regex(lines[3], /^feedly < 500 GET .*\/v3\/profile \d+ms {"errorCode":500/)
+  t.regex(lines[4], /^feedly ! GET .*\/v3\/profile \d+ms: HTTP error: 500/)
+  t.false(lines.some(l => l.includes('dev')))
+})
+
+test('timing collector', async t => {
+  const [mock, f] = await withClient(t, { retry: false })
+  const timing = createTimingCollector()
+  f.use(timing)
+  await f.contents(ARS)
+  await f.contents('user/-/category/tech')
+  mock.fail({ path: /contents/, statusCode: 404 })
+  await t.throwsAsync(f.contents(ARS))
+  await f.entry([])
+  await f.feed(ARS)
+
+  const report = timing.report()
+  t.deepEqual(Object.keys(report), [
+    'GET /v3/streams/:id/contents',
+    'GET /v3/feeds/:id'
+  ])
+  const c = report['GET /v3/streams/:id/contents']
+  t.is(c.count, 3)
+  t.is(c.errors, 1)
+  t.true(c.min <= c.mean)
+  t.true(c.mean <= c.max)
+  timing.reset()
+  t.deepEqual(timing.report(), {})
+
+  t.is(endpoint({ method: 'POST', url: 'http://x/v3/entries/.mget' }),
+    'POST /v3/entries/.mget')
+  t.is(endpoint({ method: 'DELETE', url: 'http://x/v3/tags/user%2F1%2Ftag%2Fa/e1,e2' }),
+    'DELETE /v3/tags/:id/:id')
+})
@@ -0,0 +1,172 @@
+'use strict'
+
+const test = require('ava')
+const Feedly = require('../lib/feedly')
+const MockFeedlyServer = require('../lib/mock')
+const { DeveloperTokenStrategy } = require('../lib/auth')
+const { FeedlyAuthError, FeedlyHTTPError } = require('../lib/errors')
+
+const FEED = 'feed/https://www.tbray.org/ongoing/ongoing.atom'
+const ARS = 'feed/http://feeds.arstechnica.com/arstechnica/index'
+
+async function server (t, options) {
+  const mock = new MockFeedlyServer(options)
+  await mock.listen()
+  t.teardown(() => mock.close())
+  return mock
+}
+
+function dev (mock, opts) {
+  return new Feedly(Object.assign({
+    base: mock.base,
+    config_file: null,
+    auth: new DeveloperTokenStrategy({
+      token: 'dev',
+      userId: MockFeedlyServer.USER_ID
+    }),
+    retry: false
+  }, opts))
+}
+
+test('oauth', async t => {
+  const mock = await server(t, {
+    client_id: 'sandbox',
+    client_secret: 'shh'
+  })
+  const f = new Feedly({
+    base: mock.base,
+    client_id: 'sandbox',
+    client_secret: 'shh',
+    config_file: null,
+    pkce: true,
+    opener: async url => { await fetch(url) }
+  })
+  await f.ready
+  const profile = await f.profile()
+  t.is(profile.id, MockFeedlyServer.USER_ID)
+  t.is(f.state.id, MockFeedlyServer.USER_ID)
+  const old = f.state.access_token
+  await f.refresh()
+  t.not(f.state.access_token, old)
+  await f.logout()
+
+  // Revoked
+  const g = dev(mock, {
+    auth: new DeveloperTokenStrategy(old)
+  })
+  await t.throwsAsync(g.profile(), { instanceOf: FeedlyAuthError })
+
+  const bad = new Feedly({
+    base: mock.base,
+    client_id: 'sandbox',
+    client_secret: 'wrong',
+    config_file: null,
+    opener: async url => { await fetch(url) }
+  })
+  await t.throwsAsync(bad.profile(), { message: /401/ })
+})
+
+test('auth error', async t => {
+  const mock = await server(t, { auth_error: 'access_denied' })
+  const f = new Feedly({
+    base: mock.base,
+    client_id: 'sandbox',
+    client_secret: 'shh',
+    config_file: null,
+    opener: async url => { await fetch(url) }
+  })
+  await t.throwsAsync(f.profile(), { message: /access_denied/ })
+})
+
+test('tokens', async t => {
+  const mock = await server(t, { tokens: ['dev'] })
+  const f = dev(mock)
+  t.is((await f.profile()).fullName, 'Mock User')
+  const g = dev(mock, { auth: new DeveloperTokenStrategy('nope') })
+  await t.throwsAsync(g.profile(), { instanceOf: FeedlyAuthError })
+  t.is(mock.requests.length, 2)
+  t.is(mock.requests[0].path, '/v3/profile')
+})
+
+test('streams', async t => {
+  const mock = await server(t, { tokens: ['dev'] })
+  const f = dev(mock)
+  const ids = []
+  for await (const id of f.iterateStream(FEED, { count: 7 })) {
+    ids.push(id)
+  }
+  t.is(ids.length, 30)
+  t.is(new Set(ids).size, 30)
+
+  const page = await f.contents(FEED)
+  t.is(page.items.length, 20)
+  t.is(page.title, 'ongoing by Tim Bray')
+  t.truthy(page.items[0].crawled > page.items[1].crawled)
+
+  const all = await f.stream('user/-/category/global.all', { count: 100 })
+  t.is(all.ids.length, 20)
+  const tech = await f.stream('user/-/category/tech', { count: 100 })
+  t.is(tech.ids.length, 20)
+  const hobbies = await f.stream('user/-/category/hobbies', { count: 100 })
+  t.is(hobbies.ids.length, 8)
+
+  await f.markCategoryRead('hobbies')
+  const unread = await f.stream('user/-/category/global.all', {
+    count: 100,
+    unreadOnly: true
+  })
+  t.is(unread.ids.length, 12)
+  const counts = await f.counts()
+  const c = counts.unreadcounts.find(u => u.id === ARS)
+  t.is(c.count, 12)
+})
+
+test('markers', async t => {
+  const mock = await server(t, { tokens: ['dev'] })
+  const f = dev(mock)
+  const start = new Date(Date.now() - 1)
+  const { ids } = await f.stream(ARS)
+  await f.markEntryRead(ids.slice(0, 3))
+  await f.markEntryUnread(ids[0])
+  await f.markFeedRead(FEED)
+  let reads = await f.reads(start)
+  t.deepEqual(reads.entries, ids.slice(1, 3))
+  t.deepEqual(reads.unread, [ids[0]])
+  t.is(reads.feeds[0].id, FEED)
+
+  await f.tagEntry(ids[1], 'foo')
+  await f.tagEntry(ids.slice(2, 4), ['bar', 'global.saved'])
+  const tagged = await f.tags(start)
+  const uid = MockFeedlyServer.USER_ID
+  t.deepEqual(tagged.taggedEntries[`user/${uid}/tag/foo`], [ids[1]])
+  t.deepEqual(tagged.taggedEntries[`user/${uid}/tag/bar`], ids.slice(2, 4))
+  const saved = await f.stream('user/-/tag/global.saved')
+  t.deepEqual(saved.ids.sort(), ids.slice(2, 4).sort())
+  await f.untagEntries(ids[2], 'bar')
+  const bar = await f.stream('user/-/tag/bar')
+  t.deepEqual(bar.ids, [ids[3]])
+
+  mock.reset()
+  reads = await f.reads(start)
+  t.deepEqual(reads.entries, [])
+})
+
+test('failures', async t => {
+  const mock = await server(t, { tokens: ['dev'] })
+  const f = dev(mock, { retry: { minDelay: 1 } })
+  mock.fail({ path: '/v3/profile', statusCode: 503, times: 2 })
+  t.truthy(await f.profile())
+  t.is(mock.requests.length, 3)
+
+  mock.fail({ method: 'GET', path: /^\/v3\/pref/, statusCode: 404 })
+  const er = await t.throwsAsync(f.preferences(), {
+    instanceOf: FeedlyHTTPError
+  })
+  t.is(er.statusCode, 404)
+  t.is(er.errorMessage, 'Injected failure')
+  t.truthy(await f.preferences())
+  t.is(f.rateLimit.limit, 10000)
+  t.is(f.rateLimit.count, 5)
+
+  await t.throwsAsync(f.entry('nope'), { message: /Unknown entry/ })
+})
@@ -0,0 +1,130 @@
+'use strict'
+
+const test = require('ava')
+const { withClient } = require('./_helpers')
+const {
+  Entry,
+  Feed,
+  Subscription,
+  Category,
+  Tag
+} = require('../lib/models')
+
+const ARS = 'feed/http://feeds.arstechnica.com/arstechnica/index'
+const TBRAY = 'feed/https://www.tbray.org/ongoing/ongoing.atom'
+
+function setup (t, models = true) {
+  return withClient(t, { models })
+}
+
+test('entries', async t => {
+  const [mock, f] = await setup(t)
+  const page = await f.contents(ARS, { count: 2 })
+  const [e] = page.items
+  t.true(e instanceof Entry)
+  t.true(e.crawledAt instanceof Date)
+  t.is(e.crawledAt.getTime(), e.crawled)
+  t.is(e.feedId, ARS)
+  t.is(typeof e.url, 'string')
+  t.false(e.isRead)
+  // Serializes as the plain object
+  t.false('feedly' in JSON.parse(JSON.stringify(e)))
+
+  await e.markRead()
+  t.true(e.isRead)
+  t.false(mock.data.entries[e.id].unread)
+  await e.markUnread()
+  t.true(mock.data.entries[e.id].unread)
+
+  await e.tag(['later', 'work'])
+  t.deepEqual(e.tagLabels, ['later', 'work'])
+  await e.untag('later')
+  t.deepEqual(e.tagLabels, ['work'])
+  const [fetched] = await f.entry([e.id])
+  t.true(fetched instanceof Entry)
+  t.deepEqual(fetched.tagLabels, ['work'])
+
+  const feed = await e.feed()
+  t.true(feed instanceof Feed)
+  t.is(feed.url, 'http://feeds.arstechnica.com/arstechnica/index')
+
+  t.is(new Entry(f, {
+    alternate: [
+      { href: 'http://a/feed', type: 'application/rss+xml' },
+      { href: 'http://a/post', type: 'text/html' }
+    ]
+  }).url, 'http://a/post')
+  t.is(new Entry(f, { canonicalUrl: 'http://c/' }).url, 'http://c/')
+  t.is(new Entry(f, {}).url, null)
+  t.is(new Entry(f, {}).publishedAt, null)
+})
+
+test('subscriptions, categories and tags', async t => {
+  const [mock, f] = await setup(t)
+  const tbray = await f.feed(TBRAY)
+  t.true(tbray instanceof Feed)
+  const [sub] = await tbray.subscribe('reading')
+  t.true(sub instanceof Subscription)
+
+  const subs = await f.subscriptions()
+  t.true(subs.every(s => s instanceof Subscription))
+  const ars = subs.find(s => s.id === ARS)
+  t.deepEqual(ars.categoryLabels, ['tech'])
+  await ars.update({ categories: ['news'] })
+  const updated = (await f.subscriptions()).find(s => s.id === ARS)
+  t.deepEqual(updated.categoryLabels, ['news'])
+  await ars.markRead()
+  t.true((await ars.contents({ unreadOnly: true })).items.length === 0)
+  await ars.unsubscribe()
+  t.is(mock.data.subscriptions[ARS], undefined)
+
+  const cats = await f.categories()
+  t.true(cats.every(c => c instanceof Category))
+  const hobbies = cats.find(c => c.label === 'hobbies')
+  t.is((await hobbies.contents()).items.length, 8)
+  await hobbies.setLabel('Fun')
+  t.is(hobbies.label, 'Fun')
+  await hobbies.markRead()
+  await hobbies.delete()
+  t.false((await f.categories()).some(c => c.id === hobbies.id))
+
+  const tags = await f.userTags()
+  t.true(tags.every(x => x instanceof Tag))
+  const saved = tags.find(x => x.id.endsWith('global.saved'))
+  t.truthy(saved)
+  t.is((await saved.contents()).items.length, 0)
+})
+
+test('fields with accessor names', async t => {
+  const [mock, f] = await setup(t)
+  // As Feedly sends them
+  Object.assign(mock.data.feeds[ARS], {
+    feedId: ARS,
+    url: 'https://feeds.arstechnica.com/arstechnica/index/'
+  })
+  const feed = await f.feed(ARS)
+  t.true(feed instanceof Feed)
+  t.is(feed.url, 'https://feeds.arstechnica.com/arstechnica/index/')
+  t.is(JSON.parse(JSON.stringify(feed)).feedId, ARS)
+
+  const e = new Entry(f, {
+    id: 'e1',
+    feedId: ARS,
+    url: 'http://a/post',
+    publishedAt: 1000,
+    unread: true
+  })
+  t.is(e.feedId, ARS)
+  t.is(e.url, 'http://a/post')
+  t.is(e.publishedAt, 1000)
+  e.unread = false
+  t.true(e.isRead)
+})
+
+test('off by default', async t => {
+  const [, f] = await setup(t, false)
+  const page = await f.contents(ARS, { count: 1 })
+  t.false(page.items[0] instanceof Entry)
+  const [cat] = await f.categories()
+  t.is(Object.getPrototypeOf(cat), Object.prototype)
+})
@@ -0,0 +1,139 @@
+'use strict'
+
+const test = require('ava')
+const { withClient } = require('./_helpers')
+const { FeedlyHTTPError } = require('../lib/errors')
+const { parseOPML, opmlFeeds, buildOPML } = require('../lib/opml')
+
+const OPML = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- exported from somewhere -->
+<opml version="1.0">
+  <head>
+    <title>My &amp; Feeds</title>
+  </head>
+  <body>
+    <outline text="Tech" title="Tech">
+      <outline type="rss" text="Ars" title="Ars Technica"
+        xmlUrl="http://feeds.arstechnica.com/arstechnica/index"
+        htmlUrl="https://arstechnica.com"/>
+      <outline text="Languages">
+        <outline type="rss" text='Rust &lt;blog&gt;' xmlUrl="https://blog.rust-lang.org/feed.xml"/>
+      </outline>
+    </outline>
+    <outline text="News">
+      <outline type="rss" text="Example" xmlUrl="https://example.com/feed?a=1&amp;b=2"/>
+      <outline type="rss" text="Ars" xmlUrl="http://feeds.arstechnica.com/arstechnica/index"/>
+    </outline>
+    <outline type="rss" text="Loose" xmlUrl="https://loose.example/rss" category="/Misc,/Other"/>
+  </body>
+</opml>
+`
+
+test('parse', t => {
+  const doc = parseOPML(OPML)
+  t.is(doc.title, 'My & Feeds')
+  t.is(doc.outlines.length, 3)
+  t.is(doc.outlines[0].children[1].children[0].text, 'Rust <blog>')
+  const feeds = opmlFeeds(doc.outlines)
+  t.deepEqual(feeds, [{
+    url: 'http://feeds.arstechnica.com/arstechnica/index',
+    title: 'Ars Technica',
+    htmlUrl: 'https://arstechnica.com',
+    categories: ['Tech', 'News']
+  }, {
+    url: 'https://blog.rust-lang.org/feed.xml',
+    title: 'Rust <blog>',
+    htmlUrl: null,
+    categories: ['Languages']
+  }, {
+    url: 'https://example.com/feed?a=1&b=2',
+    title: 'Example',
+    htmlUrl: null,
+    categories: ['News']
+  }, {
+    url: 'https://loose.example/rss',
+    title: 'Loose',
+    htmlUrl: null,
+    categories: ['Misc', 'Other']
+  }])
+
+  t.throws(() => parseOPML('<rss></rss>'), { message: /root element is <rss>/ })
+  t.throws(() => parseOPML('<opml><body>'), { message: /unclosed <body>/ })
+  t.throws(() => parseOPML('<opml></body></opml>'), {
+    message: /unexpected <\/body>/
+  })
+  t.throws(() => parseOPML(''), { message: /no <opml> element/ })
+  t.throws(() => parseOPML(null), { instanceOf: TypeError })
+})
+
+test('build', t => {
+  const xml = buildOPML([{
+    id: 'feed/http://a/?x=1&y=2',
+    title: 'A "quoted" <feed>',
+    website: 'http://a/',
+    categories: [{ id: 'user/1/category/x', label: 'X' }]
+  }, {
+    id: 'feed/http://b/',
+    categories: [
+      { id: 'user/1/category/x', label: 'X' },
+      { id: 'user/1/category/y', label: 'Y' }
+    ]
+  }, {
+    id: 'feed/http://c/',
+    title: 'C'
+  }], { title: 'Mine', date: new Date(0) })
+  t.regex(xml, /<dateCreated>Thu, 01 Jan 1970 00:00:00 GMT<\/dateCreated>/)
+  t.regex(xml, /title="A &quot;quoted&quot; &lt;feed&gt;" xmlUrl="http:\/\/a\/\?x=1&amp;y=2" htmlUrl="http:\/\/a\/"/)
+
+  // Round trip
+  const doc = parseOPML(xml)
+  t.is(doc.title, 'Mine')
+  t.deepEqual(opmlFeeds(doc.outlines).map(f => [f.url, f.title, f.categories]), [
+    ['http://a/?x=1&y=2', 'A "quoted" <feed>', ['X']],
+    ['http://b/', 'http://b/', ['X', 'Y']],
+    ['http://c/', 'C', []]
+  ])
+})
+
+test('import and export', async t => {
+  const [mock, f] = await withClient(t)
+
+  let results = await f.importOPML(OPML, {
+    dryRun: true,
+    categoryMapping: { Languages: 'Programming', Other: null }
+  })
+  t.deepEqual(results.map(r => [r.id, r.status, r.categories]), [
+    ['feed/http://feeds.arstechnica.com/arstechnica/index', 'skipped', ['Tech', 'News']],
+    ['feed/https://blog.rust-lang.org/feed.xml', 'planned', ['Programming']],
+    ['feed/https://example.com/feed?a=1&b=2', 'planned', ['News']],
+    ['feed/https://loose.example/rss', 'planned', ['Misc']]
+  ])
+  t.is((await f.subscriptions()).length, 2)
+
+  mock.fail({ method: 'POST', path: '/v3/subscriptions', statusCode: 400 })
+  results = await f.importOPML(OPML, {
+    categoryMapping: l => l.toLowerCase()
+  })
+  t.deepEqual(results.map(r => r.status),
+    ['skipped', 'failed', 'subscribed', 'subscribed'])
+  t.true(results[1].error instanceof FeedlyHTTPError)
+
+  const subs = await f.subscriptions()
+  t.is(subs.length, 4)
+  const ex = subs.find(s => s.id === 'feed/https://example.com/feed?a=1&b=2')
+  t.is(ex.title, 'Example')
+  t.deepEqual(ex.categories.map(c => c.label), ['news'])
+
+  const xml = await new Promise((resolve, reject) => {
+    f.exportOPML((er, x) => er ? reject(er) : resolve(x))
+  })
+  const exported = opmlFeeds(parseOPML(xml).outlines)
+  t.is(exported.length, 4)
+  t.deepEqual(
+    exported.find(e => e.url === 'https://blog.arduino.cc/feed/').categories,
+    ['tech', 'hobbies'])
+
+  // Importing our own export changes nothing
+  results = await f.importOPML(xml)
+  t.true(results.every(r => r.status === 'skipped'))
+})
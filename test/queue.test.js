@@ -0,0 +1,150 @@
+'use strict'
+
+const test = require('ava')
+const FeedlyWriteQueue = require('../lib/queue')
+const MockFeedlyServer = require('../lib/mock')
+const { withClient } = require('./_helpers')
+const { MemoryTokenStore } = require('../lib/stores')
+
+const ARS = 'feed/http://feeds.arstechnica.com/arstechnica/index'
+
+async function setup (t) {
+  const [mock, f] = await withClient(t, { retry: false })
+  const ids = (await f.stream(ARS)).ids
+  return [mock, f, ids]
+}
+
+function writes (mock, from) {
+  return mock.requests.slice(from)
+    .filter(r => r.method !== 'GET')
+    .map(r => [r.method, decodeURIComponent(r.path), r.body])
+}
+
+test('coalescing', async t => {
+  const [mock, f, ids] = await setup(t)
+  const q = new FeedlyWriteQueue(f, {
+    store: new MemoryTokenStore(),
+    autoFlush: false
+  })
+  const counts = []
+  q.on('pending', n => counts.push(n))
+
+  await q.markEntryRead([ids[0], ids[1], ids[2]])
+  await q.markEntryRead(ids[3])
+  await q.markEntryUnread(ids[1])
+  await q.markEntryUnread(ids[4])
+  await q.tagEntry([ids[0], ids[1]], ['later', 'user/-/tag/work'])
+  await q.untagEntries(ids[1], 'later')
+  await q.markEntryRead(ids[4])
+  await q.markFeedRead(ARS, new Date(1000))
+  await q.markEntryRead(ids[5])
+  t.is(q.pending, 8)
+  t.deepEqual(counts, [3, 4, 3, 4, 8, 7, 6, 7, 8])
+
+  const before = mock.requests.length
+  const res = await q.flush()
+  t.deepEqual(res, { sent: 8, pending: 0, error: null })
+  const user = MockFeedlyServer.USER_ID
+  t.deepEqual(writes(mock, before), [
+    ['POST', '/v3/markers', {
+      entryIds: [ids[0], ids[2], ids[3]],
+      type: 'entries',
+      action: 'markAsRead'
+    }],
+    ['PUT', `/v3/tags/user/${user}/tag/later`, { entryIds: [ids[0]] }],
+    ['PUT', `/v3/tags/user/${user}/tag/work`, {
+      entryIds: [ids[0], ids[1]]
+    }],
+    ['POST', '/v3/markers', {
+      feedIds: [ARS],
+      type: 'feeds',
+      action: 'markAsRead',
+      asOf: 1000
+    }],
+    ['POST', '/v3/markers', {
+      entryIds: [ids[5]],
+      type: 'entries',
+      action: 'markAsRead'
+    }]
+  ])
+  t.is(q.pending, 0)
+  t.is(await q.store.get(), null)
+})
+
+test('retries and drops', async t => {
+  const [mock, f, ids] = await setup(t)
+  const store = new MemoryTokenStore()
+  const q = new FeedlyWriteQueue(f, {
+    store,
+    retryInterval: 10,
+    unref: true
+  })
+  t.teardown(() => q.stop())
+
+  mock.fail({ method: 'POST', path: '/v3/markers', statusCode: 503, times: 2 })
+  const flushes = []
+  const flushed = new Promise(resolve => {
+    q.on('flush', res => {
+      flushes.push(res)
+      if (res.error == null) {
+        resolve()
+      }
+    })
+  })
+  await q.markEntryRead(ids[0])
+  // Saved before it was sent
+  t.is((await store.get()).ops.length, 1)
+  await flushed
+  t.is(flushes.length, 3)
+  t.is(flushes[0].error.statusCode, 503)
+  t.is(flushes[0].pending, 1)
+  t.deepEqual(flushes[2], { sent: 1, pending: 0, error: null })
+  t.is(q.failures, 0)
+  t.false(mock.data.entries[ids[0]].unread)
+
+  // A new instance picks up saved changes
+  q.stop()
+  mock.fail({ method: 'PUT', statusCode: 400 })
+  const q2 = new FeedlyWriteQueue(f, { store, autoFlush: false })
+  await q2.tagEntry(ids[1], 'later')
+  const q3 = new FeedlyWriteQueue(f, { store, autoFlush: false })
+  await q3.load()
+  t.is(q3.pending, 1)
+  const dropped = []
+  q3.on('dropped', (change, er) => dropped.push([change, er.statusCode]))
+  t.deepEqual(await q3.flush(), { sent: 0, pending: 0, error: null })
+  t.deepEqual(dropped, [[{
+    action: 'tag',
+    type: 'entries',
+    ids: [ids[1]],
+    tag: 'user/-/tag/later'
+  }, 400]])
+
+  t.throws(() => new FeedlyWriteQueue(), { instanceOf: TypeError })
+})
+
+test('store failures', async t => {
+  const [, f, ids] = await setup(t)
+  const store = new MemoryTokenStore()
+  const set = store.set.bind(store)
+  let sets = 0
+  store.set = async state => {
+    // The first save works, and the ones during the flush fail
+    if (++sets > 1) {
+      throw new Error('disk full')
+    }
+    return set(state)
+  }
+  const q = new FeedlyWriteQueue(f, { store, unref: true })
+  t.teardown(() => q.stop())
+  const flushed = new Promise(resolve => q.once('flush', resolve))
+  await q.markEntryRead(ids[0])
+  const res = await flushed
+  t.is(res.error.message, 'disk full')
+  t.is(res.sent, 0)
+
+  // Later saves still work once the store does
+  store.set = set
+  await q.markEntryUnread(ids[1])
+  t.truthy(await store.get())
+})
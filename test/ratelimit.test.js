@@ -0,0 +1,111 @@
+'use strict'
+
+const http = require('http')
+const test = require('ava')
+const Feedly = require('../lib/feedly')
+const { DeveloperTokenStrategy } = require('../lib/auth')
+const { FeedlyHTTPError, FeedlyRateLimitError } = require('../lib/errors')
+const { parseRateLimit, RetryPolicy } = require('../lib/ratelimit')
+
+function err (statusCode, headers = {}) {
+  return FeedlyHTTPError.fromResponse({
+    method: 'GET',
+    url: 'http://localhost/v3/profile',
+    statusCode,
+    headers
+  })
+}
+
+test('parseRateLimit', t => {
+  t.is(parseRateLimit(null), null)
+  t.is(parseRateLimit({}), null)
+  const rl = parseRateLimit({
+    'x-ratelimit-count': '95',
+    'x-ratelimit-limit': '100',
+    'x-ratelimit-reset': '60'
+  })
+  t.is(rl.count, 95)
+  t.is(rl.limit, 100)
+  t.is(rl.remaining, 5)
+  t.truthy(rl.reset > new Date())
+})
+
+test('RetryPolicy delay', t => {
+  const p = new RetryPolicy({ minDelay: 100, maxDelay: 1000 })
+  t.is(p.delay('GET', err(404), 0), -1)
+  t.is(p.delay('POST', err(503), 0), -1)
+  t.is(p.delay('GET', new Error('foo'), 0), -1)
+  t.is(p.delay('GET', err(503), 3), -1)
+  for (let i = 0; i < 3; i++) {
+    const d = p.delay('get', err(503), i)
+    const backoff = 100 * (2 ** i)
+    t.truthy((d >= backoff / 2) && (d <= backoff), `${d}`)
+  }
+  t.is(p.delay('PUT', err(429, { 'retry-after': '0.5' }), 0), 500)
+  t.is(p.delay('GET', err(503, { 'retry-after': '1' }), 0), 1000)
+  t.is(p.delay('GET', err(429, { 'retry-after': '2' }), 0), -1)
+
+  const q = new RetryPolicy({ statusCodes: [404], methods: ['POST'] })
+  t.truthy(q.delay('POST', err(404), 0) > 0)
+  t.is(q.delay('POST', err(503), 0), -1)
+})
+
+test('retries and rate limits', async t => {
+  let count = 0
+  let fail = 2
+  const server = http.createServer((req, res) => {
+    count++
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-RateLimit-Count': String(count + 7),
+      'X-RateLimit-Limit': '10',
+      'X-RateLimit-Reset': '100'
+    }
+    if ((req.method === 'GET') && (fail-- > 0)) {
+      headers['Retry-After'] = '0'
+      res.writeHead(429, headers)
+      res.end('{"errorCode":429,"errorMessage":"slow down"}')
+      return
+    }
+    res.writeHead((req.method === 'GET') ? 200 : 503, headers)
+    res.end('{}')
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  t.teardown(() => server.close())
+
+  const f = new Feedly({
+    base: `http://127.0.0.1:${server.address().port}`,
+    config_file: null,
+    auth: new DeveloperTokenStrategy('dev'),
+    retry: { minDelay: 1 }
+  })
+  t.is(f.rateLimit, null)
+  const retries = []
+  const warnings = []
+  f.on('retry', info => retries.push(info))
+  f.on('rateLimit', info => warnings.push(info))
+
+  t.deepEqual(await f.profile(), {})
+  t.is(count, 3)
+  t.deepEqual(retries.map(r => r.attempt), [1, 2])
+  t.truthy(retries[0].error instanceof FeedlyRateLimitError)
+  t.is(f.rateLimit.count, 10)
+  t.is(f.rateLimit.remaining, 0)
+  t.is(warnings.length, 1)
+  t.is(warnings[0].count, 9)
+
+  // Not idempotent
+  await t.throwsAsync(f.updateProfile({}), { instanceOf: FeedlyHTTPError })
+  t.is(count, 4)
+  t.is(retries.length, 2)
+  t.is(warnings.length, 1)
+
+  fail = 2
+  const g = new Feedly({
+    base: `http://127.0.0.1:${server.address().port}`,
+    config_file: null,
+    auth: new DeveloperTokenStrategy('dev'),
+    retry: false
+  })
+  await t.throwsAsync(g.profile(), { instanceOf: FeedlyRateLimitError })
+})
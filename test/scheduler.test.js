@@ -0,0 +1,99 @@
+'use strict'
+
+const test = require('ava')
+const Feedly = require('../lib/feedly')
+const { withClient } = require('./_helpers')
+const RequestScheduler = require('../lib/scheduler')
+const { DeveloperTokenStrategy } = require('../lib/auth')
+
+function tick () {
+  return new Promise(resolve => setImmediate(resolve))
+}
+
+function deferred () {
+  let resolve = null
+  const promise = new Promise(_resolve => { resolve = _resolve })
+  return { promise, resolve }
+}
+
+test('concurrency and lanes', async t => {
+  const s = new RequestScheduler({ maxConcurrent: 2, maxBackground: 1 })
+  const order = []
+  const gates = []
+  const job = name => () => {
+    order.push(name)
+    const d = deferred()
+    gates.push(d)
+    return d.promise.then(() => name)
+  }
+
+  const b1 = s.run('background', job('b1'))
+  const b2 = s.run('background', job('b2'))
+  const f1 = s.run('foreground', job('f1'))
+  const f2 = s.run('foreground', job('f2'))
+  const f3 = s.run('foreground', job('f3'))
+  await tick()
+  // b2 waits for maxBackground, f2 and f3 for maxConcurrent
+  t.deepEqual(order, ['b1', 'f1'])
+  t.is(s.active, 2)
+  t.deepEqual(s.queued, { foreground: 2, background: 1 })
+
+  // Foreground goes first
+  gates[0].resolve()
+  t.is(await b1, 'b1')
+  await tick()
+  t.deepEqual(order, ['b1', 'f1', 'f2'])
+  gates[1].resolve()
+  gates[2].resolve()
+  t.deepEqual(await Promise.all([f1, f2]), ['f1', 'f2'])
+  await tick()
+  t.deepEqual(order, ['b1', 'f1', 'f2', 'f3', 'b2'])
+  gates[3].resolve()
+  gates[4].resolve()
+  t.deepEqual(await Promise.all([f3, b2]), ['f3', 'b2'])
+  t.is(s.active, 0)
+  t.is(s.stats.foreground.started, 3)
+  t.is(s.stats.background.started, 2)
+  t.true(s.stats.background.waitMax >= 0)
+
+  await t.throwsAsync(s.run('sideways', job('x')), { instanceOf: TypeError })
+  await t.throwsAsync(s.run('foreground', () => {
+    throw new Error('boom')
+  }), { message: 'boom' })
+  t.is(s.active, 0)
+})
+
+test('per second', async t => {
+  const s = new RequestScheduler({ perSecond: 2 })
+  const starts = []
+  s.on('start', info => starts.push(info))
+  const t0 = Date.now()
+  await Promise.all([1, 2, 3].map(i => s.run('foreground', async () => i)))
+  t.true(Date.now() - t0 >= 900)
+  t.is(starts.length, 3)
+  t.true(starts[2].wait >= 900)
+})
+
+test('feedly requests', async t => {
+  const [, f] = await withClient(t, {
+    scheduler: { maxConcurrent: 1 }
+  })
+  const starts = []
+  f.scheduler.on('start', info => starts.push(info))
+
+  await Promise.all([
+    f.counts(true),
+    f.background(() => f.subscriptions()),
+    f.profile(),
+    f.categories()
+  ])
+  t.deepEqual(starts.map(s => s.priority),
+    ['background', 'foreground', 'foreground', 'background'])
+  t.true(starts.every(s => s.active === 1))
+
+  const auth = new DeveloperTokenStrategy('dev')
+  const g = new Feedly({ scheduler: false, config_file: null, auth })
+  t.is(g.scheduler.options.maxConcurrent, Infinity)
+  const h = new Feedly({ scheduler: f.scheduler, config_file: null, auth })
+  t.is(h.scheduler, f.scheduler)
+})
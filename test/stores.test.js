@@ -0,0 +1,171 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('ava')
+const Feedly = require('../lib/feedly')
+const {
+  FileTokenStore,
+  MemoryTokenStore,
+  EnvTokenStore
+} = require('../lib/stores')
+
+const STATE = {
+  id: 'user-1234',
+  access_token: 'access',
+  refresh_token: 'refresh',
+  expires: new Date(Date.now() + 100000)
+}
+
+test('file store', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedly-'))
+  const file = path.join(dir, 'config.json')
+  const s = new FileTokenStore(file)
+  t.is(await s.get(), null)
+  await s.set(STATE)
+  const st = await s.get()
+  t.is(st.access_token, STATE.access_token)
+  t.is(st.expires, STATE.expires.toISOString())
+  await s.delete()
+  t.is(await s.get(), null)
+  await s.delete()
+  fs.rmdirSync(dir)
+
+  t.throws(() => new FileTokenStore())
+  t.is(new FileTokenStore('~/foo').file, path.join(os.homedir(), 'foo'))
+})
+
+test('encrypted file store', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedly-'))
+  const file = path.join(dir, 'config.json')
+
+  // plaintext, then migrate
+  fs.writeFileSync(file, JSON.stringify({ access_token: 'plain' }))
+  const s = new FileTokenStore(file, { passphrase: 'sekrit' })
+  t.truthy(s.encrypted)
+  t.deepEqual(await s.get(), { access_token: 'plain' })
+  let raw = fs.readFileSync(file, 'utf8')
+  t.falsy(raw.includes('plain'))
+  t.is(JSON.parse(raw).kdf, 'scrypt')
+  t.is(fs.statSync(file).mode & 0o777, 0o600)
+  t.deepEqual(await s.get(), { access_token: 'plain' })
+
+  await t.throwsAsync(new FileTokenStore(file).get(), {
+    message: /is encrypted/
+  })
+  await t.throwsAsync(new FileTokenStore(file, { passphrase: 'wrong' }).get(), {
+    message: /Unable to decrypt/
+  })
+
+  const key = Buffer.alloc(32, 7)
+  const k = new FileTokenStore(file, { key: key.toString('hex') })
+  await k.set(STATE)
+  raw = JSON.parse(fs.readFileSync(file, 'utf8'))
+  t.is(raw.kdf, undefined)
+  t.is((await k.get()).refresh_token, 'refresh')
+  t.is((await new FileTokenStore(file, {
+    key: key.toString('base64')
+  }).get()).refresh_token, 'refresh')
+  await t.throwsAsync(s.get(), { message: /Unable to decrypt/ })
+
+  t.throws(() => new FileTokenStore(file, { key: 'short' }))
+  t.throws(() => new FileTokenStore(file, { key, passphrase: 'both' }))
+  t.deepEqual(fs.readdirSync(dir), ['config.json'])
+  await k.delete()
+  fs.rmdirSync(dir)
+})
+
+test('memory store', async t => {
+  const s = new MemoryTokenStore()
+  t.is(await s.get(), null)
+  await s.set(STATE)
+  t.deepEqual(await s.get(), STATE)
+  t.not(await s.get(), STATE)
+  await s.delete()
+  t.is(await s.get(), null)
+})
+
+test('env store', async t => {
+  const env = {}
+  const s = new EnvTokenStore({ env, prefix: 'TEST_' })
+  t.is(await s.get(), null)
+  await s.set(STATE)
+  t.is(env.TEST_ACCESS_TOKEN, 'access')
+  t.is(env.TEST_USER_ID, 'user-1234')
+  t.is(env.TEST_EXPIRES, STATE.expires.toISOString())
+  const st = await s.get()
+  t.is(st.refresh_token, 'refresh')
+  t.is(st.plan, undefined)
+
+  env.TEST_EXPIRES = '1234'
+  t.is((await s.get()).expires, 1234)
+  await s.delete()
+  t.deepEqual(env, {})
+})
+
+test('feedly uses the store', async t => {
+  const tokenStore = new MemoryTokenStore(STATE)
+  const f = new Feedly({
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    tokenStore
+  })
+  await f.ready
+  t.is(f.tokenStore, tokenStore)
+  t.truthy(f.state.expires instanceof Date)
+  t.is(f.state.access_token, 'access')
+  t.truthy(f._validToken())
+
+  f.state.access_token = 'new'
+  await f._save()
+  t.is((await tokenStore.get()).access_token, 'new')
+
+  const m = new Feedly({
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    config_file: null
+  })
+  t.truthy(m.tokenStore instanceof MemoryTokenStore)
+  t.truthy(Feedly.EnvTokenStore)
+})
+
+test('feedly does not overwrite a store it cannot read', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedly-'))
+  t.teardown(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const file = path.join(dir, 'config.json')
+  await new FileTokenStore(file, { passphrase: 'sekrit' }).set(STATE)
+  const before = fs.readFileSync(file, 'utf8')
+
+  const f = new Feedly({
+    client_id: 'sandbox',
+    client_secret: 'secret',
+    tokenStore: new FileTokenStore(file, { passphrase: 'wrong' })
+  })
+  await t.throwsAsync(f.ready, { message: /Unable to decrypt/ })
+  await t.throwsAsync(f.profile(), { message: /Unable to decrypt/ })
+  t.is(fs.readFileSync(file, 'utf8'), before)
+
+  // Logging out starts over
+  await f.logout()
+  t.false(fs.existsSync(file))
+})
+
+test('feedly treats unparseable plaintext as empty', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feedly-'))
+  t.teardown(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const file = path.join(dir, 'config.json')
+  for (const data of ['', '{"access_token": "acc']) {
+    fs.writeFileSync(file, data)
+    t.is(await new FileTokenStore(file).get(), null)
+    const f = new Feedly({
+      client_id: 'sandbox',
+      client_secret: 'secret',
+      config_file: file
+    })
+    await f.ready
+    t.deepEqual(f.state, {})
+    await f.logout()
+    t.false(fs.existsSync(file))
+  }
+})
@@ -0,0 +1,122 @@
+'use strict'
+
+const test = require('ava')
+const Feedly = require('../lib/feedly')
+const StreamId = require('../lib/streamid')
+const MockFeedlyServer = require('../lib/mock')
+const { withClient } = require('./_helpers')
+const { DeveloperTokenStrategy } = require('../lib/auth')
+
+test('parse', t => {
+  t.deepEqual(StreamId.parse('feed/http://a/rss'),
+    { type: 'feed', url: 'http://a/rss' })
+  t.deepEqual(StreamId.parse('user/-/tag/global.saved'), {
+    type: 'tag',
+    userId: '-',
+    enterprise: null,
+    name: 'global.saved',
+    global: true
+  })
+  t.deepEqual(StreamId.parse('user/u1/category/tech/news'), {
+    type: 'category',
+    userId: 'u1',
+    enterprise: null,
+    name: 'tech/news',
+    global: false
+  })
+  t.deepEqual(StreamId.parse('enterprise/acme/category/global.all'), {
+    type: 'category',
+    userId: null,
+    enterprise: 'acme',
+    name: 'global.all',
+    global: false
+  })
+  t.is(StreamId.parse('user/u1/priority/x'), null)
+  t.is(StreamId.parse('tech'), null)
+  t.is(StreamId.parse(null), null)
+})
+
+test('build', t => {
+  t.is(StreamId.feed('http://a/rss'), 'feed/http://a/rss')
+  t.is(StreamId.feed('feed/http://a/rss'), 'feed/http://a/rss')
+  t.is(StreamId.category('tech'), 'user/-/category/tech')
+  t.is(StreamId.category('tech', 'u1'), 'user/u1/category/tech')
+  t.is(StreamId.category('user/u2/category/tech', 'u1'), 'user/u2/category/tech')
+  t.is(StreamId.tag('later', 'u1'), 'user/u1/tag/later')
+  t.is(StreamId.tag('enterprise/acme/tag/x', 'u1'), 'enterprise/acme/tag/x')
+  t.is(StreamId.stream('tech'), 'user/-/category/tech')
+  t.is(StreamId.stream('global.saved', 'u1'), 'user/u1/tag/global.saved')
+  t.is(StreamId.stream('https://a/rss'), 'feed/https://a/rss')
+  t.is(StreamId.stream('feed/http://a/rss'), 'feed/http://a/rss')
+  t.is(StreamId.stream('user/u2/tag/later', 'u1'), 'user/u2/tag/later')
+  t.is(StreamId.enterpriseCategory('acme', 'c1'), 'enterprise/acme/category/c1')
+  t.is(StreamId.enterpriseTag('acme', 't1'), 'enterprise/acme/tag/t1')
+  t.is(StreamId.withUser('user/-/tag/a', 'u1'), 'user/u1/tag/a')
+  t.is(StreamId.anyUser('user/u1/tag/a'), 'user/-/tag/a')
+  t.is(StreamId.anyUser('feed/http://a/'), 'feed/http://a/')
+  t.true(StreamId.equals('user/u1/tag/a', 'user/-/tag/a'))
+  t.false(StreamId.equals('user/u1/tag/a', 'user/u1/category/a'))
+
+  const s = StreamId.forUser('u1')
+  t.is(s.all(), 'user/u1/category/global.all')
+  t.is(s.uncategorized(), 'user/u1/category/global.uncategorized')
+  t.is(s.must(), 'user/u1/category/global.must')
+  t.is(s.saved(), 'user/u1/tag/global.saved')
+  t.is(s.read(), 'user/u1/tag/global.read')
+  t.is(s.category('tech'), 'user/u1/category/tech')
+  t.is(s.tag('later'), 'user/u1/tag/later')
+  t.is(s.feed('http://a/'), 'feed/http://a/')
+  t.is(s.stream('tech'), 'user/u1/category/tech')
+  t.is(StreamId.forUser().saved(), 'user/-/tag/global.saved')
+})
+
+test('feedly', async t => {
+  const [mock, f] = await withClient(t)
+  const id = MockFeedlyServer.USER_ID
+  await f.profile()
+  t.is(f.streams.saved(), `user/${id}/tag/global.saved`)
+  const g = new Feedly({
+    config_file: null,
+    auth: new DeveloperTokenStrategy('dev')
+  })
+  t.is(g.streams.all(), 'user/-/category/global.all')
+
+  // Tags and categories are normalized, and encoded, the same way
+  const start = mock.requests.length
+  await f.markTagRead('later')
+  await f.setCategoryLabel('tech', 'Technology')
+  await f.setTagLabel('global.saved', 'Saved')
+  t.deepEqual(mock.requests.slice(start).map(r => [r.path, r.body]), [
+    ['/v3/markers', {
+      tagIds: [`user/${id}/tag/later`],
+      type: 'tags',
+      action: 'markAsRead'
+    }],
+    [`/v3/categories/user%2F${id}%2Fcategory%2Ftech`, { label: 'Technology' }],
+    [`/v3/tags/user%2F${id}%2Ftag%2Fglobal.saved`, { label: 'Saved' }]
+  ])
+
+  // Streams and feeds are normalized, single or in arrays
+  const ars = 'http://feeds.arstechnica.com/arstechnica/index'
+  const arduino = 'https://blog.arduino.cc/feed/'
+  const tech = await f.contents(`user/${id}/category/tech`)
+  t.true(tech.items.length > 0)
+  t.deepEqual((await f.contents('tech')).items, tech.items)
+  t.deepEqual((await f.stream('tech')).ids, tech.items.map(e => e.id))
+  t.is((await f.feed(ars)).id, `feed/${ars}`)
+  t.deepEqual((await f.feed([ars, arduino])).map(x => x.id),
+    [`feed/${ars}`, `feed/${arduino}`])
+
+  mock.requests = []
+  await f.markFeedRead(ars, new Date(1000))
+  await f.counts(false, null, 'tech')
+  t.deepEqual(mock.requests[0].body.feedIds, [`feed/${ars}`])
+  t.is(mock.requests[1].query.streamId, `user/${id}/category/tech`)
+
+  await f.unsubscribe(ars)
+  t.is(mock.data.subscriptions[`feed/${ars}`], undefined)
+  t.deepEqual(await f.unsubscribe([arduino]), [{
+    id: `feed/${arduino}`,
+    status: 'unsubscribed'
+  }])
+})
@@ -0,0 +1,99 @@
+'use strict'
+
+const test = require('ava')
+const MockFeedlyServer = require('../lib/mock')
+const { withClient } = require('./_helpers')
+const { FeedlyHTTPError } = require('../lib/errors')
+
+const TBRAY = 'feed/https://www.tbray.org/ongoing/ongoing.atom'
+const ARS = 'feed/http://feeds.arstechnica.com/arstechnica/index'
+const ARDUINO = 'feed/https://blog.arduino.cc/feed/'
+
+async function labels (f) {
+  const ret = {}
+  for (const s of await f.subscriptions()) {
+    ret[s.id] = s.categories.map(c => c.label).sort()
+  }
+  return ret
+}
+
+test('mass unsubscribe', async t => {
+  const [mock, f] = await withClient(t)
+  t.is(await f.unsubscribe(ARS), null)
+  await f.subscribe(ARS)
+
+  const results = await f.unsubscribe([ARS, TBRAY, 'https://blog.arduino.cc/feed/'])
+  t.deepEqual(results, [
+    { id: ARS, status: 'unsubscribed' },
+    { id: TBRAY, status: 'skipped' },
+    { id: ARDUINO, status: 'unsubscribed' }
+  ])
+  t.deepEqual(await f.subscriptions(), [])
+  const del = mock.requests.find(r => r.path === '/v3/subscriptions/.mdelete')
+  t.deepEqual(del.body, [ARS, ARDUINO])
+
+  t.deepEqual(await f.unsubscribe([ARS]), [{ id: ARS, status: 'skipped' }])
+
+  await f.subscribe(ARS)
+  mock.fail({ path: '/v3/subscriptions/.mdelete', statusCode: 400 })
+  const [r] = await f.unsubscribe([ARS])
+  t.is(r.status, 'failed')
+  t.true(r.error instanceof FeedlyHTTPError)
+})
+
+test('update subscriptions', async t => {
+  const [mock, f] = await withClient(t)
+  const results = await new Promise((resolve, reject) => {
+    f.updateSubscriptions([
+      { id: ARS, title: 'Ars' },
+      { id: ARDUINO, categories: ['makers', `user/${MockFeedlyServer.USER_ID}/category/tech`] },
+      { id: TBRAY, title: 'Tim', categories: [] }
+    ], (er, res) => er ? reject(er) : resolve(res))
+  })
+  t.deepEqual(results, [
+    { id: ARS, status: 'updated' },
+    { id: ARDUINO, status: 'updated' },
+    { id: TBRAY, status: 'subscribed' }
+  ])
+  const subs = await f.subscriptions()
+  t.is(subs.find(s => s.id === ARS).title, 'Ars')
+  t.is(subs.find(s => s.id === ARDUINO).title, 'Arduino Blog')
+  t.is(subs.find(s => s.id === TBRAY).title, 'Tim')
+  t.deepEqual(await labels(f), {
+    [ARS]: ['tech'],
+    [ARDUINO]: ['makers', 'tech'],
+    [TBRAY]: []
+  })
+  t.is(mock.requests.filter(r => r.path === '/v3/subscriptions/.mput').length, 1)
+
+  mock.fail({ path: '/v3/subscriptions/.mput', statusCode: 500 })
+  const failed = await f.updateSubscriptions([{ id: ARS, title: 'Nope' }])
+  t.is(failed[0].status, 'failed')
+  t.is(failed[0].error.statusCode, 500)
+  t.deepEqual(await f.updateSubscriptions([]), [])
+})
+
+test('move subscriptions', async t => {
+  const [, f] = await withClient(t)
+  let results = await f.moveSubscriptions([ARS, ARDUINO, TBRAY], 'tech', 'news')
+  t.deepEqual(results, [
+    { id: ARS, status: 'moved' },
+    { id: ARDUINO, status: 'moved' },
+    { id: TBRAY, status: 'skipped', reason: 'not subscribed' }
+  ])
+  t.deepEqual(await labels(f), {
+    [ARS]: ['news'],
+    [ARDUINO]: ['hobbies', 'news']
+  })
+
+  results = await f.moveSubscriptions(ARS, 'hobbies', 'tech')
+  t.deepEqual(results, [{ id: ARS, status: 'skipped', reason: 'not in hobbies' }])
+
+  // Only add, then only remove
+  await f.moveSubscriptions(ARS, null, 'hobbies')
+  await f.moveSubscriptions([ARDUINO], 'news', null)
+  t.deepEqual(await labels(f), {
+    [ARS]: ['hobbies', 'news'],
+    [ARDUINO]: ['hobbies']
+  })
+})
@@ -0,0 +1,151 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { setTimeout: sleep } = require('timers/promises')
+const test = require('ava')
+const FeedlySync = require('../lib/sync')
+const { withClient } = require('./_helpers')
+const { MemoryTokenStore } = require('../lib/stores')
+
+const TBRAY = 'feed/https://www.tbray.org/ongoing/ongoing.atom'
+const ARS = 'feed/http://feeds.arstechnica.com/arstechnica/index'
+const ARDUINO = 'feed/https://blog.arduino.cc/feed/'
+
+// Make sure operations land after the last checkpoint
+async function tick () {
+  await sleep(5)
+}
+
+test('initial fill and delta sync', async t => {
+  const [mock, f] = await withClient(t)
+  const store = new MemoryTokenStore()
+  const sync = new FeedlySync(f, { store })
+  t.is(sync.checkpoint, null)
+  t.deepEqual(sync.entries(), [])
+
+  let res = await sync.sync()
+  t.deepEqual(res, { full: true, added: 20, read: 0, unread: 0, tagged: 0 })
+  t.truthy(sync.checkpoint instanceof Date)
+  t.is(sync.entries().length, 20)
+  t.is(sync.entries({ streamId: ARS }).length, 12)
+  t.is(sync.entries({ streamId: 'user/-/category/hobbies' }).length, 8)
+  t.is(sync.entries({ limit: 3 }).length, 3)
+  const [newest] = sync.entries()
+  t.is(sync.entry(newest.id), newest)
+
+  // Nothing happened
+  await tick()
+  res = await sync.sync()
+  t.deepEqual(res, { full: false, added: 0, read: 0, unread: 0, tagged: 0 })
+
+  // Changes made elsewhere
+  await tick()
+  const ars = sync.entries({ streamId: ARS }).map(e => e.id)
+  await f.markEntryRead(ars.slice(0, 2))
+  await f.markCategoryRead('hobbies')
+  await f.tagEntry(ars[5], 'later')
+  await f.subscribe(TBRAY)
+  const requests = mock.requests.length
+
+  res = await sync.sync()
+  t.is(res.full, false)
+  t.is(res.read, 10)
+  t.is(res.tagged, 1)
+  // All of TBRAY's entries were crawled before the checkpoint
+  t.is(res.added, 0)
+  t.deepEqual(mock.requests.slice(requests).map(r => r.path), [
+    '/v3/streams/user%2F-%2Fcategory%2Fglobal.all/contents',
+    '/v3/markers/reads',
+    '/v3/markers/tags'
+  ])
+  t.is(sync.entries({ unreadOnly: true }).length, 10)
+  t.is(sync.entries({ unreadOnly: true, streamId: ARDUINO }).length, 0)
+  t.deepEqual(sync.entries({ streamId: 'user/-/tag/later' }).map(e => e.id),
+    [ars[5]])
+
+  // Kept unread elsewhere, and a tagged entry we don't have
+  await tick()
+  await f.markEntryUnread(ars[0])
+  const [old] = (await f.stream(TBRAY, { ranked: 'oldest', count: 1 })).ids
+  await f.tagEntry(old, 'global.saved')
+  res = await sync.sync()
+  t.is(res.unread, 1)
+  t.is(res.added, 1)
+  t.is(res.tagged, 1)
+  t.true(sync.entry(ars[0]).unread)
+  t.is(sync.entries({ streamId: 'user/-/tag/global.saved' })[0].id, old)
+
+  // New entries
+  await tick()
+  mock.data.entries.fresh = Object.assign({}, mock.data.entries[ars[1]], {
+    id: 'fresh',
+    crawled: Date.now(),
+    unread: true
+  })
+  await f.markFeedRead(ARS)
+  res = await sync.sync()
+  t.is(res.added, 1)
+  t.true(sync.entry('fresh').unread === false)
+
+  // A second instance picks up where the first left off
+  const sync2 = new FeedlySync(f, { store })
+  await sync2.load()
+  t.is(sync2.checkpoint.getTime(), sync.checkpoint.getTime())
+  t.is(sync2.entries().length, sync.entries().length)
+
+  // A different stream starts over
+  const sync3 = new FeedlySync(f, { store, streamId: ARS })
+  res = await sync3.sync()
+  t.true(res.full)
+
+  await sync.reset()
+  t.is(sync.checkpoint, null)
+  t.is(await store.get(), null)
+})
+
+test('tagged entries from other streams', async t => {
+  const [, f] = await withClient(t)
+  const sync = new FeedlySync(f, { store: new MemoryTokenStore(), streamId: ARS })
+  let res = await sync.sync()
+  t.is(res.added, 12)
+
+  await tick()
+  const [other] = (await f.stream(TBRAY, { count: 1 })).ids
+  await f.tagEntry(other, 'later')
+  res = await sync.sync()
+  t.is(res.added, 0)
+  t.is(res.tagged, 0)
+  t.is(sync.entry(other), undefined)
+
+  // Syncing the tag itself picks it up
+  const tagged = new FeedlySync(f, {
+    store: new MemoryTokenStore(),
+    streamId: 'user/-/tag/later'
+  })
+  await tagged.sync()
+  await tick()
+  const [another] = (await f.stream(TBRAY, { count: 2 })).ids.slice(1)
+  await f.tagEntry(another, 'later')
+  res = await tagged.sync()
+  t.is(res.added, 1)
+  t.is(res.tagged, 1)
+  t.is(tagged.entry(another).id, another)
+})
+
+test('file store, pruning and single flight', async t => {
+  const [, f] = await withClient(t)
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'feedly-'))
+  t.teardown(() => fs.promises.rm(dir, { recursive: true, force: true }))
+  const file = path.join(dir, 'sync.json')
+  const sync = new FeedlySync(f, { file, maxEntries: 5 })
+  const [a, b] = await Promise.all([sync.sync(), sync.sync()])
+  t.is(a, b)
+  t.is(a.added, 5)
+  const saved = JSON.parse(await fs.promises.readFile(file, 'utf8'))
+  t.is(Object.keys(saved.entries).length, 5)
+  t.is(saved.checkpoint, sync.checkpoint.getTime())
+
+  t.throws(() => new FeedlySync(), { instanceOf: TypeError })
+})
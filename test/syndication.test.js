@@ -0,0 +1,186 @@
+'use strict'
+
+const test = require('ava')
+const http = require('http')
+const { withClient } = require('./_helpers')
+const {
+  buildFeed,
+  lastModified,
+  createFeedHandler,
+  _allContents
+} = require('../lib/syndication')
+
+const ARS = 'feed/http://feeds.arstechnica.com/arstechnica/index'
+const TBRAY = 'feed/https://www.tbray.org/ongoing/ongoing.atom'
+
+async function serve (t, handler) {
+  const server = http.createServer(handler)
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  t.teardown(() => server.close())
+  return `http://127.0.0.1:${server.address().port}/`
+}
+
+test('atom', async t => {
+  const [mock, f] = await withClient(t)
+  const xml = await f.exportFeed(ARS, {
+    limit: 3,
+    selfUrl: 'http://example.com/feed.xml'
+  })
+  t.regex(xml, /^<\?xml/)
+  t.regex(xml, /<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/)
+  t.regex(xml, /<title>Ars Technica<\/title>/)
+  t.true(xml.includes(`<id>urn:feedly:${encodeURIComponent(ARS)}</id>`))
+  t.regex(xml, /^ {2}<author><name>Ars Technica<\/name><\/author>$/m)
+  t.regex(xml, /<link rel="self" href="http:\/\/example.com\/feed.xml"\/>/)
+  t.is(xml.match(/<entry>/g).length, 3)
+  t.regex(xml, /<content type="html">&lt;p&gt;Content of entry/)
+
+  const newest = Object.values(mock.data.entries)
+    .filter(e => e.origin.streamId === ARS)
+    .sort((a, b) => b.crawled - a.crawled)[0]
+  t.true(xml.includes(`<title type="html">${newest.title}</title>`))
+})
+
+test('rss', async t => {
+  const [, f] = await withClient(t)
+  const xml = await f.exportFeed(ARS, {
+    format: 'rss',
+    limit: 2,
+    title: 'Shared',
+    link: 'http://example.com/'
+  })
+  t.regex(xml, /<rss version="2.0"/)
+  t.regex(xml, /<title>Shared<\/title>/)
+  t.regex(xml, /<link>http:\/\/example.com\/<\/link>/)
+  t.is(xml.match(/<item>/g).length, 2)
+  t.regex(xml, /<pubDate>\w{3}, \d\d \w{3} \d{4} [\d:]{8} GMT<\/pubDate>/)
+  t.regex(xml, /<content:encoded>/)
+})
+
+test('jsonfeed', async t => {
+  const [, f] = await withClient(t)
+  const doc = JSON.parse(await f.exportFeed(ARS, { format: 'jsonfeed' }))
+  t.is(doc.version, 'https://jsonfeed.org/version/1.1')
+  t.is(doc.title, 'Ars Technica')
+  t.is(doc.items.length, 12)
+  const [item] = doc.items
+  t.is(typeof item.id, 'string')
+  t.is(typeof item.url, 'string')
+  t.regex(item.content_html, /^<p>Content of entry/)
+  t.regex(item.summary, /^Summary of entry/)
+  t.truthy(Date.parse(item.date_published))
+})
+
+test('callbacks and bad formats', async t => {
+  const [mock, f] = await withClient(t)
+  const xml = await new Promise((resolve, reject) => {
+    f.exportFeed(ARS, (er, x) => er ? reject(er) : resolve(x))
+  })
+  t.regex(xml, /<feed /)
+
+  const before = mock.requests.length
+  await t.throwsAsync(f.exportFeed(ARS, { format: 'html' }), {
+    instanceOf: TypeError
+  })
+  t.is(mock.requests.length, before)
+  t.throws(() => createFeedHandler(f, ARS, { format: 'html' }), {
+    instanceOf: TypeError
+  })
+})
+
+test('all contents', async t => {
+  const [, f] = await withClient(t)
+  const sizes = []
+  const page = await _allContents(f, TBRAY, {
+    count: 7,
+    max: 20,
+    onPage: p => sizes.push(p.items.length)
+  })
+  t.is(page.id, TBRAY)
+  t.is(page.title, 'ongoing by Tim Bray')
+  t.is(page.items.length, 20)
+  t.is(page.continuation, undefined)
+  t.deepEqual(sizes, [7, 7, 6])
+  t.is((await _allContents(f, ARS)).items.length, 12)
+})
+
+test('buildFeed', t => {
+  const entries = [{
+    id: 'a<b',
+    title: 'One & two',
+    crawled: 2000,
+    published: 1000,
+    canonicalUrl: 'http://example.com/1'
+  }, {
+    id: 'c',
+    crawled: 3000,
+    updated: 5000
+  }]
+  t.is(lastModified(entries), 5000)
+  t.is(lastModified([]), null)
+  const xml = buildFeed('atom', { id: 'x', title: 'X' }, entries)
+  t.regex(xml, /<updated>1970-01-01T00:00:05.000Z<\/updated>/)
+  t.regex(xml, /<id>urn:feedly:x<\/id>/)
+  t.regex(buildFeed('atom', { id: 'x', title: 'X', author: 'Me' }, []),
+    /<author><name>Me<\/name><\/author>/)
+  t.regex(xml, /<title type="html">One &amp; two<\/title>/)
+  t.regex(xml, /<link rel="alternate" href="http:\/\/example.com\/1"\/>/)
+  const rss = buildFeed('rss', { id: 'x', title: 'X' }, entries)
+  t.regex(rss, /<guid isPermaLink="false">a&lt;b<\/guid>/)
+  t.throws(() => buildFeed('nope', {}, []), { instanceOf: TypeError })
+})
+
+test('handler', async t => {
+  const [mock, f] = await withClient(t)
+  const url = await serve(t, createFeedHandler(f, ARS, { format: 'rss' }))
+
+  const res = await fetch(url)
+  t.is(res.status, 200)
+  t.is(res.headers.get('content-type'), 'application/rss+xml; charset=utf-8')
+  t.regex(res.headers.get('cache-control'), /max-age=60/)
+  const etag = res.headers.get('etag')
+  const modified = res.headers.get('last-modified')
+  t.truthy(etag)
+  t.truthy(Date.parse(modified))
+  t.regex(await res.text(), /<rss /)
+
+  const fetched = mock.requests.filter(r => r.path.match(/contents/)).length
+  t.is(fetched, 1)
+
+  let r = await fetch(url, { headers: { 'If-None-Match': etag } })
+  t.is(r.status, 304)
+  t.is(r.headers.get('etag'), etag)
+  r = await fetch(url, { headers: { 'If-None-Match': '"other"' } })
+  t.is(r.status, 200)
+  await r.text()
+  r = await fetch(url, { headers: { 'If-Modified-Since': modified } })
+  t.is(r.status, 304)
+  r = await fetch(url, {
+    headers: { 'If-Modified-Since': new Date(0).toUTCString() }
+  })
+  t.is(r.status, 200)
+  await r.text()
+
+  r = await fetch(url, { method: 'HEAD' })
+  t.is(r.status, 200)
+  t.is(await r.text(), '')
+  r = await fetch(url, { method: 'POST' })
+  t.is(r.status, 405)
+  t.is(r.headers.get('allow'), 'GET, HEAD')
+
+  // All served from the cache
+  t.is(mock.requests.filter(r => r.path.match(/contents/)).length, fetched)
+})
+
+test('handler errors', async t => {
+  const [mock, f] = await withClient(t)
+  const url = await serve(t, createFeedHandler(f, ARS, { maxAge: 0 }))
+  mock.fail({ path: /contents/, statusCode: 404 })
+  let res = await fetch(url)
+  t.is(res.status, 502)
+  t.regex(await res.text(), /^Could not fetch/)
+
+  res = await fetch(url)
+  t.is(res.status, 200)
+  t.regex(await res.text(), /<feed /)
+})
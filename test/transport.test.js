@@ -0,0 +1,135 @@
+'use strict'
+
+const http = require('http')
+const test = require('ava')
+const Feedly = require('../lib/feedly')
+const { DeveloperTokenStrategy } = require('../lib/auth')
+const { FeedlyHTTPError, FeedlyNetworkError } = require('../lib/errors')
+const { createFetchTransport } = require('../lib/transport')
+
+function feedly (transport, opts) {
+  return new Feedly(Object.assign({
+    base: 'http://feedly.test',
+    config_file: null,
+    auth: new DeveloperTokenStrategy('dev'),
+    transport
+  }, opts))
+}
+
+test('custom transport', async t => {
+  const reqs = []
+  const f = feedly(async req => {
+    reqs.push(req)
+    if (req.url.endsWith('/v3/profile')) {
+      return { statusCode: 200, body: '{"id":"user-1234"}' }
+    }
+    if (req.url.includes('/v3/markers/counts')) {
+      return { statusCode: 200, headers: {}, body: { unreadcounts: [] } }
+    }
+    return { statusCode: 200, body: '' }
+  })
+
+  t.deepEqual(await f.profile(), { id: 'user-1234' })
+  t.is(reqs[0].method, 'GET')
+  t.is(reqs[0].headers.Authorization, 'OAuth dev')
+  t.is(reqs[0].body, undefined)
+  t.is(reqs[0].timeout, 30000)
+
+  t.deepEqual(await f.counts(true, new Date(1000)), { unreadcounts: [] })
+  const u = new URL(reqs[1].url)
+  t.is(u.searchParams.get('autorefresh'), 'true')
+  t.is(u.searchParams.get('newerThan'), '1000')
+  t.is(reqs[1].body, undefined)
+
+  t.is(await f.markEntryRead('entry-1'), null)
+  t.is(reqs[2].method, 'POST')
+  t.is(reqs[2].headers['Content-Type'], 'application/json')
+  t.deepEqual(JSON.parse(reqs[2].body), {
+    entryIds: ['entry-1'],
+    type: 'entries',
+    action: 'markAsRead'
+  })
+})
+
+test('transport errors', async t => {
+  const f = feedly(async req => {
+    if (req.url.endsWith('/v3/profile')) {
+      return { statusCode: 404, headers: { 'x-foo': 'bar' }, body: 'Nope' }
+    }
+    throw Object.assign(new Error('no route'), { code: 'EHOSTUNREACH' })
+  }, { retry: false })
+  const er = await t.throwsAsync(f.profile(), { instanceOf: FeedlyHTTPError })
+  t.is(er.statusCode, 404)
+  t.is(er.body, 'Nope')
+  t.is(er.headers['x-foo'], 'bar')
+  await t.throwsAsync(f.preferences(), {
+    instanceOf: FeedlyNetworkError,
+    code: 'EHOSTUNREACH'
+  })
+})
+
+test('fetch transport', async t => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/slow') {
+      setTimeout(() => res.end('{}'), 1000)
+      return
+    }
+    let body = ''
+    req.setEncoding('utf8')
+    req.on('data', d => { body += d })
+    req.on('end', () => {
+      res.writeHead(200, {
+        'Content-Type': 'application/json',
+        'X-Foo': 'bar'
+      })
+      res.end(JSON.stringify({ method: req.method, body }))
+    })
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  t.teardown(() => {
+    server.closeAllConnections()
+    server.close()
+  })
+  const base = `http://127.0.0.1:${server.address().port}`
+
+  const transport = createFetchTransport()
+  const res = await transport({
+    method: 'PUT',
+    url: `${base}/foo`,
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"a":1}'
+  })
+  t.is(res.statusCode, 200)
+  t.is(res.headers['x-foo'], 'bar')
+  t.deepEqual(JSON.parse(res.body), { method: 'PUT', body: '{"a":1}' })
+
+  await t.throwsAsync(transport({
+    method: 'GET',
+    url: `${base}/slow`,
+    headers: {},
+    timeout: 50
+  }), { code: 'ETIMEDOUT' })
+
+  const f = new Feedly({
+    base,
+    config_file: null,
+    auth: new DeveloperTokenStrategy('dev'),
+    timeout: 50,
+    retry: false
+  })
+  await t.throwsAsync(f._requestURL(null, '/slow'), {
+    instanceOf: FeedlyNetworkError,
+    code: 'ETIMEDOUT'
+  })
+
+  // Dispatcher is passed through
+  const dispatcher = {}
+  const fake = createFetchTransport({
+    dispatcher,
+    fetch: async (u, init) => {
+      t.is(init.dispatcher, dispatcher)
+      return new Response('{}', { status: 200 })
+    }
+  })
+  t.is((await fake({ method: 'GET', url: base, headers: {} })).body, '{}')
+})
@@ -0,0 +1,92 @@
+'use strict'
+
+const { once } = require('events')
+const test = require('ava')
+const { withClient } = require('./_helpers')
+const { FeedlyHTTPError } = require('../lib/errors')
+
+const ARS = 'feed/http://feeds.arstechnica.com/arstechnica/index'
+const TECH = 'user/-/category/tech'
+
+function addEntry (mock, id) {
+  const [old] = Object.values(mock.data.entries)
+    .filter(e => e.origin.streamId === ARS)
+  mock.data.entries[id] = Object.assign({}, old, {
+    id,
+    crawled: Date.now(),
+    unread: true
+  })
+}
+
+test('counts and new entries', async t => {
+  const [mock, f] = await withClient(t)
+  const w = f.watch([ARS, TECH], { interval: 60000, unref: true })
+  t.teardown(() => w.stop())
+  const seen = []
+  w.on('entries', (entries, id) => seen.push([id, entries.map(e => e.id)]))
+
+  const [counts, changed] = await once(w, 'counts')
+  t.deepEqual(counts.map(c => [c.id, c.count]), [[ARS, 12], [TECH, 20]])
+  t.deepEqual(changed, [ARS, TECH])
+  await w.poll()
+  // Entries from before the first poll are not announced
+  t.deepEqual(seen, [])
+
+  addEntry(mock, 'fresh')
+  const countsP = once(w, 'counts')
+  await w.poll()
+  const [counts2, changed2] = await countsP
+  t.deepEqual(counts2.map(c => c.count), [13, 21])
+  t.deepEqual(changed2, [ARS, TECH])
+  // Announced once, even though it is in both streams
+  t.deepEqual(seen, [[ARS, ['fresh']]])
+
+  // Nothing changed, so nothing is fetched
+  const requests = mock.requests.length
+  await w.poll()
+  t.deepEqual(mock.requests.slice(requests).map(r => r.path),
+    ['/v3/markers/counts'])
+  t.is(seen.length, 1)
+
+  w.stop()
+  addEntry(mock, 'late')
+  await w.poll()
+  t.is(seen.length, 1)
+})
+
+test('since', async t => {
+  const [, f] = await withClient(t)
+  const w = f.watch(ARS, { since: new Date(0), max: 5, unref: true })
+  t.teardown(() => w.stop())
+  const [entries, id] = await once(w, 'entries')
+  t.is(id, ARS)
+  t.is(entries.length, 5)
+})
+
+test('errors back off', async t => {
+  const [mock, f] = await withClient(t, { retry: false })
+  mock.fail({ path: '/v3/markers/counts', statusCode: 500, times: 2 })
+  const w = f.watch(ARS, { interval: 10, maxInterval: 15, unref: true })
+  t.teardown(() => w.stop())
+  const errors = []
+  w.on('error', er => errors.push(er))
+  // once() would reject on the first error
+  await new Promise(resolve => w.once('counts', resolve))
+  t.is(errors.length, 2)
+  t.true(errors[0] instanceof FeedlyHTTPError)
+  // Waits for the poll in progress
+  await w.poll()
+  t.is(w.failures, 0)
+})
+
+test('errors without a listener', async t => {
+  const [mock, f] = await withClient(t, { retry: false })
+  mock.fail({ path: '/v3/markers/counts', statusCode: 400, times: 2 })
+  const w = f.watch(ARS, { interval: 10, maxInterval: 15, unref: true })
+  t.teardown(() => w.stop())
+  await t.notThrowsAsync(w.poll())
+  // Keeps polling until it gets through.  once() would add a listener.
+  await new Promise(resolve => w.once('counts', resolve))
+  await w.poll()
+  t.is(w.failures, 0)
+})